@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Database migration CLI
+ * Usage: node scripts/migrate.js [status|apply]
+ */
+const path = require('path');
+
+// Load environment variables from .env file
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+// Opens the storage directly: src/utils/database.js would apply migrations as soon as it is loaded
+const { createStorage } = require('../src/utils/storage');
+const { getMigrationStatus, runMigrations } = require('../src/utils/migrator');
+
+async function printStatus(db) {
+  const migrations = await getMigrationStatus(db);
+  const pending = migrations.filter(migration => !migration.applied);
+
+  console.log(`Database: ${db.location} (${db.dialect})`);
+  migrations.forEach(migration => {
+    const version = String(migration.version).padStart(3, '0');
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`  ${version}_${migration.name.padEnd(32)} ${state}`);
+  });
+  console.log(`${migrations.length - pending.length} applied, ${pending.length} pending`);
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+
+  if (!['status', 'apply'].includes(command)) {
+    console.error(`Unknown command '${command}'. Usage: node scripts/migrate.js [status|apply]`);
+    process.exit(1);
+  }
+
+  const db = createStorage();
+  await db.connect();
+
+  try {
+    if (command === 'apply') {
+      const { applied } = await runMigrations(db);
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Nothing to apply');
+    }
+    await printStatus(db);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,67 +1,201 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+
+const SIGNATURE_HEADERS = ['x-splynx-signature', 'x-webhook-signature', 'x-signature'];
+const TIMESTAMP_HEADERS = ['x-splynx-timestamp', 'x-webhook-timestamp', 'x-timestamp'];
+
+/**
+ * Read webhook validation settings from the environment
+ * @returns {Object} - Validation configuration
+ */
+function getValidationConfig() {
+  // SPLYNX_WEBHOOK_SECRETS holds extra comma-separated secrets that stay valid during rotation
+  const secrets = [process.env.SPLYNX_WEBHOOK_SECRET, process.env.SPLYNX_WEBHOOK_SECRETS]
+    .filter(Boolean)
+    .join(',')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+  const tolerance = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS);
+  const strict = process.env.WEBHOOK_SIGNATURE_MODE === 'strict';
+
+  return {
+    secrets,
+    strict,
+    // Without a timestamp a signed body could be replayed forever, so strict mode always needs one
+    requireTimestamp: strict || process.env.WEBHOOK_REQUIRE_TIMESTAMP === 'true',
+    toleranceSeconds: isNaN(tolerance) ? 300 : tolerance
+  };
+}
+
+/**
+ * Get the first header present from a list of candidate names
+ * @param {Object} headers - Request headers
+ * @param {Array<string>} names - Header names to try
+ * @returns {string|undefined}
+ */
+function getHeader(headers, names) {
+  const name = names.find(n => headers[n]);
+  return name ? headers[name] : undefined;
+}
+
+/**
+ * Parse a timestamp header (unix seconds, unix milliseconds or ISO date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Milliseconds since epoch, or null if unparseable
+ */
+function parseTimestamp(value) {
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Check a signature against every configured secret in constant time
+ * When a timestamp header is sent, it is signed together with the body as "<timestamp>.<body>"
+ * @param {string} signature - Signature header value (hex, optionally prefixed with "sha256=")
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} timestamp - Timestamp header value, if any
+ * @param {Array<string>} secrets - Active webhook secrets
+ * @returns {boolean}
+ */
+function isSignatureValid(signature, rawBody, timestamp, secrets) {
+  const received = Buffer.from(signature.replace(/^sha256=/i, '').trim().toLowerCase());
+  const signedPayload = timestamp
+    ? Buffer.concat([Buffer.from(`${timestamp}.`), rawBody])
+    : rawBody;
+
+  return secrets.some(secret => {
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(signedPayload).digest('hex')
+    );
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * Normalize a signature header value for the replay store
+ * @param {string} signature - Signature header value
+ * @returns {string}
+ */
+function normalizeSignature(signature) {
+  return signature.replace(/^sha256=/i, '').trim().toLowerCase();
+}
+
+/**
+ * Remember a signature once its request has been handled successfully
+ * Signatures are kept in the database, so replays are caught across restarts. A request that fails
+ * (e.g. a 503 asking Splynx to retry) is not remembered, so the resend with the same signature is let
+ * through; payment idempotency keeps it from being stored twice.
+ * @param {Object} res - Express response
+ * @param {string} signature - Accepted signature
+ * @param {number} toleranceSeconds - Replay window
+ */
+function recordSignatureOnSuccess(res, signature, toleranceSeconds) {
+  res.on('finish', () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      return;
+    }
+
+    dbHelpers.recordWebhookSignature(normalizeSignature(signature), toleranceSeconds * 1000)
+      .catch(err => {
+        logger.warn('Failed to record webhook signature:', err.message);
+      });
+  });
+}
 
 /**
  * Validate webhook signature from Splynx
- * This is a middleware function that validates the webhook request
+ * This is a middleware function that validates the webhook request.
+ * The HMAC is computed over req.rawBody (captured by express.json in server.js).
+ * In strict mode (WEBHOOK_SIGNATURE_MODE=strict) invalid requests, and requests without a
+ * timestamp header, are rejected with 401; otherwise they are let through and marked as unvalidated.
  */
-function validateWebhookSignature(req, res, next) {
+async function validateWebhookSignature(req, res, next) {
+  const config = getValidationConfig();
+
   // If no secret is configured, skip validation (for development)
-  const webhookSecret = process.env.SPLYNX_WEBHOOK_SECRET;
+  if (config.secrets.length === 0) {
+    if (config.strict) {
+      logger.error('Webhook rejected: strict signature mode enabled but no SPLYNX_WEBHOOK_SECRET configured');
+      return res.status(401).json({
+        error: 'Webhook signature validation is not configured'
+      });
+    }
 
-  if (!webhookSecret) {
     logger.warn('Webhook validation skipped: SPLYNX_WEBHOOK_SECRET not configured');
     req.webhookValidated = false;
     return next();
   }
 
+  const fail = (reason) => {
+    req.webhookValidated = false;
+    req.webhookValidationError = reason;
+
+    if (config.strict) {
+      logger.error(`Webhook rejected: ${reason}`);
+      return res.status(401).json({
+        error: 'Invalid webhook signature',
+        message: reason
+      });
+    }
+
+    // Still allow the request but mark as unvalidated
+    logger.warn(`Webhook validation failed: ${reason}`);
+    next();
+  };
+
   try {
-    // Get signature from headers (adjust based on Splynx's implementation)
-    // Common header names: x-splynx-signature, x-webhook-signature, x-signature
-    const signature = req.headers['x-splynx-signature'] ||
-                     req.headers['x-webhook-signature'] ||
-                     req.headers['x-signature'];
+    const signature = getHeader(req.headers, SIGNATURE_HEADERS);
+    const timestamp = getHeader(req.headers, TIMESTAMP_HEADERS);
 
     if (!signature) {
-      logger.warn('Webhook validation failed: No signature header found');
-      req.webhookValidated = false;
-      return next();
+      return fail('No signature header found');
     }
 
-    // Calculate expected signature
-    const payload = JSON.stringify(req.body);
-    const expectedSignature = crypto
-      .createHmac('sha256', webhookSecret)
-      .update(payload)
-      .digest('hex');
-
-    // Compare signatures
-    const isValid = crypto.timingSafeEqual(
-      Buffer.from(signature),
-      Buffer.from(expectedSignature)
-    );
+    if (!timestamp && config.requireTimestamp) {
+      return fail('No timestamp header found');
+    }
+
+    if (timestamp && config.toleranceSeconds > 0) {
+      const sentAt = parseTimestamp(timestamp);
+
+      if (sentAt === null) {
+        return fail('Unparseable timestamp header');
+      }
+
+      if (Math.abs(Date.now() - sentAt) > config.toleranceSeconds * 1000) {
+        return fail(`Timestamp outside the ${config.toleranceSeconds}s replay window`);
+      }
+    }
+
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
 
-    if (isValid) {
-      logger.info('Webhook signature validated successfully');
-      req.webhookValidated = true;
-      next();
-    } else {
-      logger.error('Webhook validation failed: Invalid signature');
-      req.webhookValidated = false;
-
-      // Still allow the request but mark as unvalidated
-      // Change this to reject if you want strict validation
-      next();
-
-      // Uncomment to reject invalid signatures:
-      // return res.status(401).json({
-      //   error: 'Invalid webhook signature'
-      // });
+    if (!isSignatureValid(signature, rawBody, timestamp, config.secrets)) {
+      return fail('Invalid signature');
     }
+
+    if (timestamp && config.toleranceSeconds > 0) {
+      if (await dbHelpers.isWebhookSignatureRecorded(normalizeSignature(signature))) {
+        return fail('Signature already used (replayed webhook)');
+      }
+
+      recordSignatureOnSuccess(res, signature, config.toleranceSeconds);
+    }
+
+    logger.info('Webhook signature validated successfully');
+    req.webhookValidated = true;
+    next();
   } catch (error) {
     logger.error('Error validating webhook signature:', error);
-    req.webhookValidated = false;
-    next();
+    fail(`Validation error: ${error.message}`);
   }
 }
 
@@ -0,0 +1,102 @@
+/**
+ * Tables from the first release
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT UNIQUE,
+      client_id TEXT NOT NULL,
+      amount REAL NOT NULL,
+      currency_code TEXT DEFAULT 'KES',
+      payment_type TEXT,
+      payment_method TEXT,
+      created_at TEXT NOT NULL,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status TEXT DEFAULT 'pending',
+      uisp_response TEXT,
+      error_message TEXT,
+      retry_count INTEGER DEFAULT 0,
+      last_retry_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_client_id ON payments(client_id);
+    CREATE INDEX IF NOT EXISTS idx_transaction_id ON payments(transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_status ON payments(status);
+    CREATE INDEX IF NOT EXISTS idx_created_at ON payments(created_at);
+
+    CREATE TABLE IF NOT EXISTS webhook_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      payload TEXT,
+      headers TEXT,
+      ip_address TEXT,
+      validated BOOLEAN DEFAULT 0,
+      processed BOOLEAN DEFAULT 0,
+      error_message TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS clients (
+      id INTEGER PRIMARY KEY,
+      uisp_id INTEGER UNIQUE NOT NULL,
+      first_name TEXT,
+      last_name TEXT,
+      company_name TEXT,
+      email TEXT,
+      phone TEXT,
+      street1 TEXT,
+      street2 TEXT,
+      city TEXT,
+      country TEXT,
+      state TEXT,
+      zip_code TEXT,
+      balance REAL DEFAULT 0,
+      account_balance REAL DEFAULT 0,
+      account_outstanding REAL DEFAULT 0,
+      currency_code TEXT DEFAULT 'KES',
+      is_active BOOLEAN DEFAULT 1,
+      is_suspended BOOLEAN DEFAULT 0,
+      registration_date TEXT,
+      previous_isp TEXT,
+      tax_id TEXT,
+      company_tax_id TEXT,
+      note TEXT,
+      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_payment_at DATETIME,
+      uisp_data TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_uisp_id ON clients(uisp_id);
+    CREATE INDEX IF NOT EXISTS idx_email ON clients(email);
+    CREATE INDEX IF NOT EXISTS idx_is_active ON clients(is_active);
+    CREATE INDEX IF NOT EXISTS idx_is_suspended ON clients(is_suspended);
+    CREATE INDEX IF NOT EXISTS idx_synced_at ON clients(synced_at);
+
+    CREATE TABLE IF NOT EXISTS sync_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sync_type TEXT NOT NULL,
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      status TEXT DEFAULT 'in_progress',
+      total_records INTEGER DEFAULT 0,
+      synced_records INTEGER DEFAULT 0,
+      failed_records INTEGER DEFAULT 0,
+      error_message TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS customer_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      splynx_customer_id TEXT UNIQUE NOT NULL,
+      uisp_client_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      notes TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_splynx_customer_id ON customer_mappings(splynx_customer_id);
+    CREATE INDEX IF NOT EXISTS idx_uisp_client_id ON customer_mappings(uisp_client_id);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,15 @@
+/**
+ * Mapping for Splynx customer 838 → UISP client 1211, previously re-inserted on every startup
+ * Runs once, so deleting the mapping afterwards is permanent.
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ run }) {
+  await run(
+    `INSERT INTO customer_mappings (splynx_customer_id, uisp_client_id, notes)
+     VALUES (?, ?, ?)
+     ON CONFLICT DO NOTHING`,
+    ['838', 1211, 'Initial mapping']
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,29 @@
+/**
+ * Delivery attempt history and the redelivery queue
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS payment_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id TEXT NOT NULL,
+      attempt_number INTEGER NOT NULL,
+      attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status TEXT NOT NULL,
+      error_message TEXT,
+      duration_ms INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payment_attempts_transaction_id ON payment_attempts(transaction_id);
+  `);
+
+  await addColumn('payments', 'splynx_customer_id', 'TEXT');
+  await addColumn('payments', 'note', 'TEXT');
+  // Payments from before the queue are left unqueued: support may already have entered them in UISP
+  // by hand, so they are only posted when replayed one by one
+  await addColumn('payments', 'next_attempt_at', 'DATETIME');
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_next_attempt_at ON payments(status, next_attempt_at);');
+}
+
+module.exports = { up };
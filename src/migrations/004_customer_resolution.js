@@ -0,0 +1,26 @@
+/**
+ * Customer resolution trace on payments and the userIdent index on clients
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ dialect, exec, addColumn }) {
+  await addColumn('payments', 'resolution_method', 'TEXT');
+  await addColumn('payments', 'resolution_trace', 'TEXT');
+  await addColumn('payments', 'splynx_customer_login', 'TEXT');
+
+  // Fill from the stored UISP payload; the first client wins if a userIdent is duplicated.
+  // Postgres databases are created by these migrations, so their clients table is still empty here.
+  await addColumn('clients', 'custom_id', 'TEXT', dialect === 'sqlite'
+    ? `UPDATE clients SET custom_id = json_extract(uisp_data, '$.userIdent')
+       WHERE json_extract(uisp_data, '$.userIdent') IS NOT NULL
+         AND json_extract(uisp_data, '$.userIdent') != ''
+         AND NOT EXISTS (
+           SELECT 1 FROM clients other
+           WHERE json_extract(other.uisp_data, '$.userIdent') = json_extract(clients.uisp_data, '$.userIdent')
+             AND other.uisp_id < clients.uisp_id
+         )`
+    : null);
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_custom_id ON clients(custom_id);');
+}
+
+module.exports = { up };
@@ -0,0 +1,39 @@
+/**
+ * Reconciliation reports and their findings
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS reconciliation_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      date_from TEXT NOT NULL,
+      date_to TEXT NOT NULL,
+      trigger TEXT DEFAULT 'manual',
+      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      status TEXT DEFAULT 'in_progress',
+      summary TEXT,
+      error_message TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS reconciliation_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_id INTEGER NOT NULL,
+      category TEXT NOT NULL,
+      source TEXT,
+      transaction_id TEXT,
+      client_id TEXT,
+      uisp_payment_ids TEXT,
+      splynx_payment_id TEXT,
+      bridge_amount REAL,
+      uisp_amount REAL,
+      splynx_amount REAL,
+      bridge_status TEXT,
+      details TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reconciliation_items_report_id ON reconciliation_items(report_id, category);
+  `);
+}
+
+module.exports = { up };
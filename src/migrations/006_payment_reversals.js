@@ -0,0 +1,10 @@
+/**
+ * Reversal details for payments deleted in Splynx
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ addColumn }) {
+  await addColumn('payments', 'reversed_at', 'DATETIME');
+  await addColumn('payments', 'reversal_response', 'TEXT');
+}
+
+module.exports = { up };
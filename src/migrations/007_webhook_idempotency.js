@@ -0,0 +1,13 @@
+/**
+ * Webhook event types and payment idempotency keys
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await addColumn('webhook_logs', 'event_type', 'TEXT');
+  await addColumn('webhook_logs', 'duplicate_of', 'TEXT');
+  await addColumn('payments', 'idempotency_key', 'TEXT');
+
+  await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_idempotency_key ON payments(idempotency_key);');
+}
+
+module.exports = { up };
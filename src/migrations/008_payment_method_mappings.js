@@ -0,0 +1,20 @@
+/**
+ * Splynx → UISP payment method mappings
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS payment_method_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      splynx_payment_method TEXT UNIQUE NOT NULL,
+      uisp_method_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      notes TEXT
+    );
+  `);
+
+  await addColumn('payments', 'uisp_method_id', 'TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,29 @@
+/**
+ * FX rates, converted payment amounts and quarantine reasons
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS fx_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      from_currency TEXT NOT NULL,
+      to_currency TEXT NOT NULL,
+      rate REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      notes TEXT,
+      UNIQUE(from_currency, to_currency)
+    );
+  `);
+
+  await addColumn('payments', 'original_amount', 'REAL');
+  await addColumn('payments', 'original_currency_code', 'TEXT');
+  await addColumn('payments', 'fx_rate', 'REAL');
+  // Quarantined payments without a client were unmatched; the rest were waiting for a method mapping
+  await addColumn('payments', 'quarantine_reason', 'TEXT',
+    `UPDATE payments
+     SET quarantine_reason = CASE WHEN client_id = '' THEN 'unmatched_client' ELSE 'unmapped_method' END
+     WHERE status = 'quarantined'`);
+}
+
+module.exports = { up };
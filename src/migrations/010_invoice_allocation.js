@@ -0,0 +1,11 @@
+/**
+ * Invoice references and the allocation sent to UISP
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ addColumn }) {
+  await addColumn('payments', 'invoice_number', 'TEXT');
+  await addColumn('payments', 'splynx_invoice_id', 'TEXT');
+  await addColumn('payments', 'invoice_allocation', 'TEXT');
+}
+
+module.exports = { up };
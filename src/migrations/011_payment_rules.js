@@ -0,0 +1,25 @@
+/**
+ * Payment guardrail rules and approval of held payments
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS payment_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_type TEXT NOT NULL,
+      currency_code TEXT,
+      threshold REAL NOT NULL,
+      window_minutes INTEGER,
+      enabled BOOLEAN DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      notes TEXT
+    );
+  `);
+
+  await addColumn('payments', 'hold_reasons', 'TEXT');
+  await addColumn('payments', 'approved_at', 'DATETIME');
+  await addColumn('payments', 'approved_by', 'TEXT');
+}
+
+module.exports = { up };
@@ -0,0 +1,24 @@
+/**
+ * Outbox of Convex mutations waiting to be sent
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS convex_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operation TEXT NOT NULL,
+      entity_key TEXT,
+      payload TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_attempt_at DATETIME,
+      next_attempt_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_convex_outbox_status ON convex_outbox(status, id);
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,16 @@
+/**
+ * Client content hashes and removal tracking for incremental client sync
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await addColumn('clients', 'content_hash', 'TEXT');
+  await addColumn('clients', 'removed_at', 'DATETIME');
+
+  await addColumn('sync_logs', 'added_records', 'INTEGER DEFAULT 0');
+  await addColumn('sync_logs', 'changed_records', 'INTEGER DEFAULT 0');
+  await addColumn('sync_logs', 'removed_records', 'INTEGER DEFAULT 0');
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_clients_removed_at ON clients(removed_at);');
+}
+
+module.exports = { up };
@@ -0,0 +1,44 @@
+// Jobs known to the scheduler; all start disabled so nothing runs until it is switched on
+const DEFAULT_JOBS = [
+  ['uisp_client_sync', '0 2 * * *', { mode: 'incremental' }],
+  ['splynx_customer_sync', '30 2 * * *', {}],
+  ['reconciliation', '0 5 * * *', { lookback_days: 1 }],
+  ['log_pruning', '0 4 * * 0', { retention_days: 90 }]
+];
+
+/**
+ * Scheduled jobs, and the trigger and result of each sync log entry
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ run, exec, addColumn }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      schedule TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT 0,
+      options TEXT,
+      next_run_at DATETIME,
+      last_run_at DATETIME,
+      last_status TEXT,
+      last_sync_log_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  for (const [name, schedule, options] of DEFAULT_JOBS) {
+    await run(
+      `INSERT INTO scheduled_jobs (name, schedule, options)
+       VALUES (?, ?, ?)
+       ON CONFLICT DO NOTHING`,
+      [name, schedule, JSON.stringify(options)]
+    );
+  }
+
+  await addColumn('sync_logs', 'trigger', 'TEXT');
+  await addColumn('sync_logs', 'details', 'TEXT');
+  await exec('CREATE INDEX IF NOT EXISTS idx_sync_logs_type ON sync_logs(sync_type, started_at);');
+}
+
+module.exports = { up };
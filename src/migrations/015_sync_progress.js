@@ -0,0 +1,13 @@
+/**
+ * Page-by-page progress of sync runs, so an interrupted client sync can be resumed
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec, addColumn }) {
+  await addColumn('sync_logs', 'pages_fetched', 'INTEGER DEFAULT 0');
+  await addColumn('sync_logs', 'next_offset', 'INTEGER DEFAULT 0');
+  await addColumn('sync_logs', 'unchanged_records', 'INTEGER DEFAULT 0');
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_sync_logs_status ON sync_logs(status);');
+}
+
+module.exports = { up };
@@ -0,0 +1,31 @@
+/**
+ * Local copy of Splynx customers (transformSplynxCustomer output), kept up to date by the
+ * paged Splynx customer sync
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS splynx_customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      splynx_id TEXT UNIQUE NOT NULL,
+      login TEXT,
+      name TEXT,
+      email TEXT,
+      phone TEXT,
+      status TEXT,
+      billing_type TEXT,
+      category TEXT,
+      street_1 TEXT,
+      city TEXT,
+      zip_code TEXT,
+      last_update TEXT,
+      synced_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_splynx_customers_login ON splynx_customers(login);');
+  await exec('CREATE INDEX IF NOT EXISTS idx_splynx_customers_last_update ON splynx_customers(last_update);');
+}
+
+module.exports = { up };
@@ -0,0 +1,33 @@
+/**
+ * Review queue of fuzzy Splynx customer → UISP client matches, and the job that produces them
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ run, exec }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS mapping_suggestions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      splynx_customer_id TEXT NOT NULL,
+      uisp_client_id INTEGER NOT NULL,
+      confidence REAL NOT NULL,
+      match_type TEXT NOT NULL,
+      reasons TEXT,
+      status TEXT DEFAULT 'pending',
+      reviewed_by TEXT,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(splynx_customer_id, uisp_client_id)
+    );
+  `);
+
+  await exec('CREATE INDEX IF NOT EXISTS idx_mapping_suggestions_status ON mapping_suggestions(status, confidence);');
+
+  await run(
+    `INSERT INTO scheduled_jobs (name, schedule, options)
+     VALUES (?, ?, ?)
+     ON CONFLICT DO NOTHING`,
+    ['customer_matching', '0 3 * * *', JSON.stringify({})]
+  );
+}
+
+module.exports = { up };
@@ -0,0 +1,16 @@
+/**
+ * Webhook signatures accepted inside the replay window, so replays are caught across restarts
+ * @param {Object} migration - Migration context ({ dialect, run, all, exec, addColumn })
+ */
+async function up({ exec }) {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS webhook_signatures (
+      signature TEXT PRIMARY KEY,
+      expires_at DATETIME NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_signatures_expires_at ON webhook_signatures(expires_at);
+  `);
+}
+
+module.exports = { up };
@@ -3,16 +3,40 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const { dbHelpers } = require('../utils/database');
 const {
+  DEFAULT_PAYMENT_METHOD_ID,
   getUISPClient,
   getUISPClientPayments,
-  syncAllClients,
+  getUISPPaymentMethods,
+  CLIENT_SYNC_MODES,
   syncSingleClient
 } = require('../services/uispService');
+const { isConvexConfigured } = require('../services/convexService');
+const { getConvexSyncStatus, resyncConvexFromDatabase } = require('../services/convexOutboxService');
+const { deliverPayment, replayPayment, REPLAYABLE_STATUSES } = require('../services/paymentDeliveryService');
+const { dispatchSplynxWebhook } = require('../services/webhookDispatcher');
+const { getUnmappedPolicy, normalizePaymentMethod } = require('../services/paymentMethodService');
+const { normalizeCurrency } = require('../services/currencyService');
+const { normalizeRule } = require('../services/paymentRulesService');
 const {
-  getAllSplynxCustomers,
-  transformSplynxCustomer
-} = require('../services/splynxService');
-const { syncSplynxCustomersToConvex, createProactiveMappings } = require('../services/convexService');
+  assignQuarantinedPaymentToClient,
+  releaseCurrencyQuarantinedPayments
+} = require('../services/quarantineService');
+const { startReconciliation, itemsToCsv } = require('../services/reconciliationService');
+const { SPLYNX_CUSTOMER_SYNC_MODES } = require('../services/splynxCustomerSyncService');
+const {
+  MAPPING_SUGGESTION_STATUSES,
+  acceptMappingSuggestion,
+  rejectMappingSuggestion
+} = require('../services/customerMatchingService');
+const {
+  JOBS,
+  getJobs,
+  getJob,
+  updateJob,
+  runJob,
+  getSyncJob,
+  cancelSyncJob
+} = require('../services/jobSchedulerService');
 
 /**
  * GET /api/payments
@@ -45,6 +69,37 @@ router.get('/payments', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/payments/unmatched
+ * Get quarantined payments that could not be matched to a UISP client
+ */
+router.get('/payments/unmatched', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const payments = await dbHelpers.getPaymentsByStatus('quarantined', limit, offset);
+
+    res.json({
+      success: true,
+      data: payments,
+      pagination: {
+        limit,
+        offset,
+        count: payments.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching unmatched payments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unmatched payments',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/payments/:transactionId
  * Get specific payment by transaction ID
@@ -75,6 +130,347 @@ router.get('/payments/:transactionId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/payments/:transactionId/attempts
+ * Get UISP delivery attempt history for a payment
+ */
+router.get('/payments/:transactionId/attempts', async (req, res) => {
+  try {
+    const payment = await dbHelpers.getPaymentByTransactionId(req.params.transactionId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const attempts = await dbHelpers.getPaymentAttempts(req.params.transactionId);
+
+    res.json({
+      success: true,
+      data: {
+        transaction_id: payment.transaction_id,
+        status: payment.status,
+        retry_count: payment.retry_count,
+        next_attempt_at: payment.next_attempt_at,
+        attempts
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching payment attempts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment attempts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/replay
+ * Replay failed/pending payments in bulk
+ * Body: { status, from, to, client_id, limit }
+ */
+router.post('/payments/replay', async (req, res) => {
+  try {
+    const { status, from, to, client_id } = req.body;
+    const statuses = status ? [].concat(status) : ['failed'];
+    const invalidStatuses = statuses.filter(s => !REPLAYABLE_STATUSES.includes(s));
+
+    if (invalidStatuses.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status filter',
+        message: `Only ${REPLAYABLE_STATUSES.join('/')} payments can be replayed`
+      });
+    }
+
+    const limit = Math.min(parseInt(req.body.limit) || 100, 500);
+    const payments = await dbHelpers.getPaymentsForReplay({ statuses, from, to, client_id, limit });
+
+    logger.info(`Bulk replay requested for ${payments.length} payment(s)`, { statuses, from, to, client_id });
+
+    const results = [];
+    for (const payment of payments) {
+      const result = await replayPayment(payment.transaction_id);
+      results.push({
+        transactionId: payment.transaction_id,
+        status: result.status,
+        error: result.error || result.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        total: results.length,
+        succeeded: results.filter(r => r.status === 'success').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        skipped: results.filter(r => r.status === 'skipped' || r.status === 'rejected').length,
+        results
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error replaying payments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay payments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/:transactionId/replay
+ * Re-run UISP posting for a stored failed/pending payment
+ */
+router.post('/payments/:transactionId/replay', async (req, res) => {
+  try {
+    const result = await replayPayment(req.params.transactionId);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (result.status === 'rejected' || result.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        error: 'Payment cannot be replayed',
+        message: result.reason || 'Payment is already being delivered'
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to post payment to UISP',
+        message: result.error,
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment successfully posted to UISP',
+      data: {
+        transactionId: result.transactionId,
+        attempt: result.attempt,
+        uispPaymentId: result.uispResponse?.id
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error replaying payment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payments/:transactionId/resolution
+ * Explain how the payment's UISP client was resolved
+ */
+router.get('/payments/:transactionId/resolution', async (req, res) => {
+  try {
+    const payment = await dbHelpers.getPaymentByTransactionId(req.params.transactionId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transaction_id: payment.transaction_id,
+        splynx_customer_id: payment.splynx_customer_id,
+        uisp_client_id: payment.client_id,
+        method: payment.resolution_method,
+        trace: payment.resolution_trace ? JSON.parse(payment.resolution_trace) : []
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching payment resolution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment resolution',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/:transactionId/assign
+ * Assign a quarantined payment to a UISP client, save the mapping and post it to UISP
+ * Body: { uisp_client_id, notes }
+ */
+router.post('/payments/:transactionId/assign', async (req, res) => {
+  try {
+    const { uisp_client_id, notes } = req.body;
+    const uispClientId = parseInt(uisp_client_id);
+
+    if (!uispClientId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'uisp_client_id is required'
+      });
+    }
+
+    const payment = await dbHelpers.getPaymentByTransactionId(req.params.transactionId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'quarantined') {
+      return res.status(409).json({
+        success: false,
+        error: 'Payment is not quarantined',
+        message: `Payment status is '${payment.status}'`
+      });
+    }
+
+    // Make sure the client exists before mapping anything to it
+    try {
+      await getUISPClient(uispClientId);
+    } catch (clientError) {
+      if (clientError.response?.status === 404) {
+        return res.status(400).json({
+          success: false,
+          error: 'UISP client not found',
+          message: `UISP client ${uispClientId} does not exist`
+        });
+      }
+      throw clientError;
+    }
+
+    // The payment method and currency must resolve for this client before it can be posted
+    const assignment = await assignQuarantinedPaymentToClient(payment, uispClientId);
+
+    if (!assignment.assigned) {
+      return res.status(assignment.retryable ? 503 : 409).json({
+        success: false,
+        error: assignment.error,
+        message: assignment.message
+      });
+    }
+
+    await dbHelpers.upsertCustomerMapping(
+      payment.splynx_customer_id,
+      uispClientId,
+      notes || `Assigned from quarantined payment ${payment.transaction_id}`
+    );
+
+    logger.info(`Quarantined payment ${payment.transaction_id} assigned: Splynx ${payment.splynx_customer_id} → UISP ${uispClientId}`);
+
+    const delivery = await deliverPayment(payment.transaction_id);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'success'
+        ? 'Payment assigned and posted to UISP'
+        : delivery.status === 'held'
+          ? 'Payment assigned and held for approval'
+          : 'Payment assigned and queued for delivery to UISP',
+      data: {
+        transactionId: payment.transaction_id,
+        splynx_customer_id: payment.splynx_customer_id,
+        uisp_client_id: uispClientId,
+        delivery: {
+          status: delivery.status,
+          uispPaymentId: delivery.uispResponse?.id,
+          error: delivery.error,
+          nextAttemptInMs: delivery.nextAttemptInMs,
+          violations: delivery.violations
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error assigning payment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payments/:transactionId/approve
+ * Approve a payment held by the payment rules and post it to UISP
+ * Body: { approved_by }
+ */
+router.post('/payments/:transactionId/approve', async (req, res) => {
+  try {
+    const { approved_by } = req.body;
+    const payment = await dbHelpers.getPaymentByTransactionId(req.params.transactionId);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const changes = await dbHelpers.approveHeldPayment(payment.transaction_id, approved_by);
+
+    if (changes === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Payment is not held',
+        message: `Payment status is '${payment.status}'`
+      });
+    }
+
+    logger.info(`Held payment ${payment.transaction_id} approved${approved_by ? ` by ${approved_by}` : ''}`);
+
+    const delivery = await deliverPayment(payment.transaction_id);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'success'
+        ? 'Payment approved and posted to UISP'
+        : 'Payment approved and queued for delivery to UISP',
+      data: {
+        transactionId: payment.transaction_id,
+        approved_by: approved_by || null,
+        hold_reasons: payment.hold_reasons ? JSON.parse(payment.hold_reasons) : [],
+        delivery: {
+          status: delivery.status,
+          uispPaymentId: delivery.uispResponse?.id,
+          error: delivery.error,
+          nextAttemptInMs: delivery.nextAttemptInMs
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error approving payment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve payment',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/clients/:clientId/payments
  * Get all payments for a specific client
@@ -106,10 +502,14 @@ router.get('/clients/:clientId/payments', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const stats = await dbHelpers.getPaymentStats();
+    const deliveryQueue = await dbHelpers.getDeliveryQueueStats();
 
     res.json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        delivery_queue: deliveryQueue
+      }
     });
 
   } catch (error) {
@@ -264,32 +664,68 @@ router.get('/clients/:clientId/uisp-payments', async (req, res) => {
   }
 });
 
+/**
+ * Reply 409 when a job could not start because another one holds its lock
+ * @param {Object} res - Express response
+ * @param {Object} run - Result of runJob ({ status: 'busy', running })
+ */
+function sendJobBusy(res, run) {
+  return res.status(409).json({
+    success: false,
+    error: 'Sync already running',
+    message: `${run.running} is running; try again when it has finished`
+  });
+}
+
+/**
+ * Read and check the client sync mode of a request
+ * @param {Object} req - Express request (body: { mode })
+ * @returns {Object} - { mode } or { error }
+ */
+function getClientSyncMode(req) {
+  const mode = (req.body && req.body.mode) || 'incremental';
+
+  if (!CLIENT_SYNC_MODES.includes(mode)) {
+    return { error: `mode must be one of: ${CLIENT_SYNC_MODES.join(', ')}` };
+  }
+  return { mode };
+}
+
 /**
  * POST /api/clients/sync
- * Trigger full client sync from UISP and create proactive mappings
+ * Trigger client sync from UISP and create proactive mappings
+ * Returns the sync job ID; follow its progress with GET /api/sync/jobs/:id
+ * Body: { mode } (incremental or full; default incremental)
  */
 router.post('/clients/sync', async (req, res) => {
   try {
-    logger.info('Client sync requested');
+    const { mode, error } = getClientSyncMode(req);
 
-    // Start sync in background (don't wait for completion)
-    syncAllClients()
-      .then(async result => {
-        logger.info('Background sync completed:', result);
-
-        // Create proactive mappings after client sync
-        logger.info('Creating proactive customer mappings after client sync...');
-        const mappingResult = await createProactiveMappings();
-        logger.info('Proactive mapping completed', mappingResult);
-      })
-      .catch(error => {
-        logger.error('Background sync failed:', error);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sync mode',
+        message: error
       });
+    }
+
+    logger.info(`Client sync requested (${mode})`);
+
+    // Start sync in background (don't wait for completion)
+    const run = await runJob('uisp_client_sync', { options: { mode }, wait: false });
+
+    if (run.status === 'busy') {
+      return sendJobBusy(res, run);
+    }
+    if (run.status === 'failed') {
+      throw run.error;
+    }
 
     res.json({
       success: true,
       message: 'Client sync started in background',
-      status: 'in_progress'
+      status: 'in_progress',
+      data: { id: run.syncLogId }
     });
 
   } catch (error) {
@@ -304,31 +740,36 @@ router.post('/clients/sync', async (req, res) => {
 
 /**
  * POST /api/clients/sync/wait
- * Trigger full client sync and wait for completion, then create proactive mappings
+ * Trigger client sync and wait for completion, then create proactive mappings
+ * Body: { mode } (incremental or full; default incremental)
  */
 router.post('/clients/sync/wait', async (req, res) => {
   try {
-    logger.info('Synchronous client sync requested');
+    const { mode, error } = getClientSyncMode(req);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sync mode',
+        message: error
+      });
+    }
 
-    const result = await syncAllClients();
+    logger.info(`Synchronous client sync requested (${mode})`);
 
-    // Create proactive mappings after sync
-    logger.info('Creating proactive customer mappings...');
-    const mappingResult = await createProactiveMappings();
-    logger.info('Proactive mapping completed', mappingResult);
+    const run = await runJob('uisp_client_sync', { options: { mode } });
+
+    if (run.status === 'busy') {
+      return sendJobBusy(res, run);
+    }
+    if (run.status === 'failed') {
+      throw run.error;
+    }
 
     res.json({
       success: true,
-      message: 'Client sync and mapping completed',
-      data: {
-        ...result,
-        mappings: mappingResult.success ? {
-          created: mappingResult.result?.created || 0,
-          updated: mappingResult.result?.updated || 0,
-          skipped: mappingResult.result?.skipped || 0,
-          total: mappingResult.result?.total || 0
-        } : { error: mappingResult.error }
-      }
+      message: run.status === 'cancelled' ? 'Client sync cancelled' : 'Client sync and mapping completed',
+      data: run.details
     });
 
   } catch (error) {
@@ -390,196 +831,1339 @@ router.get('/sync/logs', async (req, res) => {
   }
 });
 
-// ========== SPLYNX CUSTOMER ENDPOINTS ==========
-
 /**
- * POST /api/splynx/customers/sync
- * Trigger sync of Splynx customers and create proactive mappings
+ * GET /api/sync/jobs/:id
+ * Get a sync run (sync log ID) with its progress: pages fetched, records upserted, failures and ETA
  */
-router.post('/splynx/customers/sync', async (req, res) => {
+router.get('/sync/jobs/:id', async (req, res) => {
   try {
-    logger.info('Splynx customer sync requested');
+    const job = await getSyncJob(parseInt(req.params.id));
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync job not found',
+        message: `No sync job with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching sync job ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sync job',
+      message: error.message
+    });
+  }
+});
 
-    // Fetch customers from Splynx
-    logger.info('Calling getAllSplynxCustomers...');
-    const splynxCustomers = await getAllSplynxCustomers();
-    logger.info(`Received ${splynxCustomers.length} customers from Splynx`);
+/**
+ * POST /api/sync/jobs/:id/cancel
+ * Cancel a running sync; it stops before fetching its next page
+ */
+router.post('/sync/jobs/:id/cancel', async (req, res) => {
+  try {
+    const result = await cancelSyncJob(parseInt(req.params.id));
 
-    // Transform customers
-    logger.info('Transforming customers...');
-    const transformedCustomers = splynxCustomers.map(transformSplynxCustomer);
-    logger.info(`Transformed ${transformedCustomers.length} customers`);
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync job not found',
+        message: `No sync job with ID ${req.params.id}`
+      });
+    }
 
-    // Sync to Convex
-    logger.info('Syncing to Convex...');
-    const syncResult = await syncSplynxCustomersToConvex(transformedCustomers);
-    logger.info('Sync to Convex completed', syncResult);
+    if (result.status === 'not_cancellable') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync job cannot be cancelled',
+        message: `${result.name} runs cannot be cancelled`
+      });
+    }
 
-    // Create proactive mappings after sync
-    logger.info('Creating proactive customer mappings...');
-    const mappingResult = await createProactiveMappings();
-    logger.info('Proactive mapping completed', mappingResult);
+    if (result.status === 'finished') {
+      return res.status(409).json({
+        success: false,
+        error: 'Sync job already finished',
+        message: `Sync job ${req.params.id} is ${result.current}`
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Splynx customers synced and mappings created successfully',
-      data: {
-        total: transformedCustomers.length,
-        syncResult,
-        mappings: mappingResult.success ? {
-          created: mappingResult.result?.created || 0,
-          updated: mappingResult.result?.updated || 0,
-          skipped: mappingResult.result?.skipped || 0,
-          total: mappingResult.result?.total || 0
-        } : { error: mappingResult.error }
-      }
+      message: result.status === 'requested' ? 'Cancellation requested' : 'Sync job cancelled',
+      data: await getSyncJob(parseInt(req.params.id))
     });
 
   } catch (error) {
-    logger.error('Error syncing Splynx customers:', {
-      message: error.message,
-      stack: error.stack,
-      response: error.response?.data,
-      status: error.response?.status
-    });
+    logger.error(`Error cancelling sync job ${req.params.id}:`, error);
     res.status(500).json({
       success: false,
-      error: 'Failed to sync Splynx customers',
-      message: error.message,
-      details: error.response?.data || error.stack
+      error: 'Failed to cancel sync job',
+      message: error.message
     });
   }
 });
 
-// ========== CUSTOMER MAPPING ENDPOINTS ==========
+// ========== WEBHOOK LOG ENDPOINTS ==========
 
 /**
- * GET /api/mappings
- * Get all customer ID mappings
+ * Parse the stored JSON columns of a webhook log row
+ * @param {Object} log - Row from webhook_logs
+ * @returns {Object} - Row with payload and headers as objects
  */
-router.get('/mappings', async (req, res) => {
+function parseWebhookLog(log) {
+  const parse = (value) => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return value;
+    }
+  };
+
+  return {
+    ...log,
+    payload: parse(log.payload),
+    headers: parse(log.headers),
+    validated: !!log.validated,
+    processed: !!log.processed
+  };
+}
+
+/**
+ * GET /api/webhooks/logs
+ * Get received webhooks
+ * Query params: limit, offset, processed, validated, duplicate, event_type, from, to, search
+ */
+router.get('/webhooks/logs', async (req, res) => {
   try {
-    const mappings = await dbHelpers.getAllMappings();
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const filters = {
+      event_type: req.query.event_type,
+      from: req.query.from,
+      to: req.query.to,
+      search: req.query.search
+    };
+
+    if (req.query.processed !== undefined) {
+      filters.processed = req.query.processed === 'true' || req.query.processed === '1';
+    }
+
+    if (req.query.validated !== undefined) {
+      filters.validated = req.query.validated === 'true' || req.query.validated === '1';
+    }
+
+    if (req.query.duplicate !== undefined) {
+      filters.duplicate = req.query.duplicate === 'true' || req.query.duplicate === '1';
+    }
+
+    const logs = await dbHelpers.getWebhookLogs(limit, offset, filters);
 
     res.json({
       success: true,
-      data: mappings,
-      count: mappings.length
+      data: logs.map(parseWebhookLog),
+      pagination: {
+        limit,
+        offset,
+        count: logs.length
+      }
     });
 
   } catch (error) {
-    logger.error('Error fetching mappings:', error);
+    logger.error('Error fetching webhook logs:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch customer mappings',
+      error: 'Failed to fetch webhook logs',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/mappings/:splynxCustomerId
- * Get UISP client ID for a Splynx customer
+ * GET /api/webhooks/logs/:id
+ * Get a single received webhook
  */
-router.get('/mappings/:splynxCustomerId', async (req, res) => {
+router.get('/webhooks/logs/:id', async (req, res) => {
   try {
-    const uispClientId = await dbHelpers.getUispClientId(req.params.splynxCustomerId);
+    const log = await dbHelpers.getWebhookLogById(req.params.id);
 
-    if (!uispClientId) {
+    if (!log) {
       return res.status(404).json({
         success: false,
-        error: 'Mapping not found',
-        message: `No UISP client ID found for Splynx customer ${req.params.splynxCustomerId}`
+        error: 'Webhook log not found'
       });
     }
 
     res.json({
       success: true,
+      data: parseWebhookLog(log)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching webhook log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook log',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/logs/:id/reprocess
+ * Feed a stored webhook payload back through the webhook event dispatcher
+ */
+router.post('/webhooks/logs/:id/reprocess', async (req, res) => {
+  try {
+    const log = await dbHelpers.getWebhookLogById(req.params.id);
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook log not found'
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(log.payload);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Stored payload is not valid JSON',
+        message: parseError.message
+      });
+    }
+
+    logger.info(`Reprocessing webhook log ${log.id}`);
+
+    let result;
+    try {
+      // Use the event type recorded on receipt so /webhook/payment-deleted bodies stay deletions
+      const headers = parseWebhookLog(log).headers || {};
+      result = await dispatchSplynxWebhook(payload, {
+        eventType: log.event_type,
+        idempotencyKey: headers['idempotency-key']
+      });
+    } catch (processError) {
+      await dbHelpers.markWebhookProcessed(log.id, false, processError.message);
+      throw processError;
+    }
+
+    const processed = result.statusCode < 400;
+    const errorMessage = processed ? null : result.body.message || result.body.error;
+    await dbHelpers.markWebhookProcessed(log.id, processed, errorMessage, result.body.duplicateOf);
+
+    res.status(processed ? 200 : result.statusCode).json({
+      success: processed,
+      message: processed ? 'Webhook reprocessed' : 'Webhook reprocessing failed',
       data: {
-        splynx_customer_id: req.params.splynxCustomerId,
-        uisp_client_id: uispClientId
+        webhookLogId: log.id,
+        eventType: result.eventType,
+        statusCode: result.statusCode,
+        result: result.body
       }
     });
 
   } catch (error) {
-    logger.error('Error fetching mapping:', error);
+    logger.error('Error reprocessing webhook:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch mapping',
+      error: 'Failed to reprocess webhook',
       message: error.message
     });
   }
 });
 
+// ========== RECONCILIATION ENDPOINTS ==========
+
 /**
- * POST /api/mappings
- * Create or update a customer mapping
- * Body: { splynx_customer_id, uisp_client_id, notes }
+ * POST /api/reconcile
+ * Start a reconciliation of bridge payments against UISP and Splynx
+ * Body: { from, to } (YYYY-MM-DD, defaults to yesterday)
  */
-router.post('/mappings', async (req, res) => {
+router.post('/reconcile', async (req, res) => {
   try {
-    const { splynx_customer_id, uisp_client_id, notes } = req.body;
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const from = req.body.from || yesterday;
+    const to = req.body.to || from;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
 
-    if (!splynx_customer_id || !uisp_client_id) {
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields',
-        message: 'Both splynx_customer_id and uisp_client_id are required'
+        error: 'Invalid date range',
+        message: 'from and to must be YYYY-MM-DD dates with from <= to'
       });
     }
 
-    await dbHelpers.upsertCustomerMapping(splynx_customer_id, uisp_client_id, notes);
+    const reportId = await startReconciliation(from, to, 'manual');
 
-    logger.info(`Customer mapping created/updated: Splynx ${splynx_customer_id} → UISP ${uisp_client_id}`);
+    logger.info(`Reconciliation ${reportId} requested for ${from} to ${to}`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Customer mapping saved successfully',
+      message: 'Reconciliation started in background',
       data: {
-        splynx_customer_id,
-        uisp_client_id,
-        notes
+        reportId,
+        from,
+        to,
+        status: 'in_progress'
       }
     });
 
   } catch (error) {
-    logger.error('Error saving mapping:', error);
+    logger.error('Error starting reconciliation:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to save customer mapping',
+      error: 'Failed to start reconciliation',
       message: error.message
     });
   }
 });
 
 /**
- * DELETE /api/mappings/:splynxCustomerId
- * Delete a customer mapping
+ * GET /api/reconcile/reports
+ * Get recent reconciliation reports
  */
-router.delete('/mappings/:splynxCustomerId', async (req, res) => {
+router.get('/reconcile/reports', async (req, res) => {
   try {
-    const changes = await dbHelpers.deleteCustomerMapping(req.params.splynxCustomerId);
+    const limit = parseInt(req.query.limit) || 20;
+    const reports = await dbHelpers.getReconciliationReports(limit);
 
-    if (changes === 0) {
+    res.json({
+      success: true,
+      data: reports.map(report => ({
+        ...report,
+        summary: report.summary ? JSON.parse(report.summary) : null
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error fetching reconciliation reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch reconciliation reports',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/reconcile/reports/:id
+ * Get a reconciliation report with its findings
+ * Query params: category, format (json or csv)
+ */
+router.get('/reconcile/reports/:id', async (req, res) => {
+  try {
+    const report = await dbHelpers.getReconciliationReport(req.params.id);
+
+    if (!report) {
       return res.status(404).json({
         success: false,
-        error: 'Mapping not found',
-        message: `No mapping found for Splynx customer ${req.params.splynxCustomerId}`
+        error: 'Reconciliation report not found'
       });
     }
 
-    logger.info(`Customer mapping deleted for Splynx customer ${req.params.splynxCustomerId}`);
+    const items = await dbHelpers.getReconciliationItems(report.id, req.query.category);
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="reconciliation-${report.id}-${report.date_from}-${report.date_to}.csv"`);
+      return res.send(itemsToCsv(items));
+    }
 
     res.json({
       success: true,
-      message: 'Customer mapping deleted successfully'
+      data: {
+        ...report,
+        summary: report.summary ? JSON.parse(report.summary) : null,
+        items
+      }
     });
 
   } catch (error) {
-    logger.error('Error deleting mapping:', error);
+    logger.error('Error fetching reconciliation report:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete customer mapping',
+      error: 'Failed to fetch reconciliation report',
+      message: error.message
+    });
+  }
+});
+
+// ========== SPLYNX CUSTOMER ENDPOINTS ==========
+
+/**
+ * POST /api/splynx/customers/sync
+ * Sync Splynx customers into the local table and Convex, then create proactive mappings
+ * Use POST /api/jobs/splynx_customer_sync/run to sync in the background instead.
+ * Body: { mode } (incremental or full; default incremental)
+ */
+router.post('/splynx/customers/sync', async (req, res) => {
+  try {
+    const mode = (req.body && req.body.mode) || 'incremental';
+
+    if (!SPLYNX_CUSTOMER_SYNC_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sync mode',
+        message: `mode must be one of: ${SPLYNX_CUSTOMER_SYNC_MODES.join(', ')}`
+      });
+    }
+
+    logger.info(`Splynx customer sync requested (${mode})`);
+
+    const run = await runJob('splynx_customer_sync', { options: { mode } });
+
+    if (run.status === 'busy') {
+      return sendJobBusy(res, run);
+    }
+    if (run.status === 'failed') {
+      throw run.error;
+    }
+
+    res.json({
+      success: true,
+      message: run.status === 'cancelled'
+        ? 'Splynx customer sync cancelled'
+        : 'Splynx customers synced and mappings created successfully',
+      data: run.details
+    });
+
+  } catch (error) {
+    logger.error('Error syncing Splynx customers:', {
+      message: error.message,
+      stack: error.stack,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync Splynx customers',
+      message: error.message,
+      details: error.response?.data || error.stack
+    });
+  }
+});
+
+// ========== CUSTOMER MAPPING ENDPOINTS ==========
+
+/**
+ * GET /api/mappings
+ * Get all customer ID mappings
+ */
+router.get('/mappings', async (req, res) => {
+  try {
+    const mappings = await dbHelpers.getAllMappings();
+
+    res.json({
+      success: true,
+      data: mappings,
+      count: mappings.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customer mappings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Format a match suggestion row for the API (reasons parsed)
+ * @param {Object} suggestion - Row from mapping_suggestions
+ * @returns {Object}
+ */
+function formatMappingSuggestion(suggestion) {
+  return {
+    ...suggestion,
+    reasons: suggestion.reasons ? JSON.parse(suggestion.reasons) : {}
+  };
+}
+
+/**
+ * GET /api/mappings/suggestions
+ * Get Splynx customer → UISP client match suggestions (pending ones by default, best first)
+ * Query: status, min_confidence, limit, offset
+ */
+router.get('/mappings/suggestions', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const status = req.query.status || 'pending';
+
+    if (!MAPPING_SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `status must be one of: ${MAPPING_SUGGESTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const filters = { status };
+
+    if (req.query.min_confidence !== undefined) {
+      const minConfidence = parseFloat(req.query.min_confidence);
+
+      if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid min_confidence',
+          message: 'min_confidence must be a number between 0 and 1'
+        });
+      }
+
+      filters.min_confidence = minConfidence;
+    }
+
+    const suggestions = await dbHelpers.getMappingSuggestions(limit, offset, filters);
+
+    res.json({
+      success: true,
+      data: suggestions.map(formatMappingSuggestion),
+      pagination: {
+        limit,
+        offset,
+        count: suggestions.length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching mapping suggestions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mapping suggestions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/mappings/suggestions/:id/accept
+ * Accept a match suggestion: save the customer mapping and release the customer's unmatched payments
+ * Body: { reviewed_by }
+ */
+router.post('/mappings/suggestions/:id/accept', async (req, res) => {
+  try {
+    const { reviewed_by } = req.body;
+    const result = await acceptMappingSuggestion(parseInt(req.params.id), reviewed_by || null);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suggestion not found',
+        message: `No match suggestion with ID ${req.params.id}`
+      });
+    }
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.released_payments > 0
+        ? `Mapping saved and ${result.released_payments} unmatched payment(s) queued for delivery`
+        : 'Mapping saved',
+      data: {
+        suggestion: formatMappingSuggestion(result.suggestion),
+        released_payments: result.released_payments
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error accepting mapping suggestion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept mapping suggestion',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/mappings/suggestions/:id/reject
+ * Reject a match suggestion (the pair is not suggested again)
+ * Body: { reviewed_by }
+ */
+router.post('/mappings/suggestions/:id/reject', async (req, res) => {
+  try {
+    const { reviewed_by } = req.body;
+    const result = await rejectMappingSuggestion(parseInt(req.params.id), reviewed_by || null);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Suggestion not found',
+        message: `No match suggestion with ID ${req.params.id}`
+      });
+    }
+
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Suggestion rejected',
+      data: formatMappingSuggestion(result.suggestion)
+    });
+
+  } catch (error) {
+    logger.error('Error rejecting mapping suggestion:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject mapping suggestion',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/mappings/:splynxCustomerId
+ * Get UISP client ID for a Splynx customer
+ */
+router.get('/mappings/:splynxCustomerId', async (req, res) => {
+  try {
+    const uispClientId = await dbHelpers.getUispClientId(req.params.splynxCustomerId);
+
+    if (!uispClientId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No UISP client ID found for Splynx customer ${req.params.splynxCustomerId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        splynx_customer_id: req.params.splynxCustomerId,
+        uisp_client_id: uispClientId
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/mappings
+ * Create or update a customer mapping
+ * Body: { splynx_customer_id, uisp_client_id, notes }
+ */
+router.post('/mappings', async (req, res) => {
+  try {
+    const { splynx_customer_id, uisp_client_id, notes } = req.body;
+
+    if (!splynx_customer_id || !uisp_client_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Both splynx_customer_id and uisp_client_id are required'
+      });
+    }
+
+    await dbHelpers.upsertCustomerMapping(splynx_customer_id, uisp_client_id, notes);
+
+    logger.info(`Customer mapping created/updated: Splynx ${splynx_customer_id} → UISP ${uisp_client_id}`);
+
+    res.json({
+      success: true,
+      message: 'Customer mapping saved successfully',
+      data: {
+        splynx_customer_id,
+        uisp_client_id,
+        notes
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error saving mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save customer mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/mappings/:splynxCustomerId
+ * Delete a customer mapping
+ */
+router.delete('/mappings/:splynxCustomerId', async (req, res) => {
+  try {
+    const changes = await dbHelpers.deleteCustomerMapping(req.params.splynxCustomerId);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No mapping found for Splynx customer ${req.params.splynxCustomerId}`
+      });
+    }
+
+    logger.info(`Customer mapping deleted for Splynx customer ${req.params.splynxCustomerId}`);
+
+    res.json({
+      success: true,
+      message: 'Customer mapping deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete customer mapping',
+      message: error.message
+    });
+  }
+});
+
+// ========== PAYMENT RULE ENDPOINTS ==========
+
+/**
+ * GET /api/rules
+ * Get the payment guardrail rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await dbHelpers.getPaymentRules();
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching payment rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/rules
+ * Create a payment rule
+ * Body: { rule_type, currency_code, threshold, window_minutes, enabled, notes }
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const { rule, error } = normalizeRule(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule',
+        message: error
+      });
+    }
+
+    const id = await dbHelpers.insertPaymentRule(rule);
+    const created = await dbHelpers.getPaymentRuleById(id);
+
+    logger.info(`Payment rule ${id} created: ${rule.rule_type} ${rule.threshold}${rule.currency_code ? ` ${rule.currency_code}` : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Payment rule created successfully',
+      data: created
+    });
+
+  } catch (error) {
+    logger.error('Error creating payment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create payment rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/rules/:id
+ * Replace a payment rule
+ * Body: { rule_type, currency_code, threshold, window_minutes, enabled, notes }
+ */
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const existing = await dbHelpers.getPaymentRuleById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment rule not found'
+      });
+    }
+
+    const { rule, error } = normalizeRule(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule',
+        message: error
+      });
+    }
+
+    await dbHelpers.updatePaymentRule(existing.id, rule);
+    const updated = await dbHelpers.getPaymentRuleById(existing.id);
+
+    logger.info(`Payment rule ${existing.id} updated`);
+
+    res.json({
+      success: true,
+      message: 'Payment rule updated successfully',
+      data: updated
+    });
+
+  } catch (error) {
+    logger.error('Error updating payment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update payment rule',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/rules/:id
+ * Delete a payment rule
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const changes = await dbHelpers.deletePaymentRule(req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment rule not found'
+      });
+    }
+
+    logger.info(`Payment rule ${req.params.id} deleted`);
+
+    res.json({
+      success: true,
+      message: 'Payment rule deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting payment rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete payment rule',
+      message: error.message
+    });
+  }
+});
+
+// ========== FX RATE ENDPOINTS ==========
+
+/**
+ * GET /api/fx-rates
+ * Get all currency conversion rates
+ */
+router.get('/fx-rates', async (req, res) => {
+  try {
+    const rates = await dbHelpers.getAllFxRates();
+
+    res.json({
+      success: true,
+      data: rates,
+      count: rates.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching FX rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch FX rates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/fx-rates
+ * Create or update a conversion rate and retry payments quarantined for their currency
+ * Body: { from_currency, to_currency, rate, notes } (1 from_currency = rate to_currency)
+ */
+router.post('/fx-rates', async (req, res) => {
+  try {
+    const fromCurrency = normalizeCurrency(req.body.from_currency);
+    const toCurrency = normalizeCurrency(req.body.to_currency);
+    const rate = parseFloat(req.body.rate);
+    const { notes } = req.body;
+
+    if (!fromCurrency || !toCurrency || !req.body.rate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'from_currency, to_currency and rate are required'
+      });
+    }
+
+    if (!/^[A-Z]{3}$/.test(fromCurrency) || !/^[A-Z]{3}$/.test(toCurrency) || fromCurrency === toCurrency) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currencies',
+        message: 'from_currency and to_currency must be two different 3-letter currency codes'
+      });
+    }
+
+    if (isNaN(rate) || rate <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rate',
+        message: 'rate must be a positive number'
+      });
+    }
+
+    await dbHelpers.upsertFxRate(fromCurrency, toCurrency, rate, notes);
+
+    logger.info(`FX rate saved: 1 ${fromCurrency} = ${rate} ${toCurrency}`);
+
+    const release = await releaseCurrencyQuarantinedPayments();
+
+    res.json({
+      success: true,
+      message: 'FX rate saved successfully',
+      data: {
+        from_currency: fromCurrency,
+        to_currency: toCurrency,
+        rate,
+        notes,
+        quarantined_payments: release
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error saving FX rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save FX rate',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/fx-rates/:fromCurrency/:toCurrency
+ * Delete a conversion rate
+ */
+router.delete('/fx-rates/:fromCurrency/:toCurrency', async (req, res) => {
+  try {
+    const fromCurrency = normalizeCurrency(req.params.fromCurrency);
+    const toCurrency = normalizeCurrency(req.params.toCurrency);
+    const changes = await dbHelpers.deleteFxRate(fromCurrency, toCurrency);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'FX rate not found',
+        message: `No FX rate found for ${fromCurrency} → ${toCurrency}`
+      });
+    }
+
+    logger.info(`FX rate deleted: ${fromCurrency} → ${toCurrency}`);
+
+    res.json({
+      success: true,
+      message: 'FX rate deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting FX rate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete FX rate',
+      message: error.message
+    });
+  }
+});
+
+// ========== PAYMENT METHOD ENDPOINTS ==========
+
+/**
+ * GET /api/payment-methods
+ * List the payment methods available in UISP
+ */
+router.get('/payment-methods', async (req, res) => {
+  try {
+    const methods = await getUISPPaymentMethods();
+
+    res.json({
+      success: true,
+      data: methods.map(method => ({
+        ...method,
+        is_default: method.id === DEFAULT_PAYMENT_METHOD_ID
+      })),
+      unmapped_policy: getUnmappedPolicy(),
+      count: methods.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching UISP payment methods:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch UISP payment methods',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/payment-methods/mappings
+ * Get all Splynx → UISP payment method mappings
+ */
+router.get('/payment-methods/mappings', async (req, res) => {
+  try {
+    const mappings = await dbHelpers.getAllPaymentMethodMappings();
+
+    res.json({
+      success: true,
+      data: mappings,
+      unmapped_policy: getUnmappedPolicy(),
+      count: mappings.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching payment method mappings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment method mappings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payment-methods/mappings
+ * Create or update a payment method mapping and release payments quarantined for it
+ * Body: { splynx_payment_method, uisp_method_id, notes }
+ */
+router.post('/payment-methods/mappings', async (req, res) => {
+  try {
+    const { uisp_method_id, notes } = req.body;
+    const splynxPaymentMethod = normalizePaymentMethod(req.body.splynx_payment_method);
+
+    if (!splynxPaymentMethod || !uisp_method_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Both splynx_payment_method and uisp_method_id are required'
+      });
+    }
+
+    // Make sure the method exists in UISP before mapping anything to it
+    const methods = await getUISPPaymentMethods();
+    const uispMethod = methods.find(method => method.id === uisp_method_id);
+
+    if (!uispMethod) {
+      return res.status(400).json({
+        success: false,
+        error: 'UISP payment method not found',
+        message: `UISP payment method ${uisp_method_id} does not exist`
+      });
+    }
+
+    await dbHelpers.upsertPaymentMethodMapping(splynxPaymentMethod, uisp_method_id, notes);
+    const updatedPayments = await dbHelpers.applyPaymentMethodMapping(splynxPaymentMethod, uisp_method_id);
+
+    logger.info(`Payment method mapping created/updated: Splynx ${splynxPaymentMethod} → UISP ${uispMethod.name || uisp_method_id}`, {
+      updatedPayments
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment method mapping saved successfully',
+      data: {
+        splynx_payment_method: splynxPaymentMethod,
+        uisp_method_id,
+        uisp_method_name: uispMethod.name,
+        notes,
+        updated_quarantined_payments: updatedPayments
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error saving payment method mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save payment method mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/payment-methods/mappings/:splynxPaymentMethod
+ * Delete a payment method mapping
+ */
+router.delete('/payment-methods/mappings/:splynxPaymentMethod', async (req, res) => {
+  try {
+    const splynxPaymentMethod = normalizePaymentMethod(req.params.splynxPaymentMethod);
+    const changes = await dbHelpers.deletePaymentMethodMapping(splynxPaymentMethod);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No mapping found for Splynx payment method ${splynxPaymentMethod}`
+      });
+    }
+
+    logger.info(`Payment method mapping deleted for Splynx method ${splynxPaymentMethod}`);
+
+    res.json({
+      success: true,
+      message: 'Payment method mapping deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting payment method mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete payment method mapping',
+      message: error.message
+    });
+  }
+});
+
+// ========== JOB ENDPOINTS ==========
+
+/**
+ * GET /api/jobs
+ * Get the scheduled jobs with their schedules and next run times
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await getJobs();
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:name
+ * Get a scheduled job and its recent runs
+ */
+router.get('/jobs/:name', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const job = await getJob(req.params.name, limit);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job named ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching job ${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/jobs/:name
+ * Change a job's schedule, enable or disable it, or change its options
+ * Body: { schedule (cron expression), enabled, options }
+ */
+router.put('/jobs/:name', async (req, res) => {
+  try {
+    const result = await updateJob(req.params.name, req.body || {});
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job named ${req.params.name}`
+      });
+    }
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job configuration',
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job updated',
+      data: result.job
+    });
+
+  } catch (error) {
+    logger.error(`Error updating job ${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Run a job now in the background; returns its sync job ID (see GET /api/sync/jobs/:id)
+ */
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    if (!JOBS[req.params.name]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job named ${req.params.name}`
+      });
+    }
+
+    const run = await runJob(req.params.name, { wait: false });
+
+    if (run.status === 'busy') {
+      return sendJobBusy(res, run);
+    }
+    if (run.status === 'failed') {
+      throw run.error;
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} started in background`,
+      status: 'in_progress',
+      data: { id: run.syncLogId }
+    });
+
+  } catch (error) {
+    logger.error(`Error running job ${req.params.name}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run job',
+      message: error.message
+    });
+  }
+});
+
+// ========== CONVEX ENDPOINTS ==========
+
+const RESYNC_SCOPES = ['all', 'payments', 'clients'];
+
+/**
+ * GET /api/convex/sync-status
+ * Get the Convex mirroring backlog and the last error
+ */
+router.get('/convex/sync-status', async (req, res) => {
+  try {
+    const status = await getConvexSyncStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Error fetching Convex sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Convex sync status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/convex/resync
+ * Rebuild the Convex copy of payments and clients from the database
+ * Body: { scope } (all, payments or clients; default all)
+ */
+router.post('/convex/resync', async (req, res) => {
+  try {
+    const scope = req.body.scope || 'all';
+
+    if (!RESYNC_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scope',
+        message: `scope must be one of: ${RESYNC_SCOPES.join(', ')}`
+      });
+    }
+
+    if (!isConvexConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Convex not configured',
+        message: 'Set CONVEX_URL to mirror data to Convex'
+      });
+    }
+
+    const result = await resyncConvexFromDatabase(scope);
+
+    res.json({
+      success: true,
+      message: 'Convex resync queued',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error resyncing Convex:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resync Convex',
       message: error.message
     });
   }
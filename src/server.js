@@ -7,6 +7,7 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const logger = require('./utils/logger');
+const { dbReady } = require('./utils/database');
 
 // Debug: Log that environment variables are loaded
 logger.info('Environment variables loaded', {
@@ -17,6 +18,9 @@ logger.info('Environment variables loaded', {
 });
 const webhookRouter = require('./routes/webhook');
 const apiRouter = require('./routes/api');
+const { startDeliveryWorker, stopDeliveryWorker } = require('./services/paymentDeliveryService');
+const { startConvexOutboxWorker, stopConvexOutboxWorker } = require('./services/convexOutboxService');
+const { startJobScheduler, stopJobScheduler } = require('./services/jobSchedulerService');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -32,8 +36,12 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parser middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the exact request bytes for webhook HMAC verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -86,17 +94,37 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(port, () => {
-  logger.info(`Payment webhook server running on port ${port}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Webhook endpoint: http://localhost:${port}/webhook/payment`);
-  logger.info(`API endpoint: http://localhost:${port}/api`);
-});
+// Start server once the database schema is migrated
+let server = null;
+
+dbReady
+  .then(() => {
+    server = app.listen(port, () => {
+      logger.info(`Payment webhook server running on port ${port}`);
+      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      logger.info(`Webhook endpoint: http://localhost:${port}/webhook/payment`);
+      logger.info(`API endpoint: http://localhost:${port}/api`);
+
+      // Redeliver queued payments to UISP in the background
+      startDeliveryWorker();
+      startConvexOutboxWorker();
+      startJobScheduler();
+    });
+  })
+  .catch(error => {
+    logger.error('Database is not ready, server not started:', error);
+    process.exit(1);
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  stopDeliveryWorker();
+  stopConvexOutboxWorker();
+  stopJobScheduler();
+  if (!server) {
+    process.exit(0);
+  }
   server.close(() => {
     logger.info('HTTP server closed');
   });
@@ -104,6 +132,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
+  stopDeliveryWorker();
+  stopConvexOutboxWorker();
+  stopJobScheduler();
   process.exit(0);
 });
 
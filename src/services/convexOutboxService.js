@@ -0,0 +1,437 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const {
+  isConvexConfigured,
+  getConvexCacheStats,
+  upsertPaymentInConvex,
+  updatePaymentStatusesInConvex,
+  syncClientsToConvex,
+  syncSplynxCustomersToConvex
+} = require('./convexService');
+
+const WORKER_INTERVAL_MS = parseInt(process.env.CONVEX_OUTBOX_INTERVAL_MS) || 10000;
+const WORKER_BATCH_SIZE = parseInt(process.env.CONVEX_OUTBOX_BATCH_SIZE) || 50;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.CONVEX_OUTBOX_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.CONVEX_OUTBOX_RETRY_MAX_MS) || 600000;
+const MAX_ATTEMPTS = parseInt(process.env.CONVEX_OUTBOX_MAX_ATTEMPTS) || 10;
+
+// Clients (and Splynx customers) are mirrored in chunks so one bad chunk does not hold back a full sync
+const CLIENT_CHUNK_SIZE = 100;
+const RESYNC_PAGE_SIZE = 500;
+
+// Convex mutation for each outbox operation (payload stored as JSON)
+const OPERATIONS = {
+  'payment.upsert': payload => upsertPaymentInConvex(payload),
+  'clients.upsert': payload => syncClientsToConvex(payload.clients),
+  'splynx_customers.upsert': payload => syncSplynxCustomersToConvex(payload.customers)
+};
+
+// Operations whose consecutive items are sent together (handler receives the payloads in order)
+const BATCHED_OPERATIONS = {
+  'payment.status': sendPaymentStatuses
+};
+
+let workerTimer = null;
+let flushing = false;
+let lastFlushAt = null;
+let lastFlushError = null;
+
+/**
+ * Calculate the delay before the next send of an outbox item (capped exponential backoff)
+ * @param {number} attempts - Number of failed sends so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(
+    RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)),
+    RETRY_MAX_DELAY_MS
+  );
+}
+
+/**
+ * Send payment status changes to Convex, in order
+ * Payments recorded before mirroring went through the outbox may be missing from Convex;
+ * those are created from the stored payment instead.
+ * @param {Array<Object>} payloads - { transaction_id, status, uisp_response, error_message }
+ * @returns {Promise<Object>} Response from Convex
+ */
+async function sendPaymentStatuses(payloads) {
+  const result = await updatePaymentStatusesInConvex(payloads);
+
+  if (result.success === false) {
+    return result;
+  }
+
+  for (const transactionId of new Set(result.missing)) {
+    const payment = await dbHelpers.getPaymentByTransactionId(transactionId);
+
+    if (payment) {
+      const created = await upsertPaymentInConvex(toConvexPayment(payment));
+
+      if (created.success === false) {
+        return created;
+      }
+    }
+  }
+
+  return { success: true };
+}
+
+/**
+ * Send a run of outbox items of the same operation
+ * @param {Array<Object>} items - Outbox rows (more than one only for batched operations)
+ * @returns {Promise<string|null>} - Error message, or null when sent
+ */
+async function sendOutboxItems(items) {
+  const operation = items[0].operation;
+  const payloads = items.map(item => JSON.parse(item.payload));
+
+  try {
+    let result;
+
+    if (BATCHED_OPERATIONS[operation]) {
+      result = await BATCHED_OPERATIONS[operation](payloads);
+    } else {
+      result = await OPERATIONS[operation](payloads[0]);
+    }
+
+    return result && result.success === false ? result.error : null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Record a Convex mutation in the outbox and start sending it
+ * Nothing is recorded when Convex is not configured.
+ * @param {string} operation - Outbox operation (see OPERATIONS)
+ * @param {string} entityKey - Transaction ID or client range, for status and logs
+ * @param {Object} payload - Mutation arguments
+ * @returns {Promise<number|null>} - Outbox item ID
+ */
+async function enqueue(operation, entityKey, payload) {
+  if (!isConvexConfigured()) {
+    return null;
+  }
+
+  const id = await dbHelpers.insertConvexOutboxItem(operation, entityKey, payload);
+
+  flushConvexOutbox().catch(err => {
+    logger.warn('Convex outbox flush failed:', err.message);
+  });
+
+  return id;
+}
+
+/**
+ * Mirror a payment to Convex (created, or its status updated if Convex already has it)
+ * @param {Object} paymentData - Payment data (as stored by the bridge)
+ * @returns {Promise<number|null>} - Outbox item ID
+ */
+function mirrorPaymentToConvex(paymentData) {
+  return enqueue('payment.upsert', paymentData.transaction_id, paymentData);
+}
+
+/**
+ * Mirror a payment status change to Convex
+ * @param {string} transactionId - Transaction ID
+ * @param {string} status - New status
+ * @param {string} uispResponse - UISP response (optional)
+ * @param {string} errorMessage - Error message (optional)
+ * @returns {Promise<number|null>} - Outbox item ID
+ */
+function mirrorPaymentStatusToConvex(transactionId, status, uispResponse = null, errorMessage = null) {
+  return enqueue('payment.status', transactionId, {
+    transaction_id: transactionId,
+    status,
+    uisp_response: uispResponse,
+    error_message: errorMessage
+  });
+}
+
+/**
+ * Mirror clients to Convex, in chunks of CLIENT_CHUNK_SIZE
+ * Only the fields Convex stores are kept (not the raw UISP client).
+ * @param {Array} clients - Clients (transformed UISP data or client rows)
+ * @returns {Promise<number>} - Number of outbox items recorded
+ */
+async function mirrorClientsToConvex(clients) {
+  if (!isConvexConfigured()) {
+    return 0;
+  }
+
+  let recorded = 0;
+
+  for (let i = 0; i < clients.length; i += CLIENT_CHUNK_SIZE) {
+    const chunk = clients.slice(i, i + CLIENT_CHUNK_SIZE).map(client => ({
+      uisp_id: client.uisp_id,
+      custom_id: client.custom_id,
+      first_name: client.first_name,
+      last_name: client.last_name,
+      email: client.email,
+      phone: client.phone,
+      account_balance: client.account_balance,
+      account_outstanding: client.account_outstanding,
+      // Client rows store booleans as 0/1
+      is_active: client.is_active === undefined ? undefined : !!client.is_active,
+      is_suspended: !!client.is_suspended
+    }));
+    const entityKey = `clients ${chunk[0].uisp_id}-${chunk[chunk.length - 1].uisp_id}`;
+
+    await enqueue('clients.upsert', entityKey, { clients: chunk });
+    recorded++;
+  }
+
+  return recorded;
+}
+
+/**
+ * Mirror Splynx customers to Convex, in chunks of CLIENT_CHUNK_SIZE
+ * @param {Array} customers - Customers (transformSplynxCustomer output or splynx_customers rows)
+ * @returns {Promise<number>} - Number of outbox items recorded
+ */
+async function mirrorSplynxCustomersToConvex(customers) {
+  if (!isConvexConfigured()) {
+    return 0;
+  }
+
+  let recorded = 0;
+
+  for (let i = 0; i < customers.length; i += CLIENT_CHUNK_SIZE) {
+    const chunk = customers.slice(i, i + CLIENT_CHUNK_SIZE).map(customer => ({
+      splynx_id: customer.splynx_id,
+      login: customer.login,
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      status: customer.status,
+      billing_type: customer.billing_type,
+      category: customer.category,
+      street_1: customer.street_1,
+      city: customer.city,
+      zip_code: customer.zip_code
+    }));
+    const entityKey = `splynx customers ${chunk[0].splynx_id}-${chunk[chunk.length - 1].splynx_id}`;
+
+    await enqueue('splynx_customers.upsert', entityKey, { customers: chunk });
+    recorded++;
+  }
+
+  return recorded;
+}
+
+/**
+ * Send due outbox items to Convex, oldest first
+ * Items are sent strictly in order: the flush stops at the first item that fails (and the
+ * items after it wait for its retry), so a later status update never overtakes an earlier one.
+ * Consecutive payment status updates are sent together; a failed batch is retried as a
+ * whole, with the failure recorded on its first item.
+ * @returns {Promise<Object>} - { sent, failed, skipped }
+ */
+async function flushConvexOutbox() {
+  if (flushing || !isConvexConfigured()) {
+    return { sent: 0, failed: 0, skipped: true };
+  }
+
+  flushing = true;
+  let sent = 0;
+  let failed = 0;
+
+  try {
+    const items = await dbHelpers.getDueConvexOutboxItems(WORKER_BATCH_SIZE);
+
+    let index = 0;
+
+    while (index < items.length) {
+      const item = items[index];
+      const known = !!(OPERATIONS[item.operation] || BATCHED_OPERATIONS[item.operation]);
+      let run = [item];
+
+      if (BATCHED_OPERATIONS[item.operation]) {
+        let end = index + 1;
+        while (end < items.length && items[end].operation === item.operation) {
+          end++;
+        }
+        run = items.slice(index, end);
+      }
+
+      const errorMessage = known
+        ? await sendOutboxItems(run)
+        : `Unknown outbox operation '${item.operation}'`;
+
+      if (!errorMessage) {
+        for (const sentItem of run) {
+          await dbHelpers.deleteConvexOutboxItem(sentItem.id);
+        }
+        sent += run.length;
+        index += run.length;
+        continue;
+      }
+
+      const attempts = item.attempts + 1;
+      const giveUp = !known || attempts >= MAX_ATTEMPTS;
+
+      await dbHelpers.markConvexOutboxItemFailed(item.id, errorMessage, giveUp ? null : getRetryDelay(attempts));
+      lastFlushError = {
+        id: item.id,
+        operation: item.operation,
+        entity_key: item.entity_key,
+        error: errorMessage,
+        at: new Date().toISOString()
+      };
+      failed++;
+
+      if (giveUp) {
+        logger.error(`Gave up on Convex outbox item ${item.id} (${item.operation} ${item.entity_key}) after ${attempts} attempt(s): ${errorMessage}`);
+        index++;
+        continue;
+      }
+
+      logger.warn(`Convex outbox item ${item.id} (${item.operation} ${item.entity_key}) failed, will retry: ${errorMessage}`);
+      break;
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} Convex outbox item(s)`);
+    }
+  } catch (error) {
+    logger.error('Convex outbox flush failed:', error.message);
+    lastFlushError = { error: error.message, at: new Date().toISOString() };
+  } finally {
+    flushing = false;
+    lastFlushAt = new Date().toISOString();
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * Get the Convex mirroring backlog and the most recent error
+ * @returns {Promise<Object>} - Sync status
+ */
+async function getConvexSyncStatus() {
+  const stats = await dbHelpers.getConvexOutboxStats();
+
+  return {
+    configured: isConvexConfigured(),
+    worker_running: !!workerTimer,
+    backlog: stats.pending,
+    dead: stats.dead,
+    oldest_pending_at: stats.oldest_pending_at,
+    last_flush_at: lastFlushAt,
+    last_error: stats.last_error || lastFlushError,
+    cache: getConvexCacheStats()
+  };
+}
+
+/**
+ * Convert a stored payment row into the payment data sent to Convex
+ * @param {Object} payment - Stored payment row
+ * @returns {Object}
+ */
+function toConvexPayment(payment) {
+  // Stored timestamps are UTC 'YYYY-MM-DD HH:MM:SS'; Convex keeps received_at in epoch ms
+  const receivedAt = payment.received_at
+    ? Date.parse(`${payment.received_at.toString().replace(' ', 'T')}Z`)
+    : NaN;
+
+  return {
+    transaction_id: payment.transaction_id,
+    client_id: payment.client_id,
+    amount: payment.amount,
+    currency_code: payment.currency_code,
+    created_at: payment.created_at,
+    received_at: Number.isNaN(receivedAt) ? undefined : receivedAt,
+    status: payment.status,
+    retry_count: payment.retry_count,
+    splynx_customer_id: payment.splynx_customer_id,
+    payment_type: payment.payment_type,
+    payment_method: payment.payment_method,
+    uisp_response: payment.uisp_response,
+    error_message: payment.error_message
+  };
+}
+
+/**
+ * Rebuild the Convex copy of payments and/or clients from the database
+ * Items given up on are dropped first, since the resync replaces them.
+ * @param {string} scope - 'all', 'payments' or 'clients'
+ * @returns {Promise<Object>} - { payments, clients, dropped } (payments/clients = rows queued)
+ */
+async function resyncConvexFromDatabase(scope = 'all') {
+  const dropped = await dbHelpers.deleteDeadConvexOutboxItems();
+  let payments = 0;
+  let clients = 0;
+
+  if (scope === 'all' || scope === 'payments') {
+    for (let offset = 0; ; offset += RESYNC_PAGE_SIZE) {
+      const rows = await dbHelpers.getAllPayments(RESYNC_PAGE_SIZE, offset);
+
+      for (const row of rows) {
+        await mirrorPaymentToConvex(toConvexPayment(row));
+      }
+      payments += rows.length;
+
+      if (rows.length < RESYNC_PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+
+  if (scope === 'all' || scope === 'clients') {
+    for (let offset = 0; ; offset += RESYNC_PAGE_SIZE) {
+      const rows = await dbHelpers.getAllClients(RESYNC_PAGE_SIZE, offset);
+
+      await mirrorClientsToConvex(rows);
+      clients += rows.length;
+
+      if (rows.length < RESYNC_PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+
+  logger.info(`Queued Convex resync of ${payments} payment(s) and ${clients} client(s)`);
+
+  return { payments, clients, dropped };
+}
+
+/**
+ * Start the background outbox worker
+ */
+function startConvexOutboxWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  if (!isConvexConfigured()) {
+    logger.info('Convex not configured, outbox worker not started');
+    return;
+  }
+
+  workerTimer = setInterval(flushConvexOutbox, WORKER_INTERVAL_MS);
+  logger.info(`Convex outbox worker started (interval: ${WORKER_INTERVAL_MS}ms, max attempts: ${MAX_ATTEMPTS})`);
+}
+
+/**
+ * Stop the background outbox worker
+ */
+function stopConvexOutboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+    logger.info('Convex outbox worker stopped');
+  }
+}
+
+module.exports = {
+  mirrorPaymentToConvex,
+  mirrorPaymentStatusToConvex,
+  mirrorClientsToConvex,
+  mirrorSplynxCustomersToConvex,
+  flushConvexOutbox,
+  getConvexSyncStatus,
+  resyncConvexFromDatabase,
+  startConvexOutboxWorker,
+  stopConvexOutboxWorker
+};
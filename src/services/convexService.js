@@ -1,10 +1,18 @@
 const { ConvexHttpClient } = require('convex/browser');
 const logger = require('../utils/logger');
+const { createLruCache } = require('../utils/lruCache');
 
 const CONVEX_URL = process.env.CONVEX_URL;
+const CACHE_TTL_MS = parseInt(process.env.CONVEX_CACHE_TTL_MS) || 300000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.CONVEX_CACHE_MAX_ENTRIES) || 1000;
 
 let convexClient = null;
 
+// Customer mappings and Splynx logins looked up during resolution, keyed by Splynx customer ID
+// (a cached null means Convex has no entry)
+const mappingCache = createLruCache({ maxEntries: CACHE_MAX_ENTRIES, ttlMs: CACHE_TTL_MS });
+const loginCache = createLruCache({ maxEntries: CACHE_MAX_ENTRIES, ttlMs: CACHE_TTL_MS });
+
 if (!CONVEX_URL) {
   logger.warn('CONVEX_URL not set in environment variables. Convex integration disabled.');
 } else {
@@ -16,6 +24,14 @@ if (!CONVEX_URL) {
   }
 }
 
+/**
+ * Check whether Convex is configured (CONVEX_URL set and client created)
+ * @returns {boolean}
+ */
+function isConvexConfigured() {
+  return !!convexClient;
+}
+
 /**
  * Send payment data to Convex
  * @param {Object} paymentData - Payment data to store
@@ -109,6 +125,69 @@ async function updatePaymentStatusInConvex(transactionId, status, uispResponse,
   }
 }
 
+/**
+ * Update the status of several payments in Convex, in order
+ * @param {Array<Object>} updates - { transaction_id, status, uisp_response, error_message }, in order
+ * @returns {Promise<Object>} - { success, missing: transaction IDs Convex has no payment for }
+ */
+async function updatePaymentStatusesInConvex(updates) {
+  if (!convexClient) {
+    return { success: false, error: 'Convex not configured' };
+  }
+
+  const missing = [];
+
+  for (const update of updates) {
+    const result = await updatePaymentStatusInConvex(
+      update.transaction_id, update.status, update.uisp_response, update.error_message
+    );
+
+    if (result.success === false) {
+      if (result.error !== 'Payment not found') {
+        return result;
+      }
+      missing.push(update.transaction_id);
+    }
+  }
+
+  return { success: true, missing };
+}
+
+/**
+ * Create a payment in Convex, or update its status if Convex already has it
+ * Safe to repeat, so a send that failed after reaching Convex can be retried.
+ * @param {Object} paymentData - Payment data (as stored by the bridge)
+ * @returns {Promise<Object>} Response from Convex
+ */
+async function upsertPaymentInConvex(paymentData) {
+  if (!convexClient) {
+    return { success: false, error: 'Convex not configured' };
+  }
+
+  try {
+    const existing = await convexClient.query("payments:getPaymentByTransactionId", {
+      transaction_id: paymentData.transaction_id
+    });
+
+    if (!existing) {
+      return sendPaymentToConvex(paymentData);
+    }
+
+    return updatePaymentStatusInConvex(
+      paymentData.transaction_id,
+      paymentData.status || 'pending',
+      paymentData.uisp_response,
+      paymentData.error_message
+    );
+  } catch (error) {
+    logger.error('Error upserting payment in Convex:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Bulk sync clients to Convex
  * @param {Array} clients - Array of client objects
@@ -198,6 +277,8 @@ async function syncSplynxCustomersToConvex(customers) {
       customers: transformedCustomers
     });
 
+    customers.forEach(customer => loginCache.delete(customer.splynx_id?.toString()));
+
     logger.info(`${customers.length} Splynx customers synced to Convex successfully`);
     return { success: true, result };
   } catch (error) {
@@ -253,20 +334,28 @@ async function getSplynxCustomerLoginFromConvex(splynxCustomerId) {
     return null;
   }
 
+  const cached = loginCache.get(splynxCustomerId.toString());
+
+  if (cached !== undefined) {
+    return cached;
+  }
+
   try {
     logger.info(`Looking up Splynx customer ${splynxCustomerId} in Convex...`);
 
     const customer = await convexClient.query("splynx_customers:getSplynxCustomerById", {
       splynxId: splynxCustomerId.toString()
     });
+    const login = customer && customer.login ? customer.login : null;
 
-    if (customer && customer.login) {
-      logger.info(`Found customer login in Convex: ${customer.login}`);
-      return customer.login;
+    loginCache.set(splynxCustomerId.toString(), login);
+
+    if (login) {
+      logger.info(`Found customer login in Convex: ${login}`);
     } else {
       logger.warn(`Splynx customer ${splynxCustomerId} not found in Convex`);
-      return null;
     }
+    return login;
   } catch (error) {
     logger.error('Error getting customer from Convex:', error.message);
     return null;
@@ -289,6 +378,9 @@ async function createProactiveMappings() {
 
     const result = await convexClient.mutation("customer_mappings:createProactiveMappings", {});
 
+    // Any cached mapping may have changed
+    mappingCache.clear();
+
     logger.info(`Proactive mappings created:`, {
       created: result.created,
       updated: result.updated,
@@ -307,6 +399,31 @@ async function createProactiveMappings() {
   }
 }
 
+/**
+ * Query the mapping of one Splynx customer
+ * Every mapping in the fetched list is cached, so one fetch serves the other customers too.
+ * @param {string} splynxCustomerId - Splynx customer ID
+ * @returns {Promise<Object|null>} Mapping object or null if not found
+ */
+async function queryCustomerMapping(splynxCustomerId) {
+  const mappings = await convexClient.query("customer_mappings:getCustomerMappings", {});
+
+  mappings.forEach(mapping => mappingCache.set(mapping.splynx_customer_id, mapping));
+
+  return mappings.find(m => m.splynx_customer_id === splynxCustomerId) || null;
+}
+
+/**
+ * Get Convex lookup cache metrics
+ * @returns {Object} - { mappings, logins }
+ */
+function getConvexCacheStats() {
+  return {
+    mappings: mappingCache.stats(),
+    logins: loginCache.stats()
+  };
+}
+
 /**
  * Get customer mapping from Convex by Splynx customer ID
  * @param {string} splynxCustomerId - Splynx customer ID
@@ -318,19 +435,23 @@ async function getCustomerMappingFromConvex(splynxCustomerId) {
     return null;
   }
 
+  const cached = mappingCache.get(splynxCustomerId.toString());
+
+  if (cached !== undefined) {
+    return cached;
+  }
+
   try {
-    const mapping = await convexClient.query("customer_mappings:getCustomerMappings", {});
+    const found = await queryCustomerMapping(splynxCustomerId.toString());
 
-    // Find the mapping for this customer
-    const found = mapping.find(m => m.splynx_customer_id === splynxCustomerId);
+    mappingCache.set(splynxCustomerId.toString(), found);
 
     if (found) {
       logger.info(`Found mapping in Convex: Splynx ${splynxCustomerId} → UISP ${found.uisp_client_id}`);
-      return found;
     } else {
       logger.info(`No mapping found in Convex for Splynx customer ${splynxCustomerId}`);
-      return null;
     }
+    return found;
   } catch (error) {
     logger.error('Error getting customer mapping from Convex:', error.message);
     return null;
@@ -338,12 +459,16 @@ async function getCustomerMappingFromConvex(splynxCustomerId) {
 }
 
 module.exports = {
+  isConvexConfigured,
   sendPaymentToConvex,
+  upsertPaymentInConvex,
   updatePaymentStatusInConvex,
+  updatePaymentStatusesInConvex,
   syncClientsToConvex,
   syncSplynxCustomersToConvex,
   logWebhookToConvex,
   getSplynxCustomerLoginFromConvex,
   createProactiveMappings,
   getCustomerMappingFromConvex,
+  getConvexCacheStats,
 };
@@ -0,0 +1,130 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { getUISPClient, transformClientData } = require('./uispService');
+
+/**
+ * Normalize a currency code (trimmed, upper-case)
+ * @param {string} currencyCode - e.g. "kes"
+ * @returns {string|null}
+ */
+function normalizeCurrency(currencyCode) {
+  if (!currencyCode) {
+    return null;
+  }
+  return currencyCode.toString().trim().toUpperCase() || null;
+}
+
+/**
+ * Get the billing currency of a UISP client
+ * Reads the local clients table and falls back to UISP (caching the client) on a miss.
+ * @param {number} uispClientId - UISP client ID
+ * @returns {Promise<string|null>} - null when the client does not exist or has no currency
+ * @throws {Error} When UISP cannot be reached or fails; the caller should retry later
+ */
+async function getClientCurrency(uispClientId) {
+  const client = await dbHelpers.getClientByUispId(parseInt(uispClientId));
+
+  if (client && client.currency_code) {
+    return normalizeCurrency(client.currency_code);
+  }
+
+  try {
+    const uispClient = await getUISPClient(uispClientId);
+    const clientData = transformClientData(uispClient);
+
+    dbHelpers.upsertClient(clientData).catch(err => {
+      logger.warn(`Failed to cache UISP client ${uispClientId}:`, err.message);
+    });
+
+    return normalizeCurrency(uispClient.currencyCode);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      logger.warn(`UISP client ${uispClientId} not found, its currency is unknown`);
+      return null;
+    }
+
+    logger.warn(`Could not get currency of UISP client ${uispClientId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Find the rate converting one currency into another (a stored inverse rate is used if needed)
+ * @param {string} fromCurrency - Payment currency
+ * @param {string} toCurrency - Client currency
+ * @returns {Promise<number|null>}
+ */
+async function findFxRate(fromCurrency, toCurrency) {
+  const direct = await dbHelpers.getFxRate(fromCurrency, toCurrency);
+  if (direct && direct.rate > 0) {
+    return direct.rate;
+  }
+
+  const inverse = await dbHelpers.getFxRate(toCurrency, fromCurrency);
+  if (inverse && inverse.rate > 0) {
+    return 1 / inverse.rate;
+  }
+
+  return null;
+}
+
+/**
+ * Reconcile a payment's currency with the UISP client's currency
+ * Payments without a currency are taken to be in the client's currency.
+ * @param {Object} payment - { amount, currency_code }
+ * @param {number} uispClientId - UISP client ID
+ * @returns {Promise<Object>} - { reconciled: true, amount, currency_code, original_amount,
+ *   original_currency_code, fx_rate } or { reconciled: false, reason }
+ * @throws {Error} When the client's currency cannot be looked up (see getClientCurrency)
+ */
+async function reconcilePaymentCurrency(payment, uispClientId) {
+  const amount = parseFloat(payment.amount);
+  const clientCurrency = await getClientCurrency(uispClientId);
+  const paymentCurrency = normalizeCurrency(payment.currency_code) || clientCurrency;
+
+  if (!clientCurrency) {
+    return {
+      reconciled: false,
+      reason: `Currency of UISP client ${uispClientId} is unknown`
+    };
+  }
+
+  if (paymentCurrency === clientCurrency) {
+    return {
+      reconciled: true,
+      amount,
+      currency_code: clientCurrency,
+      original_amount: null,
+      original_currency_code: null,
+      fx_rate: null
+    };
+  }
+
+  const rate = await findFxRate(paymentCurrency, clientCurrency);
+
+  if (!rate) {
+    return {
+      reconciled: false,
+      reason: `No FX rate for ${paymentCurrency} → ${clientCurrency} (UISP client ${uispClientId})`
+    };
+  }
+
+  const converted = Math.round(amount * rate * 100) / 100;
+
+  logger.info(`Converted ${amount} ${paymentCurrency} to ${converted} ${clientCurrency} at ${rate}`);
+
+  return {
+    reconciled: true,
+    amount: converted,
+    currency_code: clientCurrency,
+    original_amount: amount,
+    original_currency_code: paymentCurrency,
+    fx_rate: rate
+  };
+}
+
+module.exports = {
+  normalizeCurrency,
+  getClientCurrency,
+  reconcilePaymentCurrency
+};
@@ -0,0 +1,470 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { formatPhoneNumber } = require('./smsService');
+const { assignQuarantinedPaymentToClient } = require('./quarantineService');
+
+// Suggestions below this confidence are not queued for review
+const MIN_CONFIDENCE = parseFloat(process.env.MAPPING_MIN_CONFIDENCE) || 0.5;
+// Matches at or above this confidence are mapped without review (1 = only exact login matches)
+const AUTO_ACCEPT_CONFIDENCE = parseFloat(process.env.MAPPING_AUTO_ACCEPT_CONFIDENCE) || 1;
+// Name similarity a match on name alone needs
+const NAME_ONLY_MIN_SIMILARITY = 0.8;
+// Suggestions kept per Splynx customer (best first)
+const MAX_SUGGESTIONS_PER_CUSTOMER = 3;
+// Splynx customers read per batch
+const BATCH_SIZE = 500;
+
+// Statuses a match suggestion can have
+const MAPPING_SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected', 'superseded'];
+
+/**
+ * Normalize a login / userIdent for comparison
+ * @param {string|null} value - Login
+ * @returns {string|null}
+ */
+function normalizeLogin(value) {
+  const login = (value || '').toString().trim().toLowerCase();
+  return login || null;
+}
+
+/**
+ * Split a contact field into its normalized phone numbers
+ * Splynx and UISP both allow several numbers in one field (comma or slash separated).
+ * @param {string|null} value - Phone field
+ * @returns {Array<string>} - Numbers in international format
+ */
+function normalizePhones(value) {
+  return (value || '').toString()
+    .split(/[,;/]/)
+    .map(formatPhoneNumber)
+    // Drop fragments too short to be a phone number
+    .filter(phone => phone && phone.replace(/\D/g, '').length >= 9);
+}
+
+/**
+ * Split a contact field into its normalized email addresses
+ * @param {string|null} value - Email field
+ * @returns {Array<string>}
+ */
+function normalizeEmails(value) {
+  return (value || '').toString()
+    .split(/[,;\s]+/)
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email.includes('@'));
+}
+
+/**
+ * Break a name into lowercase word tokens (punctuation dropped)
+ * @param {string|null} value - Name
+ * @returns {Array<string>}
+ */
+function nameTokens(value) {
+  return (value || '').toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Character bigrams of a name with its words sorted, so word order does not matter
+ * @param {string} value - Name
+ * @returns {Map<string, number>} - Bigram → count
+ */
+function nameBigrams(value) {
+  const name = nameTokens(value).sort().join(' ');
+  const bigrams = new Map();
+
+  for (let i = 0; i < name.length - 1; i++) {
+    const bigram = name.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  return bigrams;
+}
+
+/**
+ * Similarity of two names (Dice coefficient of their bigrams, 0 to 1)
+ * @param {Map<string, number>} a - nameBigrams of the first name
+ * @param {Map<string, number>} b - nameBigrams of the second name
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  let sizeA = 0;
+  let sizeB = 0;
+  let shared = 0;
+
+  a.forEach(count => { sizeA += count; });
+  b.forEach((count, bigram) => {
+    sizeB += count;
+    shared += Math.min(count, a.get(bigram) || 0);
+  });
+
+  return sizeA + sizeB > 0 ? (2 * shared) / (sizeA + sizeB) : 0;
+}
+
+/**
+ * Add a value → UISP client entry to an index
+ * @param {Map<string, Set>} index - Index
+ * @param {string} key - Value
+ * @param {Object} client - Indexed client
+ */
+function addToIndex(index, key, client) {
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(client);
+}
+
+/**
+ * Index the stored UISP clients by userIdent, phone, email and name word
+ * @param {Array<Object>} clients - Rows from getPresentClients
+ * @returns {Object} - { byLogin, byPhone, byEmail, byNameToken }
+ */
+function buildClientIndex(clients) {
+  const index = { byLogin: new Map(), byPhone: new Map(), byEmail: new Map(), byNameToken: new Map() };
+
+  for (const row of clients) {
+    const personName = [row.first_name, row.last_name].filter(Boolean).join(' ');
+    const client = {
+      uisp_id: row.uisp_id,
+      phones: new Set(normalizePhones(row.phone)),
+      emails: new Set(normalizeEmails(row.email)),
+      names: [personName, row.company_name].filter(Boolean).map(nameBigrams)
+    };
+
+    const login = normalizeLogin(row.custom_id);
+    if (login) {
+      addToIndex(index.byLogin, login, client);
+    }
+    client.phones.forEach(phone => addToIndex(index.byPhone, phone, client));
+    client.emails.forEach(email => addToIndex(index.byEmail, email, client));
+    nameTokens(`${personName} ${row.company_name || ''}`)
+      .filter(token => token.length >= 3)
+      .forEach(token => addToIndex(index.byNameToken, token, client));
+  }
+
+  return index;
+}
+
+/**
+ * Score one UISP client as the match for a Splynx customer
+ * Shared phone numbers and email addresses carry the match; name similarity adds to it, and a
+ * very similar name alone gives a weak match. Only an exact login match scores 1.
+ * @param {Object} customer - { phones, emails, name } of the Splynx customer
+ * @param {Object} client - Indexed UISP client
+ * @returns {Object|null} - { confidence, match_type, reasons }, or null when nothing matches
+ */
+function scoreCandidate(customer, client) {
+  const phone = customer.phones.find(value => client.phones.has(value)) || null;
+  const email = customer.emails.find(value => client.emails.has(value)) || null;
+  const similarity = client.names.reduce((best, name) => Math.max(best, nameSimilarity(customer.name, name)), 0);
+
+  let confidence;
+  let matchType;
+
+  if (phone && email) {
+    confidence = 0.9 + 0.09 * similarity;
+    matchType = 'phone_email';
+  } else if (phone) {
+    confidence = 0.7 + 0.25 * similarity;
+    matchType = 'phone';
+  } else if (email) {
+    confidence = 0.65 + 0.25 * similarity;
+    matchType = 'email';
+  } else if (similarity >= NAME_ONLY_MIN_SIMILARITY) {
+    confidence = 0.6 * similarity;
+    matchType = 'name';
+  } else {
+    return null;
+  }
+
+  return {
+    confidence: Math.round(confidence * 1000) / 1000,
+    match_type: matchType,
+    reasons: {
+      phone: phone || undefined,
+      email: email || undefined,
+      name_similarity: Math.round(similarity * 1000) / 1000
+    }
+  };
+}
+
+/**
+ * Find the UISP clients a Splynx customer could be
+ * @param {Object} row - Row from splynx_customers
+ * @param {Object} index - buildClientIndex output
+ * @returns {Object} - { exact: client matched by login or null, candidates: [{ client, confidence, match_type, reasons }] }
+ */
+function findMatches(row, index) {
+  const login = normalizeLogin(row.login);
+  const exact = login && index.byLogin.has(login) ? [...index.byLogin.get(login)] : [];
+
+  // A login shared by several clients is not an exact match
+  if (exact.length === 1) {
+    return { exact: exact[0], candidates: [] };
+  }
+
+  const customer = {
+    phones: normalizePhones(row.phone),
+    emails: normalizeEmails(row.email),
+    name: nameBigrams(row.name)
+  };
+  const pool = new Set();
+
+  customer.phones.forEach(phone => (index.byPhone.get(phone) || []).forEach(client => pool.add(client)));
+  customer.emails.forEach(email => (index.byEmail.get(email) || []).forEach(client => pool.add(client)));
+  nameTokens(row.name)
+    .filter(token => token.length >= 3)
+    .forEach(token => (index.byNameToken.get(token) || []).forEach(client => pool.add(client)));
+
+  const candidates = [];
+  pool.forEach(client => {
+    const score = scoreCandidate(customer, client);
+    if (score && score.confidence >= MIN_CONFIDENCE) {
+      candidates.push({ client, ...score });
+    }
+  });
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+  return { exact: null, candidates: candidates.slice(0, MAX_SUGGESTIONS_PER_CUSTOMER) };
+}
+
+/**
+ * Queue a Splynx customer's quarantined (unmatched) payments now that it has a UISP client
+ * The delivery worker posts them; payments whose method or currency cannot be resolved yet
+ * stay quarantined.
+ * @param {string} splynxCustomerId - Splynx customer ID
+ * @param {number} uispClientId - UISP client ID
+ * @param {string} resolutionMethod - How the client was found (stored on the payments)
+ * @returns {Promise<number>} - Number of payments released
+ */
+async function releaseCustomerPayments(splynxCustomerId, uispClientId, resolutionMethod) {
+  const quarantined = await dbHelpers.getQuarantinedPaymentsForCustomer(splynxCustomerId);
+  let released = 0;
+
+  for (const payment of quarantined) {
+    const assignment = await assignQuarantinedPaymentToClient(payment, uispClientId, resolutionMethod);
+    if (assignment.assigned) {
+      released++;
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Match stored Splynx customers to stored UISP clients
+ * Works on the local splynx_customers and clients tables (fill them with the sync jobs first).
+ * Customers that already have a mapping are skipped, apart from releasing any of their payments
+ * still quarantined as unmatched. A login equal to exactly one client's
+ * userIdent is mapped straight away (as is any match at or above MAPPING_AUTO_ACCEPT_CONFIDENCE);
+ * other matches are queued as pending suggestions for review. Pairs a reviewer rejected are not
+ * suggested again, and clients that are already mapped are only matched by login.
+ * @returns {Promise<Object>} - Matching statistics
+ */
+async function runCustomerMatching() {
+  const startTime = Date.now();
+  const stats = {
+    customers: 0,
+    already_mapped: 0,
+    auto_accepted: 0,
+    suggested: 0,
+    suggestions: 0,
+    unmatched: 0,
+    released_payments: 0,
+    superseded: 0
+  };
+
+  const mappings = await dbHelpers.getAllMappings();
+  const mappedCustomers = new Set(mappings.map(mapping => mapping.splynx_customer_id.toString()));
+  const mappedClients = new Set(mappings.map(mapping => Number(mapping.uisp_client_id)));
+  const rejected = new Set(
+    (await dbHelpers.getMappingSuggestionPairs('rejected'))
+      .map(pair => `${pair.splynx_customer_id}:${pair.uisp_client_id}`)
+  );
+  const index = buildClientIndex(await dbHelpers.getPresentClients());
+
+  logger.info('Matching Splynx customers to UISP clients...');
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const customers = await dbHelpers.getSplynxCustomers(BATCH_SIZE, offset);
+
+    for (const row of customers) {
+      const splynxId = row.splynx_id.toString();
+      stats.customers++;
+
+      if (mappedCustomers.has(splynxId)) {
+        stats.already_mapped++;
+        continue;
+      }
+
+      const { exact, candidates } = findMatches(row, index);
+      const suggestions = candidates.filter(candidate =>
+        !mappedClients.has(candidate.client.uisp_id) && !rejected.has(`${splynxId}:${candidate.client.uisp_id}`)
+      );
+      const best = suggestions[0];
+      let accepted = null;
+
+      if (exact) {
+        accepted = { uispId: exact.uisp_id, notes: `Matched by login ${row.login}` };
+      } else if (best && best.confidence >= AUTO_ACCEPT_CONFIDENCE) {
+        accepted = { uispId: best.client.uisp_id, notes: `Matched by ${best.match_type} (confidence ${best.confidence})` };
+      }
+
+      if (accepted) {
+        await dbHelpers.upsertCustomerMapping(splynxId, accepted.uispId, accepted.notes);
+        mappedCustomers.add(splynxId);
+        mappedClients.add(Number(accepted.uispId));
+        stats.auto_accepted++;
+        stats.released_payments += await releaseCustomerPayments(splynxId, accepted.uispId, 'customer_matching');
+        continue;
+      }
+
+      if (suggestions.length === 0) {
+        stats.unmatched++;
+        continue;
+      }
+
+      for (const suggestion of suggestions) {
+        await dbHelpers.upsertMappingSuggestion({
+          splynx_customer_id: splynxId,
+          uisp_client_id: suggestion.client.uisp_id,
+          confidence: suggestion.confidence,
+          match_type: suggestion.match_type,
+          reasons: suggestion.reasons
+        });
+      }
+      stats.suggested++;
+      stats.suggestions += suggestions.length;
+    }
+
+    if (customers.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  // Payments of mapped customers left quarantined because UISP could not be reached when the
+  // customer was mapped are released on the next run
+  const waiting = new Set(
+    (await dbHelpers.getQuarantinedPaymentsByReason('unmatched_client'))
+      .map(payment => (payment.splynx_customer_id || '').toString())
+  );
+  for (const mapping of mappings) {
+    if (waiting.has(mapping.splynx_customer_id.toString())) {
+      stats.released_payments += await releaseCustomerPayments(
+        mapping.splynx_customer_id,
+        mapping.uisp_client_id,
+        'customer_matching'
+      );
+    }
+  }
+
+  // Suggestions for customers mapped since (here, by hand or by webhook) need no review
+  stats.superseded = await dbHelpers.supersedeMappedSuggestions();
+  stats.duration = Date.now() - startTime;
+
+  logger.info('Customer matching completed', { ...stats, duration: `${stats.duration}ms` });
+
+  return stats;
+}
+
+/**
+ * Accept a pending match suggestion: map the customer to the client and release its payments
+ * The customer's other pending suggestions are superseded. A suggestion whose customer or client
+ * already has a different mapping is left pending; that mapping has to be deleted first.
+ * @param {number} id - Suggestion ID
+ * @param {string|null} reviewedBy - Who accepted it
+ * @returns {Promise<Object|null>} - { suggestion, released_payments }, { error, message } when the
+ *   suggestion was already reviewed or conflicts with a mapping, or null when it does not exist
+ */
+async function acceptMappingSuggestion(id, reviewedBy = null) {
+  const suggestion = await dbHelpers.getMappingSuggestion(id);
+
+  if (!suggestion) {
+    return null;
+  }
+
+  const splynxId = suggestion.splynx_customer_id.toString();
+  const uispId = Number(suggestion.uisp_client_id);
+  const mappedClientId = await dbHelpers.getUispClientId(splynxId);
+
+  if (mappedClientId !== null && Number(mappedClientId) !== uispId) {
+    return {
+      error: 'Customer already mapped',
+      message: `Splynx customer ${splynxId} is mapped to UISP client ${mappedClientId}`
+    };
+  }
+
+  const mappedCustomers = (await dbHelpers.getSplynxCustomerIdsForUispClient(uispId))
+    .filter(customerId => customerId !== splynxId);
+
+  if (mappedCustomers.length > 0) {
+    return {
+      error: 'Client already mapped',
+      message: `UISP client ${uispId} is mapped to Splynx customer ${mappedCustomers.join(', ')}`
+    };
+  }
+
+  if (!(await dbHelpers.reviewMappingSuggestion(id, 'accepted', reviewedBy))) {
+    return { error: 'Suggestion already reviewed', message: `Suggestion status is '${suggestion.status}'` };
+  }
+
+  await dbHelpers.upsertCustomerMapping(
+    suggestion.splynx_customer_id,
+    suggestion.uisp_client_id,
+    `Accepted ${suggestion.match_type} match (confidence ${suggestion.confidence})${reviewedBy ? ` by ${reviewedBy}` : ''}`
+  );
+  await dbHelpers.supersedeMappedSuggestions();
+
+  const released = await releaseCustomerPayments(
+    suggestion.splynx_customer_id,
+    suggestion.uisp_client_id,
+    'customer_matching'
+  );
+
+  logger.info(`Match suggestion ${id} accepted: Splynx ${suggestion.splynx_customer_id} → UISP ${suggestion.uisp_client_id}`, {
+    reviewedBy,
+    released
+  });
+
+  return {
+    suggestion: await dbHelpers.getMappingSuggestion(id),
+    released_payments: released
+  };
+}
+
+/**
+ * Reject a pending match suggestion (the pair is not suggested again)
+ * @param {number} id - Suggestion ID
+ * @param {string|null} reviewedBy - Who rejected it
+ * @returns {Promise<Object|null>} - { suggestion }, { error, message } when the suggestion was
+ *   already reviewed, or null when it does not exist
+ */
+async function rejectMappingSuggestion(id, reviewedBy = null) {
+  const suggestion = await dbHelpers.getMappingSuggestion(id);
+
+  if (!suggestion) {
+    return null;
+  }
+
+  if (!(await dbHelpers.reviewMappingSuggestion(id, 'rejected', reviewedBy))) {
+    return { error: 'Suggestion already reviewed', message: `Suggestion status is '${suggestion.status}'` };
+  }
+
+  logger.info(`Match suggestion ${id} rejected: Splynx ${suggestion.splynx_customer_id} → UISP ${suggestion.uisp_client_id}`, {
+    reviewedBy
+  });
+
+  return { suggestion: await dbHelpers.getMappingSuggestion(id) };
+}
+
+module.exports = {
+  MAPPING_SUGGESTION_STATUSES,
+  buildClientIndex,
+  findMatches,
+  runCustomerMatching,
+  acceptMappingSuggestion,
+  rejectMappingSuggestion
+};
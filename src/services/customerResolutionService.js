@@ -0,0 +1,184 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { findUISPClientByUserIdent } = require('./uispService');
+const { getSplynxCustomerLoginFromConvex, getCustomerMappingFromConvex } = require('./convexService');
+const { getSplynxCustomerLogin } = require('./splynxService');
+
+/**
+ * Resolution strategies, keyed by name
+ * Each strategy receives the resolution context ({ splynxCustomerId, customerLogin }) and
+ * returns { uispClientId } on a match, null on a miss, or { skipped: reason } when it
+ * does not apply. Strategies may update context.customerLogin for the ones after them.
+ */
+const strategies = {
+  // Local customer_mappings table (saved through the API, quarantine assignment or matching)
+  async mapping_table(context) {
+    const uispClientId = await dbHelpers.getUispClientId(context.splynxCustomerId);
+    return uispClientId ? { uispClientId } : null;
+  },
+
+  // Convex customer_mappings (proactive mappings)
+  async proactive_mapping(context) {
+    const mapping = await getCustomerMappingFromConvex(context.splynxCustomerId);
+    return mapping && mapping.uisp_client_id ? { uispClientId: mapping.uisp_client_id } : null;
+  },
+
+  // Customer login from Convex, then UISP userIdent search
+  async convex_lookup(context) {
+    const loginFromConvex = await getSplynxCustomerLoginFromConvex(context.splynxCustomerId);
+
+    if (!loginFromConvex) {
+      return { skipped: 'Customer login not found in Convex' };
+    }
+
+    context.customerLogin = loginFromConvex;
+    const uispClient = await findUISPClientByUserIdent(loginFromConvex);
+    return uispClient ? { uispClientId: uispClient.id, detail: `userIdent ${loginFromConvex}` } : null;
+  },
+
+  // Customer login from the Splynx API, then UISP userIdent search
+  async splynx_api(context) {
+    const login = await getSplynxCustomerLogin(context.splynxCustomerId);
+
+    if (!login) {
+      return { skipped: 'Splynx customer has no login' };
+    }
+
+    context.customerLogin = login;
+    const uispClient = await findUISPClientByUserIdent(login);
+    return uispClient ? { uispClientId: uispClient.id, detail: `userIdent ${login}` } : null;
+  },
+
+  // Wireless customers (W-prefixed IDs) use the ID itself as userIdent
+  async direct_userIdent(context) {
+    if (!context.splynxCustomerId.toUpperCase().startsWith('W')) {
+      return { skipped: 'Customer ID is not W-prefixed' };
+    }
+
+    const uispClient = await findUISPClientByUserIdent(context.splynxCustomerId);
+    return uispClient ? { uispClientId: uispClient.id, detail: `userIdent ${context.splynxCustomerId}` } : null;
+  }
+};
+
+// Local mappings come first so a mapping saved or deleted here applies to the next payment
+const DEFAULT_STRATEGY_ORDER = [
+  'mapping_table',
+  'proactive_mapping',
+  'convex_lookup',
+  'splynx_api',
+  'direct_userIdent'
+];
+
+/**
+ * Decide whether a strategy error is an outage (worth retrying) rather than a definite answer
+ * Errors without a response (timeouts, refused connections), 5xx, 408 and 429 are outages;
+ * other API errors (e.g. 404 for an unknown customer) and configuration errors are not.
+ * @param {Error} error - Error thrown by a strategy
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const status = error.response?.status;
+
+  if (status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  return Boolean(error.isAxiosError || error.code);
+}
+
+/**
+ * Get the configured strategy order (CUSTOMER_RESOLUTION_STRATEGIES, comma-separated)
+ * @returns {Array<string>} - Strategy names in the order they are tried
+ */
+function getStrategyOrder() {
+  if (!process.env.CUSTOMER_RESOLUTION_STRATEGIES) {
+    return DEFAULT_STRATEGY_ORDER;
+  }
+
+  const configured = process.env.CUSTOMER_RESOLUTION_STRATEGIES
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const unknown = configured.filter(name => !strategies[name]);
+  if (unknown.length > 0) {
+    logger.warn(`Ignoring unknown customer resolution strategies: ${unknown.join(', ')}`);
+  }
+
+  return configured.filter(name => strategies[name]);
+}
+
+/**
+ * Resolve the UISP client for a Splynx customer by trying each strategy in order
+ * @param {string} splynxCustomerId - Splynx customer ID from the webhook
+ * @param {Object} options - { strategies: override the configured order }
+ * @returns {Promise<Object>} - { uispClientId, method, customerLogin, trace, transientError: true when
+ *   nothing matched and a strategy could not reach its service }
+ */
+async function resolveUispClient(splynxCustomerId, options = {}) {
+  const context = {
+    splynxCustomerId: splynxCustomerId.toString(),
+    customerLogin: splynxCustomerId.toString() // Default to the ID we received
+  };
+  const order = options.strategies || getStrategyOrder();
+  const trace = [];
+
+  for (const name of order) {
+    const attemptStart = Date.now();
+    const entry = { strategy: name };
+
+    try {
+      const result = await strategies[name](context);
+
+      if (result && result.uispClientId) {
+        entry.outcome = 'matched';
+        entry.uisp_client_id = parseInt(result.uispClientId);
+        if (result.detail) entry.detail = result.detail;
+      } else if (result && result.skipped) {
+        entry.outcome = 'skipped';
+        entry.detail = result.skipped;
+      } else {
+        entry.outcome = 'no_match';
+      }
+    } catch (error) {
+      entry.outcome = 'error';
+      entry.error = error.message;
+      entry.transient = isTransientError(error);
+      logger.warn(`Customer resolution strategy ${name} failed for ${context.splynxCustomerId}: ${error.message}`);
+    }
+
+    entry.duration_ms = Date.now() - attemptStart;
+    trace.push(entry);
+
+    if (entry.outcome === 'matched') {
+      logger.info(`Found UISP client ${entry.uisp_client_id} for Splynx customer ${context.splynxCustomerId} via ${name}`);
+      return {
+        uispClientId: entry.uisp_client_id,
+        method: name,
+        customerLogin: context.customerLogin,
+        trace
+      };
+    }
+  }
+
+  const transientError = trace.some(entry => entry.transient);
+
+  logger.warn(`No UISP client found for Splynx customer ${context.splynxCustomerId}`, {
+    strategies: order,
+    transientError
+  });
+
+  return {
+    uispClientId: null,
+    method: null,
+    customerLogin: context.customerLogin,
+    trace,
+    transientError
+  };
+}
+
+module.exports = {
+  resolveUispClient,
+  getStrategyOrder,
+  DEFAULT_STRATEGY_ORDER
+};
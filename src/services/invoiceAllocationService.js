@@ -0,0 +1,129 @@
+const logger = require('../utils/logger');
+const { findUISPInvoiceByNumber } = require('./uispService');
+const { getSplynxInvoice } = require('./splynxService');
+
+/**
+ * Split a stored invoice reference into invoice numbers (several may be comma-separated)
+ * @param {string} reference - e.g. "INV-0042" or "INV-0042, INV-0043"
+ * @returns {Array<string>}
+ */
+function parseInvoiceNumbers(reference) {
+  if (!reference) {
+    return [];
+  }
+  return reference.toString().split(',').map(number => number.trim()).filter(Boolean);
+}
+
+/**
+ * Get the invoice numbers a payment refers to
+ * Uses the invoice number from the webhook, or looks up the number of the Splynx invoice ID.
+ * @param {Object} payment - Stored payment row
+ * @returns {Promise<Object>} - { numbers, unresolved: reason the reference could not be read }
+ */
+async function getReferencedInvoiceNumbers(payment) {
+  const numbers = parseInvoiceNumbers(payment.invoice_number);
+
+  if (numbers.length > 0 || !payment.splynx_invoice_id) {
+    return { numbers, unresolved: null };
+  }
+
+  try {
+    const invoice = await getSplynxInvoice(payment.splynx_invoice_id);
+
+    if (invoice && invoice.number) {
+      return { numbers: [invoice.number.toString()], unresolved: null };
+    }
+    return { numbers: [], unresolved: `Splynx invoice ${payment.splynx_invoice_id} has no number` };
+  } catch (error) {
+    // Network errors and Splynx outages are retried with the delivery
+    if (error.code || error.response?.status >= 500) {
+      throw error;
+    }
+    logger.warn(`Could not read Splynx invoice ${payment.splynx_invoice_id}: ${error.message}`);
+    return { numbers: [], unresolved: `Could not read Splynx invoice ${payment.splynx_invoice_id}: ${error.message}` };
+  }
+}
+
+/**
+ * Work out how a payment should be applied to the client's UISP invoices
+ * Referenced invoices are allocated explicitly, in order; automatic application is only
+ * used when the payment references no invoice. A reference with no matching UISP invoice
+ * leaves the payment unapplied (client credit) rather than paying a different invoice.
+ * @param {Object} payment - Stored payment row (with client_id)
+ * @returns {Promise<Object>} - { invoiceIds, applyAutomatically, outcome }
+ */
+async function planInvoiceAllocation(payment) {
+  const { numbers: invoiceNumbers, unresolved } = await getReferencedInvoiceNumbers(payment);
+
+  if (unresolved) {
+    return {
+      invoiceIds: [],
+      applyAutomatically: false,
+      outcome: { mode: 'unapplied', reason: unresolved }
+    };
+  }
+
+  if (invoiceNumbers.length === 0) {
+    return {
+      invoiceIds: [],
+      applyAutomatically: true,
+      outcome: { mode: 'automatic', reason: 'Payment references no invoice' }
+    };
+  }
+
+  const allocations = [];
+  const missing = [];
+  let remaining = parseFloat(payment.amount);
+
+  for (const number of invoiceNumbers) {
+    const invoice = await findUISPInvoiceByNumber(payment.client_id, number);
+
+    if (!invoice) {
+      missing.push(number);
+      continue;
+    }
+
+    const amountToPay = parseFloat(invoice.amountToPay ?? invoice.total ?? 0);
+    const applied = Math.max(Math.min(remaining, amountToPay), 0);
+    remaining = Math.round((remaining - applied) * 100) / 100;
+
+    allocations.push({
+      invoice_number: number,
+      uisp_invoice_id: invoice.id,
+      amount_to_pay: amountToPay,
+      applied_amount: applied,
+      partial: applied < amountToPay
+    });
+  }
+
+  if (missing.length > 0) {
+    logger.warn(`UISP invoice(s) ${missing.join(', ')} not found for payment ${payment.transaction_id}`);
+  }
+
+  if (allocations.length === 0) {
+    return {
+      invoiceIds: [],
+      applyAutomatically: false,
+      outcome: {
+        mode: 'unapplied',
+        reason: `No UISP invoice found for ${invoiceNumbers.join(', ')}`,
+        missing_invoices: missing
+      }
+    };
+  }
+
+  return {
+    invoiceIds: allocations.map(allocation => allocation.uisp_invoice_id),
+    applyAutomatically: false,
+    outcome: {
+      mode: 'explicit',
+      allocations,
+      missing_invoices: missing,
+      credit: remaining > 0 ? remaining : 0
+    }
+  };
+}
+
+module.exports = {
+  planInvoiceAllocation
+};
@@ -0,0 +1,674 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { PAYMENT_TIMEZONE } = require('../utils/dateUtils');
+const { parseCronExpression, getNextCronTime } = require('../utils/cron');
+const { CLIENT_SYNC_MODES, syncAllClients } = require('./uispService');
+const { createProactiveMappings } = require('./convexService');
+const { SPLYNX_CUSTOMER_SYNC_MODES, syncSplynxCustomers } = require('./splynxCustomerSyncService');
+const { reconcileRecentDays } = require('./reconciliationService');
+const { runCustomerMatching } = require('./customerMatchingService');
+
+const TICK_INTERVAL_MS = parseInt(process.env.SCHEDULER_TICK_MS) || 30000;
+// Zone job schedules are read in
+const SCHEDULER_TIMEZONE = process.env.SCHEDULER_TIMEZONE || PAYMENT_TIMEZONE;
+
+/**
+ * Run a job body inside its own sync log entry
+ * @param {string} syncType - Sync log type (the job name)
+ * @param {string} trigger - What started the run (manual, scheduled)
+ * @param {Object} context - Run context from runJob ({ onStart })
+ * @param {Function} fn - Resolves { synced, failed, error, details }
+ * @returns {Promise<Object>} - { syncLogId, details }
+ */
+async function runWithSyncLog(syncType, trigger, context, fn) {
+  const syncLogId = await dbHelpers.createSyncLog(syncType, 0, trigger);
+  context.onStart(syncLogId, 0);
+
+  try {
+    const { synced = 0, failed = 0, error = null, details } = await fn();
+
+    await dbHelpers.updateSyncLog(syncLogId, 'completed', synced, failed, error);
+    await dbHelpers.setSyncLogDetails(syncLogId, details);
+    return { syncLogId, details };
+  } catch (error) {
+    await dbHelpers.updateSyncLog(syncLogId, 'failed', 0, 0, error.message);
+    error.syncLogId = syncLogId;
+    throw error;
+  }
+}
+
+/**
+ * Finish a sync run by recreating the proactive customer mappings and matching customers locally
+ * Cancelled runs are stopped without mapping; a matching failure is recorded but does not fail the run.
+ * @param {Object} result - Sync result (with syncLogId; cancelled when stopped early)
+ * @returns {Promise<Object>} - { syncLogId, details, status }
+ */
+async function createMappingsAfterSync(result) {
+  if (result.cancelled) {
+    await dbHelpers.setSyncLogDetails(result.syncLogId, result);
+    return { syncLogId: result.syncLogId, details: result, status: 'cancelled' };
+  }
+
+  logger.info('Creating proactive customer mappings after sync...');
+  const mappingResult = await createProactiveMappings();
+
+  const details = {
+    ...result,
+    mappings: mappingResult.success ? {
+      created: mappingResult.result?.created || 0,
+      updated: mappingResult.result?.updated || 0,
+      skipped: mappingResult.result?.skipped || 0,
+      total: mappingResult.result?.total || 0
+    } : { error: mappingResult.error }
+  };
+
+  try {
+    details.matching = await runCustomerMatching();
+  } catch (error) {
+    logger.error('Customer matching after sync failed:', error.message);
+    details.matching = { error: error.message };
+  }
+
+  await dbHelpers.setSyncLogDetails(result.syncLogId, details);
+  return { syncLogId: result.syncLogId, details };
+}
+
+/**
+ * Check a sync mode option
+ * @param {Object} options - Job options
+ * @param {Array<string>} modes - Accepted modes
+ * @returns {string|null} - Error message
+ */
+function validateSyncMode(options, modes) {
+  return options.mode !== undefined && !modes.includes(options.mode)
+    ? `mode must be one of: ${modes.join(', ')}`
+    : null;
+}
+
+/**
+ * Jobs the scheduler can run, keyed by name (rows in scheduled_jobs hold their configuration)
+ * Jobs sharing a lock never run at the same time. run() receives the job options, trigger and
+ * run context ({ resumeSyncLogId, onStart, isCancelled }) and resolves { syncLogId, details, status }.
+ * Cancellable jobs stop between pages when asked; resumable jobs continue an interrupted run
+ * (resumeOptions gives the options to resume a sync log with). estimateTotal gives the number of
+ * records a run is expected to see, for its progress.
+ */
+const JOBS = {
+  uisp_client_sync: {
+    description: 'Sync UISP clients, then create proactive mappings',
+    lock: 'sync',
+    syncTypes: ['incremental_client_sync', 'full_client_sync'],
+    cancellable: true,
+    resumeOptions(syncLog) {
+      return { mode: syncLog.sync_type === 'full_client_sync' ? 'full' : 'incremental' };
+    },
+    async estimateTotal() {
+      // Every run fetches all clients, so the last one is a good guide
+      const previous = await dbHelpers.getLastCompletedSyncLog(this.syncTypes);
+      return previous && previous.total_records ? previous.total_records : null;
+    },
+    validateOptions(options) {
+      return validateSyncMode(options, CLIENT_SYNC_MODES);
+    },
+    async run(options, trigger, context) {
+      const result = await syncAllClients({ mode: options.mode || 'incremental', trigger, ...context });
+      return createMappingsAfterSync(result);
+    }
+  },
+
+  splynx_customer_sync: {
+    description: 'Sync Splynx customers to the local table and Convex, then create proactive mappings',
+    lock: 'sync',
+    syncTypes: ['splynx_customer_sync'],
+    cancellable: true,
+    resumeOptions(syncLog) {
+      const details = syncLog.details ? JSON.parse(syncLog.details) : {};
+      return { mode: details.mode || 'incremental' };
+    },
+    async estimateTotal(syncLog) {
+      // Incremental runs only fetch changed customers, which cannot be known in advance; other runs
+      // fetch every customer, about as many as are stored (unknown while the first run fills the table)
+      const details = syncLog.details ? JSON.parse(syncLog.details) : {};
+      if (details.updated_since || !(await dbHelpers.getLastCompletedSyncLog(this.syncTypes))) {
+        return null;
+      }
+
+      const count = await dbHelpers.getSplynxCustomerCount();
+      return count || null;
+    },
+    validateOptions(options) {
+      return validateSyncMode(options, SPLYNX_CUSTOMER_SYNC_MODES);
+    },
+    async run(options, trigger, context) {
+      const result = await syncSplynxCustomers({ mode: options.mode || 'incremental', trigger, ...context });
+      return createMappingsAfterSync(result);
+    }
+  },
+
+  customer_matching: {
+    description: 'Match stored Splynx customers to UISP clients (exact logins mapped, other matches queued for review)',
+    lock: 'sync',
+    syncTypes: ['customer_matching'],
+    validateOptions() {
+      return null;
+    },
+    run(options, trigger, context) {
+      return runWithSyncLog('customer_matching', trigger, context, async () => {
+        const result = await runCustomerMatching();
+        return { synced: result.auto_accepted + result.suggestions, details: result };
+      });
+    }
+  },
+
+  reconciliation: {
+    description: 'Reconcile the last lookback_days full days with UISP and Splynx',
+    lock: 'reconciliation',
+    syncTypes: ['reconciliation'],
+    validateOptions(options) {
+      return options.lookback_days !== undefined &&
+        (!Number.isInteger(options.lookback_days) || options.lookback_days < 1)
+        ? 'lookback_days must be a positive whole number'
+        : null;
+    },
+    run(options, trigger, context) {
+      return runWithSyncLog('reconciliation', trigger, context, async () => {
+        const result = await reconcileRecentDays(options.lookback_days || 1, trigger);
+        return { synced: result.summary.bridge_payments, details: result };
+      });
+    }
+  },
+
+  log_pruning: {
+    description: 'Delete webhook and sync logs older than retention_days',
+    lock: 'log_pruning',
+    syncTypes: ['log_pruning'],
+    validateOptions(options) {
+      return options.retention_days !== undefined &&
+        (!Number.isInteger(options.retention_days) || options.retention_days < 1)
+        ? 'retention_days must be a positive whole number'
+        : null;
+    },
+    run(options, trigger, context) {
+      return runWithSyncLog('log_pruning', trigger, context, async () => {
+        const retentionDays = options.retention_days || 90;
+        const webhookLogs = await dbHelpers.pruneWebhookLogs(retentionDays);
+        const syncLogs = await dbHelpers.pruneSyncLogs(retentionDays);
+
+        logger.info(`Pruned ${webhookLogs} webhook log(s) and ${syncLogs} sync log(s) older than ${retentionDays} days`);
+
+        return {
+          synced: webhookLogs + syncLogs,
+          details: { retention_days: retentionDays, webhook_logs: webhookLogs, sync_logs: syncLogs }
+        };
+      });
+    }
+  }
+};
+
+// Lock name → name of the job holding it
+const heldLocks = new Map();
+// Sync log ID → { name, cancellable, cancelRequested, startedAt, baseRecords } of runs in this process
+const activeRuns = new Map();
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Format an instant the way CURRENT_TIMESTAMP stores it (UTC, 'YYYY-MM-DD HH:MM:SS')
+ * @param {Date|null} date - Instant
+ * @returns {string|null}
+ */
+function toDbTimestamp(date) {
+  return date ? date.toISOString().replace('T', ' ').substring(0, 19) : null;
+}
+
+/**
+ * Read a stored UTC timestamp
+ * @param {string|null} value - 'YYYY-MM-DD HH:MM:SS'
+ * @returns {number|null} - Epoch milliseconds
+ */
+function parseDbTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(`${value.toString().replace(' ', 'T')}Z`);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Work out when an enabled job runs next
+ * @param {Object} job - { schedule, enabled }
+ * @returns {string|null} - Stored next run time, or null when disabled
+ */
+function getNextRunAt(job) {
+  return job.enabled ? toDbTimestamp(getNextCronTime(job.schedule, new Date(), SCHEDULER_TIMEZONE)) : null;
+}
+
+/**
+ * Format a scheduled_jobs row for the API
+ * @param {Object} row - Row from scheduled_jobs
+ * @returns {Object}
+ */
+function formatJob(row) {
+  const definition = JOBS[row.name];
+
+  return {
+    name: row.name,
+    description: definition ? definition.description : null,
+    schedule: row.schedule,
+    timezone: SCHEDULER_TIMEZONE,
+    enabled: !!row.enabled,
+    options: row.options ? JSON.parse(row.options) : {},
+    running: !!definition && heldLocks.get(definition.lock) === row.name,
+    next_run_at: row.next_run_at,
+    last_run_at: row.last_run_at,
+    last_status: row.last_status,
+    last_sync_log_id: row.last_sync_log_id
+  };
+}
+
+/**
+ * List the scheduled jobs
+ * @returns {Promise<Array<Object>>}
+ */
+async function getJobs() {
+  const rows = await dbHelpers.getScheduledJobs();
+  return rows.filter(row => JOBS[row.name]).map(formatJob);
+}
+
+/**
+ * Get a scheduled job and its recent runs
+ * @param {string} name - Job name
+ * @param {number} limit - Number of runs
+ * @returns {Promise<Object|null>} - Job with runs (sync log entries), or null if unknown
+ */
+async function getJob(name, limit = 20) {
+  const row = JOBS[name] ? await dbHelpers.getScheduledJob(name) : null;
+
+  if (!row) {
+    return null;
+  }
+
+  const runs = await dbHelpers.getSyncLogsByTypes(JOBS[name].syncTypes, limit);
+
+  return {
+    ...formatJob(row),
+    runs: runs.map(run => ({ ...run, details: run.details ? JSON.parse(run.details) : null }))
+  };
+}
+
+/**
+ * Validate and save a job's schedule, enabled flag and options
+ * Fields left out keep their current value; options are merged into the current ones.
+ * @param {string} name - Job name
+ * @param {Object} input - { schedule, enabled, options }
+ * @returns {Promise<Object>} - { job } or { error } (null when the job does not exist)
+ */
+async function updateJob(name, input) {
+  const row = JOBS[name] ? await dbHelpers.getScheduledJob(name) : null;
+
+  if (!row) {
+    return null;
+  }
+
+  if (input.schedule !== undefined && typeof input.schedule !== 'string') {
+    return { error: 'schedule must be a cron expression string' };
+  }
+  if (input.options !== undefined && (!input.options || typeof input.options !== 'object' || Array.isArray(input.options))) {
+    return { error: 'options must be an object' };
+  }
+
+  const current = formatJob(row);
+  const job = {
+    schedule: input.schedule !== undefined ? input.schedule.trim() : current.schedule,
+    enabled: input.enabled !== undefined
+      ? input.enabled !== false && input.enabled !== 0 && input.enabled !== 'false'
+      : current.enabled,
+    options: { ...current.options, ...(input.options || {}) }
+  };
+
+  try {
+    parseCronExpression(job.schedule);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  // Valid fields can still describe a date that does not exist (e.g. "0 0 31 2 *")
+  if (!getNextCronTime(job.schedule, new Date(), SCHEDULER_TIMEZONE)) {
+    return { error: `Cron expression '${job.schedule}' never fires` };
+  }
+
+  const optionsError = JOBS[name].validateOptions(job.options);
+  if (optionsError) {
+    return { error: optionsError };
+  }
+
+  await dbHelpers.updateScheduledJob(name, job, getNextRunAt(job));
+
+  logger.info(`Job ${name} updated: ${job.enabled ? `runs at '${job.schedule}'` : 'disabled'}`);
+
+  return { job: formatJob(await dbHelpers.getScheduledJob(name)) };
+}
+
+/**
+ * Run a job now unless a job sharing its lock is running
+ * @param {string} name - Job name
+ * @param {Object} runOptions - { trigger, options (override the stored ones), wait, resumeSyncLogId }
+ * @returns {Promise<Object>} - { status: 'busy', running } when locked; { status: 'started', syncLogId }
+ *   once the run has its sync log when not waiting; otherwise { status: 'completed' or 'cancelled',
+ *   syncLogId, details } or { status: 'failed', syncLogId, error }
+ */
+async function runJob(name, { trigger = 'manual', options = {}, wait = true, resumeSyncLogId = null } = {}) {
+  const definition = JOBS[name];
+
+  if (heldLocks.has(definition.lock)) {
+    return { status: 'busy', running: heldLocks.get(definition.lock) };
+  }
+
+  // Taken before anything async so two callers cannot both start
+  heldLocks.set(definition.lock, name);
+
+  const activeRun = { name, cancellable: !!definition.cancellable, cancelRequested: false };
+  let syncLogId = null;
+  let markStarted;
+  const started = new Promise(resolve => { markStarted = resolve; });
+
+  const context = {
+    resumeSyncLogId,
+    onStart(id, recordsSoFar) {
+      syncLogId = id;
+      activeRuns.set(id, { ...activeRun, startedAt: Date.now(), baseRecords: recordsSoFar });
+      markStarted({ status: 'started', syncLogId: id });
+    },
+    isCancelled() {
+      return syncLogId !== null && activeRuns.get(syncLogId).cancelRequested;
+    }
+  };
+
+  const run = (async () => {
+    const row = await dbHelpers.getScheduledJob(name);
+    const jobOptions = { ...(row && row.options ? JSON.parse(row.options) : {}), ...options };
+
+    logger.info(`Job ${name} ${resumeSyncLogId ? 'resumed' : 'started'} (${trigger})`);
+    const result = await definition.run(jobOptions, trigger, context);
+    const status = result.status || 'completed';
+
+    await dbHelpers.recordScheduledJobRun(name, status, result.syncLogId);
+    logger.info(`Job ${name} ${status}`);
+    return { status, syncLogId: result.syncLogId, details: result.details };
+  })()
+    .catch(async error => {
+      logger.error(`Job ${name} failed:`, error.message);
+      await dbHelpers.recordScheduledJobRun(name, 'failed', error.syncLogId || null).catch(() => {});
+      return { status: 'failed', syncLogId: error.syncLogId || null, error };
+    })
+    .finally(() => {
+      heldLocks.delete(definition.lock);
+      activeRuns.delete(syncLogId);
+    });
+
+  // Without waiting, return as soon as the run has a sync log (or has already failed)
+  return wait ? run : Promise.race([started, run]);
+}
+
+/**
+ * Format a sync log as a sync job with its progress
+ * @param {Object} syncLog - Row from sync_logs
+ * @param {number|null} expectedTotal - Records the run is expected to see (see estimateTotal)
+ * @returns {Object}
+ */
+function formatSyncJob(syncLog, expectedTotal) {
+  const activeRun = activeRuns.get(syncLog.id);
+  const fetched = syncLog.total_records || 0;
+  let percentComplete = null;
+  let etaSeconds = null;
+
+  if (syncLog.status === 'completed') {
+    percentComplete = 100;
+  } else if (expectedTotal) {
+    percentComplete = Math.min(99, Math.floor((fetched / expectedTotal) * 100));
+  }
+
+  // Rate measured since the run started (or resumed) in this process
+  if (activeRun && expectedTotal && fetched > activeRun.baseRecords) {
+    const perSecond = (fetched - activeRun.baseRecords) / ((Date.now() - activeRun.startedAt) / 1000);
+    etaSeconds = Math.round(Math.max(expectedTotal - fetched, 0) / perSecond);
+  }
+
+  return {
+    id: syncLog.id,
+    sync_type: syncLog.sync_type,
+    status: syncLog.status,
+    trigger: syncLog.trigger,
+    running: !!activeRun,
+    cancel_requested: activeRun ? activeRun.cancelRequested : false,
+    started_at: syncLog.started_at,
+    completed_at: syncLog.completed_at,
+    progress: {
+      pages_fetched: syncLog.pages_fetched || 0,
+      next_offset: syncLog.next_offset || 0,
+      records_fetched: fetched,
+      records_upserted: syncLog.synced_records || 0,
+      failed: syncLog.failed_records || 0,
+      added: syncLog.added_records || 0,
+      changed: syncLog.changed_records || 0,
+      removed: syncLog.removed_records || 0,
+      unchanged: syncLog.unchanged_records || 0,
+      expected_total: expectedTotal,
+      percent_complete: percentComplete,
+      eta_seconds: etaSeconds
+    },
+    error: syncLog.error_message,
+    details: syncLog.details ? JSON.parse(syncLog.details) : null
+  };
+}
+
+/**
+ * Find the job a sync log type belongs to
+ * @param {string} syncType - Sync log type
+ * @returns {Array|null} - [name, definition]
+ */
+function findJobBySyncType(syncType) {
+  return Object.entries(JOBS).find(([, definition]) => definition.syncTypes.includes(syncType)) || null;
+}
+
+/**
+ * Get a sync run and its progress
+ * @param {number} id - Sync log ID
+ * @returns {Promise<Object|null>} - Sync job, or null if not found
+ */
+async function getSyncJob(id) {
+  const syncLog = await dbHelpers.getSyncLog(id);
+
+  if (!syncLog) {
+    return null;
+  }
+
+  const job = findJobBySyncType(syncLog.sync_type);
+  const expectedTotal = job && job[1].estimateTotal ? await job[1].estimateTotal(syncLog) : null;
+
+  return formatSyncJob(syncLog, expectedTotal);
+}
+
+/**
+ * Cancel a sync run
+ * A run in this process stops before its next page; a run left in progress by a restart is
+ * marked cancelled so it is not resumed.
+ * @param {number} id - Sync log ID
+ * @returns {Promise<Object>} - { status: 'not_found' | 'not_cancellable' | 'finished' | 'requested' | 'cancelled' }
+ */
+async function cancelSyncJob(id) {
+  const syncLog = await dbHelpers.getSyncLog(id);
+
+  if (!syncLog) {
+    return { status: 'not_found' };
+  }
+
+  const activeRun = activeRuns.get(syncLog.id);
+
+  if (activeRun) {
+    if (!activeRun.cancellable) {
+      return { status: 'not_cancellable', name: activeRun.name };
+    }
+
+    activeRun.cancelRequested = true;
+    logger.info(`Cancellation requested for sync ${syncLog.id} (${activeRun.name})`);
+    return { status: 'requested' };
+  }
+
+  if (syncLog.status !== 'in_progress') {
+    return { status: 'finished', current: syncLog.status };
+  }
+
+  await dbHelpers.updateSyncLog(
+    syncLog.id,
+    'cancelled',
+    syncLog.synced_records || 0,
+    syncLog.failed_records || 0,
+    syncLog.error_message
+  );
+  return { status: 'cancelled' };
+}
+
+/**
+ * Resume sync runs left in progress when the server stopped
+ * Resumable jobs continue from their last completed page; other runs are marked failed.
+ */
+async function resumeInterruptedSyncs() {
+  const syncLogs = await dbHelpers.getInProgressSyncLogs();
+
+  for (const syncLog of syncLogs) {
+    const job = findJobBySyncType(syncLog.sync_type);
+
+    if (job && job[1].resumeOptions) {
+      const [name, definition] = job;
+      const result = await runJob(name, {
+        trigger: syncLog.trigger || 'manual',
+        options: definition.resumeOptions(syncLog),
+        resumeSyncLogId: syncLog.id,
+        wait: false
+      });
+
+      if (result.status !== 'busy') {
+        continue;
+      }
+    }
+
+    await dbHelpers.updateSyncLog(
+      syncLog.id,
+      'failed',
+      syncLog.synced_records || 0,
+      syncLog.failed_records || 0,
+      'Interrupted by a server restart'
+    );
+    logger.warn(`Sync ${syncLog.id} (${syncLog.sync_type}) was interrupted by a restart and marked failed`);
+  }
+}
+
+/**
+ * Record a scheduled run that was skipped because another job held the lock
+ * @param {string} name - Job name
+ * @param {string} running - Job holding the lock
+ */
+async function recordSkippedRun(name, running) {
+  const message = `Skipped: ${running} was still running`;
+  const syncLogId = await dbHelpers.createSyncLog(JOBS[name].syncTypes[0], 0, 'scheduled');
+
+  await dbHelpers.updateSyncLog(syncLogId, 'skipped', 0, 0, message);
+  await dbHelpers.recordScheduledJobRun(name, 'skipped', syncLogId);
+  logger.warn(`Scheduled job ${name} ${message.toLowerCase()}`);
+}
+
+/**
+ * Start every enabled job whose next run time has passed
+ */
+async function runDueJobs() {
+  if (ticking) {
+    return;
+  }
+
+  ticking = true;
+
+  try {
+    const rows = await dbHelpers.getScheduledJobs();
+
+    for (const row of rows) {
+      if (!JOBS[row.name] || !row.enabled) {
+        continue;
+      }
+
+      const nextRunAt = parseDbTimestamp(row.next_run_at);
+
+      if (nextRunAt === null) {
+        await dbHelpers.setScheduledJobNextRun(row.name, getNextRunAt(row));
+        continue;
+      }
+
+      if (nextRunAt > Date.now()) {
+        continue;
+      }
+
+      await dbHelpers.setScheduledJobNextRun(row.name, getNextRunAt(row));
+
+      const result = await runJob(row.name, { trigger: 'scheduled', wait: false });
+      if (result.status === 'busy') {
+        await recordSkippedRun(row.name, result.running);
+      }
+    }
+  } catch (error) {
+    logger.error('Job scheduler run failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start the job scheduler
+ * Next run times are recalculated from now, so runs missed while the server was down are skipped;
+ * sync runs the restart interrupted are resumed.
+ */
+async function startJobScheduler() {
+  if (tickTimer) {
+    return;
+  }
+
+  try {
+    const rows = await dbHelpers.getScheduledJobs();
+
+    for (const row of rows) {
+      if (JOBS[row.name]) {
+        await dbHelpers.setScheduledJobNextRun(row.name, getNextRunAt(row));
+      }
+    }
+
+    await resumeInterruptedSyncs();
+  } catch (error) {
+    logger.error('Failed to schedule jobs:', error.message);
+  }
+
+  tickTimer = setInterval(runDueJobs, TICK_INTERVAL_MS);
+  logger.info(`Job scheduler started (timezone: ${SCHEDULER_TIMEZONE})`);
+}
+
+/**
+ * Stop the job scheduler (running jobs are left to finish)
+ */
+function stopJobScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    logger.info('Job scheduler stopped');
+  }
+}
+
+module.exports = {
+  JOBS,
+  getJobs,
+  getJob,
+  updateJob,
+  runJob,
+  getSyncJob,
+  cancelSyncJob,
+  runDueJobs,
+  startJobScheduler,
+  stopJobScheduler
+};
@@ -0,0 +1,399 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { postPaymentToUISP, findUISPPaymentByProviderId, syncSingleClient } = require('./uispService');
+const { mirrorPaymentStatusToConvex } = require('./convexOutboxService');
+const { planInvoiceAllocation } = require('./invoiceAllocationService');
+const { evaluatePaymentRules } = require('./paymentRulesService');
+
+const WORKER_INTERVAL_MS = parseInt(process.env.DELIVERY_WORKER_INTERVAL_MS) || 15000;
+const WORKER_BATCH_SIZE = parseInt(process.env.DELIVERY_BATCH_SIZE) || 20;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_BASE_MS) || 30000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_MAX_MS) || 600000;
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 25;
+
+const REPLAYABLE_STATUSES = ['failed', 'pending'];
+
+let workerTimer = null;
+let workerRunning = false;
+// Transaction IDs left in 'processing' by a previous process, still to be checked against UISP
+const staleClaims = new Set();
+
+/**
+ * Calculate the delay before the next delivery attempt (capped exponential backoff)
+ * @param {number} retryCount - Number of failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(retryCount) {
+  return Math.min(
+    RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(retryCount - 1, 0)),
+    RETRY_MAX_DELAY_MS
+  );
+}
+
+/**
+ * Decide whether a UISP error is worth retrying
+ * Client errors (other than timeouts and rate limits) will fail the same way again
+ * @param {Error} error - Error thrown by postPaymentToUISP
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error.response?.status;
+
+  if (!status) {
+    return true;
+  }
+
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Build a readable error message from a UISP error
+ * @param {Error} error - Error thrown by postPaymentToUISP
+ * @returns {string}
+ */
+function describeError(error) {
+  if (error.response?.data) {
+    return `${error.message}: ${JSON.stringify(error.response.data)}`;
+  }
+  return error.message;
+}
+
+/**
+ * Evaluate the payment rules and hold a claimed payment that breaks any of them
+ * A rule evaluation error reschedules the payment without counting a delivery attempt.
+ * @param {Object} payment - Stored payment row (status processing)
+ * @returns {Promise<Object|null>} - Delivery outcome when the payment was not posted, null to continue
+ */
+async function holdIfRulesViolated(payment) {
+  const transactionId = payment.transaction_id;
+  let violations;
+
+  try {
+    violations = await evaluatePaymentRules(payment);
+  } catch (error) {
+    const delayMs = getRetryDelay(1);
+    await dbHelpers.schedulePaymentRetry(transactionId, delayMs, `Payment rule check failed: ${error.message}`);
+    logger.error(`Payment rule check failed for ${transactionId}, next attempt in ${delayMs}ms:`, error);
+    return { status: 'failed', transactionId, attempt: 0, error: error.message, nextAttemptInMs: delayMs };
+  }
+
+  if (violations.length === 0) {
+    return null;
+  }
+
+  const reasons = violations.map(violation => violation.message).join('; ');
+
+  await dbHelpers.holdPayment(transactionId, JSON.stringify(violations));
+
+  // Mirror payment status to Convex (non-blocking)
+  mirrorPaymentStatusToConvex(transactionId, 'held', null, reasons)
+    .catch(err => {
+      logger.warn('Failed to queue payment status for Convex:', err.message);
+    });
+
+  logger.warn(`Payment ${transactionId} held for approval: ${reasons}`);
+
+  return { status: 'held', transactionId, violations };
+}
+
+/**
+ * Make a single delivery attempt for a stored payment
+ * The payment is claimed first so the worker and the webhook never post it twice. A retry (or a
+ * manual replay) first looks the payment up in UISP by its provider payment ID, since an earlier
+ * post that timed out or failed with a 5xx may still have landed.
+ * @param {string} transactionId - Transaction ID of the stored payment
+ * @param {Object} options - { checkUisp: look the payment up in UISP even on the first attempt }
+ * @returns {Promise<Object>} - Delivery outcome
+ */
+async function deliverPayment(transactionId, { checkUisp = false } = {}) {
+  const claimed = await dbHelpers.claimPaymentForDelivery(transactionId);
+
+  if (!claimed) {
+    logger.info(`Payment ${transactionId} is not awaiting delivery, skipping`);
+    return { status: 'skipped', transactionId };
+  }
+
+  let payment;
+  let attemptNumber;
+
+  try {
+    payment = await dbHelpers.getPaymentByTransactionId(transactionId);
+    const previousAttempts = await dbHelpers.getPaymentAttempts(transactionId);
+    attemptNumber = previousAttempts.length + 1;
+
+    if (attemptNumber > 1) {
+      await dbHelpers.updateRetryCount(transactionId, attemptNumber - 1);
+    }
+
+    // Guardrails run once, before the first post; approved payments skip them
+    if (attemptNumber === 1 && !payment.approved_at) {
+      const held = await holdIfRulesViolated(payment);
+      if (held) {
+        return held;
+      }
+    }
+  } catch (error) {
+    // Nothing was posted yet: give the claim back without counting a delivery attempt
+    const delayMs = getRetryDelay(1);
+    logger.error(`Failed to prepare delivery of payment ${transactionId}, next attempt in ${delayMs}ms:`, error);
+
+    await dbHelpers.schedulePaymentRetry(transactionId, delayMs, `Delivery preparation failed: ${error.message}`)
+      .catch(err => {
+        logger.error(`Failed to release delivery claim on payment ${transactionId}:`, err.message);
+      });
+
+    return { status: 'failed', transactionId, attempt: 0, error: error.message, nextAttemptInMs: delayMs };
+  }
+
+  const attemptStart = Date.now();
+
+  try {
+    // Lookups run inside the attempt so UISP/Splynx outages are retried like the post itself
+    let uispResponse = attemptNumber > 1 || checkUisp
+      ? await findUISPPaymentByProviderId(parseInt(payment.client_id), transactionId)
+      : null;
+
+    if (uispResponse) {
+      logger.warn(`Payment ${transactionId} is already in UISP, an earlier post landed; not posting it again`, {
+        uispPaymentId: uispResponse.id
+      });
+    } else {
+      const allocation = await planInvoiceAllocation(payment);
+      await dbHelpers.setInvoiceAllocation(transactionId, JSON.stringify(allocation.outcome));
+
+      uispResponse = await postPaymentToUISP({
+        transaction_id: payment.transaction_id,
+        client_id: payment.client_id,
+        amount: payment.amount,
+        currency_code: payment.currency_code,
+        note: payment.note,
+        created_at: payment.created_at,
+        method_id: payment.uisp_method_id,
+        invoice_ids: allocation.invoiceIds,
+        apply_to_invoices_automatically: allocation.applyAutomatically
+      }, { maxRetries: 0 });
+    }
+
+    await dbHelpers.insertPaymentAttempt(transactionId, attemptNumber, 'success', null, Date.now() - attemptStart);
+    await dbHelpers.updatePaymentStatus(transactionId, 'success', JSON.stringify(uispResponse), null);
+
+    // Mirror payment status to Convex (non-blocking)
+    mirrorPaymentStatusToConvex(transactionId, 'success', JSON.stringify(uispResponse), null)
+      .catch(err => {
+        logger.warn('Failed to queue payment status for Convex:', err.message);
+      });
+
+    // Sync client data from UISP (in background, don't wait)
+    syncSingleClient(parseInt(payment.client_id))
+      .then(() => {
+        logger.info(`Client ${payment.client_id} synced successfully`);
+        // Update last payment timestamp
+        return dbHelpers.updateClientLastPayment(parseInt(payment.client_id));
+      })
+      .catch(error => {
+        logger.warn(`Failed to sync client ${payment.client_id}:`, error.message);
+      });
+
+    logger.info(`Payment ${transactionId} delivered to UISP on attempt ${attemptNumber}`, {
+      uispPaymentId: uispResponse?.id
+    });
+
+    return { status: 'success', transactionId, attempt: attemptNumber, uispResponse };
+
+  } catch (error) {
+    const errorMessage = describeError(error);
+    const retryable = isRetryableError(error) && attemptNumber < MAX_ATTEMPTS;
+    const delayMs = retryable ? getRetryDelay(attemptNumber) : null;
+
+    await dbHelpers.insertPaymentAttempt(transactionId, attemptNumber, 'failed', errorMessage, Date.now() - attemptStart);
+    await dbHelpers.schedulePaymentRetry(transactionId, delayMs, errorMessage);
+
+    // Mirror payment status to Convex (non-blocking)
+    mirrorPaymentStatusToConvex(transactionId, 'failed', null, errorMessage)
+      .catch(err => {
+        logger.warn('Failed to queue payment status for Convex:', err.message);
+      });
+
+    if (retryable) {
+      logger.warn(`Delivery attempt ${attemptNumber} failed for payment ${transactionId}, next attempt in ${delayMs}ms`, {
+        error: errorMessage
+      });
+    } else {
+      logger.error(`Giving up on payment ${transactionId} after ${attemptNumber} attempt(s)`, {
+        error: errorMessage
+      });
+    }
+
+    return {
+      status: 'failed',
+      transactionId,
+      attempt: attemptNumber,
+      error: errorMessage,
+      nextAttemptInMs: delayMs
+    };
+  }
+}
+
+/**
+ * Manually replay a stored payment (one immediate delivery attempt)
+ * @param {string} transactionId - Transaction ID of the stored payment
+ * @returns {Promise<Object>} - Delivery outcome, or not_found/rejected
+ */
+async function replayPayment(transactionId) {
+  const payment = await dbHelpers.getPaymentByTransactionId(transactionId);
+
+  if (!payment) {
+    return { status: 'not_found', transactionId };
+  }
+
+  if (!REPLAYABLE_STATUSES.includes(payment.status)) {
+    return {
+      status: 'rejected',
+      transactionId,
+      reason: `Payment status is '${payment.status}', only ${REPLAYABLE_STATUSES.join('/')} payments can be replayed`
+    };
+  }
+
+  logger.info(`Replaying payment ${transactionId} (status: ${payment.status})`);
+
+  return deliverPayment(transactionId, { checkUisp: true });
+}
+
+/**
+ * Settle payments left in 'processing' by a previous process
+ * The process may have stopped after UISP accepted the post, so each payment is looked up in UISP
+ * by its provider payment ID first: found payments are marked delivered, the others are requeued.
+ * Payments whose lookup fails stay claimed and are checked again on the next worker run.
+ * @returns {Promise<Object>} - { delivered, requeued, unresolved }
+ */
+async function recoverStaleClaims() {
+  let delivered = 0;
+  let requeued = 0;
+
+  for (const transactionId of [...staleClaims]) {
+    const payment = await dbHelpers.getPaymentByTransactionId(transactionId);
+
+    if (!payment || payment.status !== 'processing') {
+      staleClaims.delete(transactionId);
+      continue;
+    }
+
+    let uispPayment;
+    try {
+      uispPayment = await findUISPPaymentByProviderId(parseInt(payment.client_id), transactionId);
+    } catch (error) {
+      logger.warn(`Could not check UISP for interrupted payment ${transactionId}, will retry:`, error.message);
+      continue;
+    }
+
+    if (uispPayment) {
+      await dbHelpers.updatePaymentStatus(transactionId, 'success', JSON.stringify(uispPayment), null);
+
+      // Mirror payment status to Convex (non-blocking)
+      mirrorPaymentStatusToConvex(transactionId, 'success', JSON.stringify(uispPayment), null)
+        .catch(err => {
+          logger.warn('Failed to queue payment status for Convex:', err.message);
+        });
+
+      logger.warn(`Interrupted payment ${transactionId} was already posted to UISP, marked delivered`, {
+        uispPaymentId: uispPayment.id
+      });
+      delivered++;
+    } else {
+      await dbHelpers.releasePaymentClaim(transactionId);
+      requeued++;
+    }
+
+    staleClaims.delete(transactionId);
+  }
+
+  if (delivered > 0 || requeued > 0) {
+    logger.warn(`Settled payments left in processing by a previous run: ${delivered} already delivered, ${requeued} requeued`);
+  }
+
+  return { delivered, requeued, unresolved: staleClaims.size };
+}
+
+/**
+ * Deliver every payment whose next attempt is due
+ * @returns {Promise<Object>} - Counts of delivered and failed payments
+ */
+async function processDueDeliveries() {
+  if (workerRunning) {
+    return { delivered: 0, failed: 0, skipped: true };
+  }
+
+  workerRunning = true;
+  let delivered = 0;
+  let failed = 0;
+
+  try {
+    if (staleClaims.size > 0) {
+      await recoverStaleClaims();
+    }
+
+    const duePayments = await dbHelpers.getDuePayments(WORKER_BATCH_SIZE);
+
+    if (duePayments.length > 0) {
+      logger.info(`Delivery worker processing ${duePayments.length} due payment(s)`);
+    }
+
+    for (const payment of duePayments) {
+      const result = await deliverPayment(payment.transaction_id);
+      if (result.status === 'success') {
+        delivered++;
+      } else if (result.status === 'failed') {
+        failed++;
+      }
+    }
+  } catch (error) {
+    logger.error('Delivery worker run failed:', error.message);
+  } finally {
+    workerRunning = false;
+  }
+
+  return { delivered, failed };
+}
+
+/**
+ * Start the background delivery worker
+ */
+async function startDeliveryWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  // Nothing is being delivered yet, so every claimed payment was left behind by a previous run
+  try {
+    (await dbHelpers.getClaimedPayments()).forEach(payment => staleClaims.add(payment.transaction_id));
+    if (staleClaims.size > 0) {
+      await recoverStaleClaims();
+    }
+  } catch (error) {
+    logger.error('Failed to settle payments left in processing:', error.message);
+  }
+
+  workerTimer = setInterval(processDueDeliveries, WORKER_INTERVAL_MS);
+  logger.info(`Payment delivery worker started (interval: ${WORKER_INTERVAL_MS}ms, max attempts: ${MAX_ATTEMPTS})`);
+}
+
+/**
+ * Stop the background delivery worker
+ */
+function stopDeliveryWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+    logger.info('Payment delivery worker stopped');
+  }
+}
+
+module.exports = {
+  REPLAYABLE_STATUSES,
+  deliverPayment,
+  replayPayment,
+  processDueDeliveries,
+  startDeliveryWorker,
+  stopDeliveryWorker,
+  getRetryDelay
+};
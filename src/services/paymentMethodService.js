@@ -0,0 +1,64 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { DEFAULT_PAYMENT_METHOD_ID } = require('./uispService');
+
+// What to do with payments whose Splynx method has no mapping
+const UNMAPPED_POLICIES = ['default', 'quarantine', 'reject'];
+
+/**
+ * Get the configured policy for unmapped payment methods (PAYMENT_METHOD_UNMAPPED_POLICY)
+ * @returns {string} - default | quarantine | reject
+ */
+function getUnmappedPolicy() {
+  const policy = (process.env.PAYMENT_METHOD_UNMAPPED_POLICY || 'default').trim().toLowerCase();
+
+  if (!UNMAPPED_POLICIES.includes(policy)) {
+    logger.warn(`Unknown PAYMENT_METHOD_UNMAPPED_POLICY '${policy}', using 'default'`);
+    return 'default';
+  }
+
+  return policy;
+}
+
+/**
+ * Normalize a Splynx payment type/method to the key used in the mapping table
+ * @param {string|number} splynxPaymentMethod - Splynx payment_method or payment_type
+ * @returns {string} - Trimmed, lower-cased key ('' when missing)
+ */
+function normalizePaymentMethod(splynxPaymentMethod) {
+  if (splynxPaymentMethod === undefined || splynxPaymentMethod === null) {
+    return '';
+  }
+  return splynxPaymentMethod.toString().trim().toLowerCase();
+}
+
+/**
+ * Work out the UISP payment method for a Splynx payment method
+ * @param {string|number} splynxPaymentMethod - Splynx payment_method or payment_type
+ * @returns {Promise<Object>} - { methodId, source: mapping|default|null, policy, splynxPaymentMethod }
+ *   methodId is null when the method is unmapped and the policy is quarantine or reject
+ */
+async function resolveUispMethodId(splynxPaymentMethod) {
+  const key = normalizePaymentMethod(splynxPaymentMethod);
+  const mapping = key ? await dbHelpers.getPaymentMethodMapping(key) : null;
+
+  if (mapping) {
+    return { methodId: mapping.uisp_method_id, source: 'mapping', policy: null, splynxPaymentMethod: key };
+  }
+
+  const policy = getUnmappedPolicy();
+
+  if (policy === 'default') {
+    return { methodId: DEFAULT_PAYMENT_METHOD_ID, source: 'default', policy, splynxPaymentMethod: key };
+  }
+
+  logger.warn(`No UISP payment method mapped for Splynx method '${key}' (policy: ${policy})`);
+  return { methodId: null, source: null, policy, splynxPaymentMethod: key };
+}
+
+module.exports = {
+  UNMAPPED_POLICIES,
+  getUnmappedPolicy,
+  normalizePaymentMethod,
+  resolveUispMethodId
+};
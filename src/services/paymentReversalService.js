@@ -0,0 +1,78 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { deleteUISPPayment, createUISPRefund } = require('./uispService');
+const { mirrorPaymentStatusToConvex } = require('./convexOutboxService');
+
+// delete: remove the UISP payment, refund: keep it and record a refund against the client
+const REVERSAL_MODE = process.env.UISP_REVERSAL_MODE === 'refund' ? 'refund' : 'delete';
+
+/**
+ * Reverse a stored payment in UISP and mark it as reversed
+ * Payments that never reached UISP are only marked as reversed.
+ * @param {string} transactionId - Transaction ID of the stored payment
+ * @param {string} reason - Why the payment is being reversed (stored in the UISP note)
+ * @returns {Promise<Object>} - { status: reversed|already_reversed|not_found|in_progress, ... }
+ */
+async function reversePayment(transactionId, reason = 'Payment deleted in Splynx') {
+  const payment = await dbHelpers.getPaymentByTransactionId(transactionId);
+
+  if (!payment) {
+    return { status: 'not_found', transactionId };
+  }
+
+  if (payment.status === 'reversed') {
+    return { status: 'already_reversed', transactionId };
+  }
+
+  if (payment.status === 'processing') {
+    return { status: 'in_progress', transactionId };
+  }
+
+  let uispPaymentId = null;
+  try {
+    uispPaymentId = payment.uisp_response ? JSON.parse(payment.uisp_response).id : null;
+  } catch (error) {
+    logger.warn(`Could not read UISP payment ID for ${transactionId}: ${error.message}`);
+  }
+
+  let reversal = { action: 'none', reason: 'Payment was never posted to UISP' };
+
+  if (payment.status === 'success' && uispPaymentId) {
+    if (REVERSAL_MODE === 'refund') {
+      const refund = await createUISPRefund({
+        clientId: payment.client_id,
+        amount: payment.amount,
+        currencyCode: payment.currency_code,
+        methodId: payment.uisp_method_id,
+        note: `${reason} (transaction ${transactionId}, UISP payment ${uispPaymentId})`
+      });
+      reversal = { action: 'refund', uispPaymentId, uispRefundId: refund?.id };
+    } else {
+      await deleteUISPPayment(uispPaymentId);
+      reversal = { action: 'delete', uispPaymentId };
+    }
+  } else if (payment.status === 'success') {
+    logger.warn(`Payment ${transactionId} is marked success but has no UISP payment ID; marking reversed without UISP changes`);
+    reversal = { action: 'none', reason: 'No UISP payment ID stored' };
+  }
+
+  const changes = await dbHelpers.markPaymentReversed(transactionId, payment.status, JSON.stringify(reversal));
+
+  if (changes === 0) {
+    // A delivery claimed the payment in the meantime; the caller should try again
+    return { status: 'in_progress', transactionId };
+  }
+
+  // Mirror payment status to Convex (non-blocking)
+  mirrorPaymentStatusToConvex(transactionId, 'reversed', null, reason).catch(err => {
+    logger.warn('Failed to queue payment status for Convex:', err.message);
+  });
+
+  logger.info(`Payment ${transactionId} reversed`, reversal);
+
+  return { status: 'reversed', transactionId, reversal };
+}
+
+module.exports = {
+  reversePayment
+};
@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { normalizeCurrency } = require('./currencyService');
+
+// Supported guardrails; window rules look back window_minutes (daily cap defaults to 24h)
+const RULE_TYPES = ['min_amount', 'max_amount', 'daily_client_cap', 'velocity'];
+const WINDOW_RULE_TYPES = ['daily_client_cap', 'velocity'];
+const DEFAULT_WINDOW_MINUTES = {
+  daily_client_cap: 1440,
+  velocity: 60
+};
+
+/**
+ * Validate and normalize a payment rule from an API request
+ * @param {Object} input - { rule_type, currency_code, threshold, window_minutes, enabled, notes }
+ * @returns {Object} - { rule } or { error }
+ */
+function normalizeRule(input) {
+  const ruleType = (input.rule_type || '').toString().trim().toLowerCase();
+
+  if (!RULE_TYPES.includes(ruleType)) {
+    return { error: `rule_type must be one of: ${RULE_TYPES.join(', ')}` };
+  }
+
+  const threshold = Number(input.threshold);
+
+  if (input.threshold === undefined || input.threshold === null || input.threshold === '' ||
+      !Number.isFinite(threshold) || threshold < 0) {
+    return { error: 'threshold must be a non-negative number' };
+  }
+
+  if (ruleType === 'velocity' && !Number.isInteger(threshold)) {
+    return { error: 'threshold of a velocity rule is a number of payments and must be a whole number' };
+  }
+
+  const currencyCode = normalizeCurrency(input.currency_code);
+
+  if (currencyCode && !/^[A-Z]{3}$/.test(currencyCode)) {
+    return { error: 'currency_code must be a 3-letter ISO code' };
+  }
+
+  if (ruleType === 'daily_client_cap' && !currencyCode) {
+    return { error: 'currency_code is required for daily_client_cap rules' };
+  }
+
+  let windowMinutes = null;
+
+  if (WINDOW_RULE_TYPES.includes(ruleType)) {
+    windowMinutes = input.window_minutes !== undefined && input.window_minutes !== null && input.window_minutes !== ''
+      ? Number(input.window_minutes)
+      : DEFAULT_WINDOW_MINUTES[ruleType];
+
+    if (!Number.isInteger(windowMinutes) || windowMinutes <= 0) {
+      return { error: 'window_minutes must be a positive whole number' };
+    }
+  }
+
+  return {
+    rule: {
+      rule_type: ruleType,
+      currency_code: currencyCode,
+      threshold,
+      window_minutes: windowMinutes,
+      enabled: input.enabled !== false && input.enabled !== 0 && input.enabled !== 'false',
+      notes: input.notes || null
+    }
+  };
+}
+
+/**
+ * Check a single rule against a payment
+ * @param {Object} rule - Stored payment rule
+ * @param {Object} payment - Stored payment row (amount in the client's currency)
+ * @returns {Promise<string|null>} - Violation message, or null when the rule passes
+ */
+async function checkRule(rule, payment) {
+  const amount = parseFloat(payment.amount);
+  const currency = normalizeCurrency(payment.currency_code);
+
+  // Amount rules only apply to payments in the rule's currency (no currency = any)
+  if (rule.currency_code && rule.currency_code !== currency) {
+    return null;
+  }
+
+  switch (rule.rule_type) {
+    case 'min_amount':
+      return amount < rule.threshold
+        ? `Amount ${amount} ${currency} is below the minimum of ${rule.threshold}`
+        : null;
+
+    case 'max_amount':
+      return amount > rule.threshold
+        ? `Amount ${amount} ${currency} is above the maximum of ${rule.threshold}`
+        : null;
+
+    case 'daily_client_cap': {
+      const previous = await dbHelpers.sumRecentClientPayments(
+        payment.client_id, currency, rule.window_minutes, payment.transaction_id
+      );
+      const total = Math.round((previous + amount) * 100) / 100;
+
+      return total > rule.threshold
+        ? `Client ${payment.client_id} would receive ${total} ${currency} in ${rule.window_minutes} minutes (cap ${rule.threshold})`
+        : null;
+    }
+
+    case 'velocity': {
+      const previous = await dbHelpers.countRecentClientPayments(
+        payment.client_id, rule.window_minutes, payment.transaction_id
+      );
+
+      return previous + 1 > rule.threshold
+        ? `Client ${payment.client_id} has ${previous + 1} payments in ${rule.window_minutes} minutes (limit ${rule.threshold})`
+        : null;
+    }
+
+    default:
+      logger.warn(`Ignoring payment rule ${rule.id} with unknown type '${rule.rule_type}'`);
+      return null;
+  }
+}
+
+/**
+ * Evaluate every enabled payment rule against a payment before it is posted to UISP
+ * @param {Object} payment - Stored payment row (with client_id)
+ * @returns {Promise<Array<Object>>} - Violations: { rule_id, rule_type, message } (empty when all pass)
+ */
+async function evaluatePaymentRules(payment) {
+  const rules = await dbHelpers.getPaymentRules(true);
+  const violations = [];
+
+  for (const rule of rules) {
+    const message = await checkRule(rule, payment);
+
+    if (message) {
+      violations.push({ rule_id: rule.id, rule_type: rule.rule_type, message });
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  RULE_TYPES,
+  normalizeRule,
+  evaluatePaymentRules
+};
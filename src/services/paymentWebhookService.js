@@ -0,0 +1,503 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { parseSplynxDateTime, toPaymentDateTime } = require('../utils/dateUtils');
+const { dbHelpers } = require('../utils/database');
+const { mirrorPaymentToConvex } = require('./convexOutboxService');
+const { deliverPayment } = require('./paymentDeliveryService');
+const { resolveUispClient } = require('./customerResolutionService');
+const { reversePayment } = require('./paymentReversalService');
+const { resolveUispMethodId } = require('./paymentMethodService');
+const { reconcilePaymentCurrency, normalizeCurrency } = require('./currencyService');
+
+/**
+ * Build the HTTP outcome of processing a webhook
+ * @param {number} statusCode - HTTP status code to answer with
+ * @param {Object} body - JSON response body
+ * @returns {Object} - { statusCode, body }
+ */
+function webhookResult(statusCode, body) {
+  return { statusCode, body };
+}
+
+/**
+ * Derive the idempotency key of a payment from stable Splynx fields
+ * A retried delivery of the same Splynx payment always yields the same key. An explicit
+ * Idempotency-Key header wins; then the Splynx payment ID; otherwise a hash of customer,
+ * amount, date and reference (plus the whole payload when neither date nor reference is sent).
+ * @param {Object} paymentData - Payment fields from the webhook
+ * @param {string} splynxCustomerId - Splynx customer ID
+ * @param {string} headerKey - Idempotency-Key request header, if any
+ * @returns {string}
+ */
+function buildIdempotencyKey(paymentData, splynxCustomerId, headerKey) {
+  if (headerKey) {
+    return headerKey.toString().trim();
+  }
+
+  const splynxPaymentId = paymentData.id || paymentData.payment_id;
+  if (splynxPaymentId) {
+    return `splynx-payment:${splynxPaymentId}`;
+  }
+
+  const amount = parseFloat(paymentData.amount);
+  const date = paymentData.real_create_datetime || paymentData.date || paymentData.created_at || '';
+  const reference = paymentData.transaction_id || paymentData.receipt_number || paymentData.reference || '';
+
+  const parts = [
+    splynxCustomerId.toString(),
+    isNaN(amount) ? paymentData.amount : amount.toFixed(2),
+    date,
+    reference
+  ];
+
+  if (!date && !reference) {
+    const sorted = Object.keys(paymentData).sort().reduce((acc, key) => {
+      acc[key] = paymentData[key];
+      return acc;
+    }, {});
+    parts.push(JSON.stringify(sorted));
+  }
+
+  return `splynx-hash:${crypto.createHash('sha256').update(parts.join('|')).digest('hex')}`;
+}
+
+/**
+ * Build the response for a delivery that matches an already stored payment
+ * @param {Object} existingPayment - Stored payment row
+ * @returns {Object} - { statusCode, body }
+ */
+function duplicateResult(existingPayment) {
+  logger.warn('Payment already processed', {
+    transactionId: existingPayment.transaction_id,
+    status: existingPayment.status
+  });
+
+  return webhookResult(200, {
+    message: 'Payment already processed',
+    transactionId: existingPayment.transaction_id,
+    status: existingPayment.status,
+    duplicateOf: existingPayment.transaction_id
+  });
+}
+
+/**
+ * Process a Splynx payment webhook payload
+ * Parses the payload, resolves the UISP client, stores the payment and makes the
+ * first delivery attempt. Used by POST /webhook/payment and by webhook log reprocessing.
+ * @param {Object} payload - Webhook body as sent by Splynx
+ * @param {Object} context - { idempotencyKey: Idempotency-Key request header }
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+async function processPaymentWebhook(payload, context = {}) {
+  const startTime = Date.now();
+  payload = payload || {};
+
+  // Extract payment data from Splynx webhook
+  // Adjust this based on actual Splynx webhook payload structure
+  let paymentData;
+  let splynxCustomerId;
+
+  if (payload.data && payload.data.attributes) {
+    // JSON API format from Splynx
+    // customer_id is at data level, payment info is in attributes
+    paymentData = payload.data.attributes;
+    splynxCustomerId = payload.data.customer_id; // Extract from data level, not attributes
+
+    logger.info('Splynx JSON API format detected', {
+      customer_id: splynxCustomerId,
+      attributes: Object.keys(paymentData)
+    });
+  } else if (payload.payment) {
+    // Direct payment object
+    paymentData = payload.payment;
+    splynxCustomerId = paymentData.customer_id || paymentData.client_id;
+  } else {
+    // Assume body is the payment data
+    paymentData = payload;
+    splynxCustomerId = paymentData.customer_id || paymentData.client_id;
+  }
+
+  // Check if this is a test/ping request (empty payload or no data)
+  if (!paymentData || Object.keys(paymentData).length === 0) {
+    logger.info('Webhook test/ping request received');
+    return webhookResult(200, {
+      success: true,
+      message: 'Webhook endpoint is active and ready to receive payments'
+    });
+  }
+
+  // Ensure we have customer_id
+  if (!splynxCustomerId) {
+    splynxCustomerId = paymentData.customer_id || paymentData.client_id;
+  }
+
+  if (!splynxCustomerId) {
+    // Check if this is a test/validation request (no customer_id and minimal data)
+    if (!paymentData.amount || Object.keys(paymentData).length < 2) {
+      logger.info('Webhook validation/test request received (no customer_id)');
+      return webhookResult(200, {
+        success: true,
+        message: 'Webhook endpoint is active and ready to receive payments',
+        note: 'This was a test request. Real payments must include customer_id or client_id'
+      });
+    }
+
+    logger.error('No customer_id or client_id found in webhook payload');
+    return webhookResult(400, {
+      error: 'Missing customer identification',
+      message: 'Webhook must include customer_id or client_id'
+    });
+  }
+
+  const idempotencyKey = buildIdempotencyKey(paymentData, splynxCustomerId, context.idempotencyKey);
+
+  // Derive the transaction ID if not provided, so retries map to the same payment. The Splynx payment ID
+  // wins over the Idempotency-Key header: deletions and reconciliation look payments up by SPLYNX-<id>.
+  if (!paymentData.transaction_id) {
+    const splynxPaymentId = paymentData.id || paymentData.payment_id;
+    paymentData.transaction_id = splynxPaymentId
+      ? `SPLYNX-${splynxPaymentId}`
+      : `SPLYNX-${crypto.createHash('sha256').update(idempotencyKey).digest('hex').substring(0, 20)}`;
+  }
+
+  // Check if payment already exists (idempotency)
+  const existingPayment = await dbHelpers.findExistingPayment(idempotencyKey, paymentData.transaction_id);
+
+  if (existingPayment) {
+    return duplicateResult(existingPayment);
+  }
+
+  // Look up UISP client ID through the configured resolver chain
+  const resolution = await resolveUispClient(splynxCustomerId);
+  const uispClientId = resolution.uispClientId;
+  const customerLogin = resolution.customerLogin;
+
+  // A lookup that failed because UISP or Splynx could not be reached is not a miss: nothing is stored
+  // and Splynx is asked to send the webhook again
+  if (!uispClientId && resolution.transientError) {
+    logger.warn(`Customer resolution for Splynx customer ${splynxCustomerId} hit an outage, asking Splynx to retry`);
+    return webhookResult(503, {
+      error: 'Customer resolution unavailable',
+      message: `A customer lookup service could not be reached for Splynx customer ${splynxCustomerId}, please retry`,
+      splynxCustomerId: splynxCustomerId,
+      resolution: resolution.trace
+    });
+  }
+
+  // Without a UISP client the payment is quarantined for manual assignment (it needs an amount to be a payment)
+  const quarantined = !uispClientId;
+
+  if (quarantined && !paymentData.amount) {
+    logger.error(`No UISP client found for Splynx customer ${splynxCustomerId}`);
+    return webhookResult(400, {
+      error: 'Customer not found',
+      message: `Splynx customer ${splynxCustomerId} (login: ${customerLogin}) not found in UISP. Please ensure the customer exists in UISP with matching userIdent.`,
+      splynxCustomerId: splynxCustomerId,
+      customerLogin: customerLogin,
+      resolution: resolution.trace
+    });
+  }
+
+  if (quarantined) {
+    logger.warn(`No UISP client found for Splynx customer ${splynxCustomerId}, payment will be quarantined`);
+  } else {
+    logger.info(`Using UISP client ${uispClientId} for payment (lookup method: ${resolution.method}, customer login: ${customerLogin})`);
+
+    // Use the mapped UISP client ID
+    paymentData.client_id = uispClientId;
+  }
+
+  paymentData.splynx_customer_id = splynxCustomerId;
+
+  // Validate required fields
+  const requiredFields = quarantined ? ['amount'] : ['client_id', 'amount'];
+  const missingFields = requiredFields.filter(field => !paymentData[field]);
+
+  if (missingFields.length > 0) {
+    logger.warn('Webhook test request with incomplete data', {
+      missingFields,
+      receivedFields: Object.keys(paymentData)
+    });
+
+    // Return success for test requests, error for actual malformed payments
+    if (Object.keys(paymentData).length < 3) {
+      // Likely a test request with minimal data
+      return webhookResult(200, {
+        success: true,
+        message: 'Webhook endpoint is active. Required fields for actual payments: client_id, amount'
+      });
+    }
+
+    return webhookResult(400, {
+      error: 'Missing required fields',
+      missingFields
+    });
+  }
+
+  // Reject amounts that are not plain positive numbers ("12abc", "1e400", "-5", "0")
+  const amount = Number(paymentData.amount.toString().trim());
+
+  if (!Number.isFinite(amount) || amount <= 0) {
+    logger.warn(`Rejecting payment ${paymentData.transaction_id} with invalid amount '${paymentData.amount}'`);
+    return webhookResult(400, {
+      error: 'Invalid amount',
+      message: `Payment amount must be a positive number, got '${paymentData.amount}'`,
+      transactionId: paymentData.transaction_id
+    });
+  }
+
+  // Reject payment times that cannot be read rather than storing them as-is
+  const splynxPaymentTime = paymentData.real_create_datetime || paymentData.created_at;
+
+  if (splynxPaymentTime && !parseSplynxDateTime(splynxPaymentTime)) {
+    logger.warn(`Rejecting payment ${paymentData.transaction_id} with invalid payment time '${splynxPaymentTime}'`);
+    return webhookResult(400, {
+      error: 'Invalid payment time',
+      message: `Payment time must be a date or date and time, got '${splynxPaymentTime}'`,
+      transactionId: paymentData.transaction_id
+    });
+  }
+
+  // Map the Splynx payment method to a UISP method; unmapped methods follow PAYMENT_METHOD_UNMAPPED_POLICY
+  const splynxPaymentMethod = paymentData.payment_method || paymentData.payment_type;
+  const method = await resolveUispMethodId(splynxPaymentMethod);
+
+  if (!method.methodId && method.policy === 'reject') {
+    return webhookResult(422, {
+      error: 'Unmapped payment method',
+      message: `Splynx payment method '${method.splynxPaymentMethod}' has no UISP payment method mapping`,
+      transactionId: paymentData.transaction_id
+    });
+  }
+
+  // Convert to the UISP client's currency; payments that cannot be converted are quarantined, but a
+  // currency lookup that failed because UISP could not be reached stores nothing and asks for a retry
+  let currency = null;
+
+  if (!quarantined) {
+    try {
+      currency = await reconcilePaymentCurrency(paymentData, paymentData.client_id);
+    } catch (error) {
+      logger.warn(`Currency lookup for UISP client ${paymentData.client_id} failed, asking Splynx to retry`);
+      return webhookResult(503, {
+        error: 'Currency lookup unavailable',
+        message: `The currency of UISP client ${paymentData.client_id} could not be looked up, please retry`,
+        transactionId: paymentData.transaction_id
+      });
+    }
+  }
+
+  let quarantineReason = null;
+  let quarantineMessage = null;
+
+  if (quarantined) {
+    quarantineReason = 'unmatched_client';
+  } else if (!currency.reconciled) {
+    quarantineReason = 'unreconciled_currency';
+    quarantineMessage = currency.reason;
+  } else if (!method.methodId) {
+    quarantineReason = 'unmapped_method';
+    quarantineMessage = `No UISP payment method mapped for Splynx method '${method.splynxPaymentMethod}'`;
+  }
+
+  const converted = currency && currency.reconciled ? currency : null;
+
+  // Store payment in database with pending status (this queues it for delivery)
+  const paymentRecord = {
+    transaction_id: paymentData.transaction_id,
+    client_id: quarantined ? '' : paymentData.client_id,
+    status: quarantineReason ? 'quarantined' : 'pending',
+    amount: converted ? converted.amount : paymentData.amount,
+    currency_code: converted ? converted.currency_code : normalizeCurrency(paymentData.currency_code) || 'KES',
+    original_amount: converted ? converted.original_amount : null,
+    original_currency_code: converted ? converted.original_currency_code : null,
+    fx_rate: converted ? converted.fx_rate : null,
+    payment_type: paymentData.payment_type,
+    payment_method: splynxPaymentMethod,
+    created_at: toPaymentDateTime(splynxPaymentTime),
+    splynx_customer_id: paymentData.splynx_customer_id,
+    splynx_customer_login: customerLogin,
+    note: paymentData.comment || paymentData.note,
+    resolution_method: resolution.method,
+    resolution_trace: JSON.stringify(resolution.trace),
+    idempotency_key: idempotencyKey,
+    uisp_method_id: method.methodId,
+    quarantine_reason: quarantineReason,
+    error_message: quarantineMessage,
+    invoice_number: paymentData.invoice_number || paymentData.invoice_reference,
+    splynx_invoice_id: paymentData.invoice_id
+  };
+
+  // The insert is the claim: of two concurrent deliveries only one stores (and posts) the payment
+  const paymentId = await dbHelpers.insertPayment(paymentRecord);
+
+  if (!paymentId) {
+    const claimedBy = await dbHelpers.findExistingPayment(idempotencyKey, paymentData.transaction_id);
+    return duplicateResult(claimedBy);
+  }
+
+  logger.info('Payment stored in database', {
+    transactionId: paymentData.transaction_id
+  });
+
+  // Mirror payment to Convex; recorded before delivery so it is sent ahead of any status update
+  await mirrorPaymentToConvex({
+    ...paymentRecord,
+    received_at: Date.now(),
+    retry_count: 0,
+  }).catch(err => {
+    logger.warn('Failed to queue payment for Convex:', err.message);
+  });
+
+  if (quarantineReason === 'unreconciled_currency') {
+    return webhookResult(202, {
+      message: 'Payment currency could not be reconciled with the UISP client, payment quarantined',
+      transactionId: paymentData.transaction_id,
+      reason: quarantineMessage
+    });
+  }
+
+  if (quarantineReason === 'unmapped_method') {
+    return webhookResult(202, {
+      message: 'No UISP payment method mapped, payment quarantined until a mapping is added',
+      transactionId: paymentData.transaction_id,
+      splynxPaymentMethod: method.splynxPaymentMethod
+    });
+  }
+
+  if (quarantined) {
+    return webhookResult(202, {
+      message: 'No matching UISP client, payment quarantined for manual assignment',
+      transactionId: paymentData.transaction_id,
+      splynxCustomerId: splynxCustomerId,
+      customerLogin: customerLogin,
+      resolution: resolution.trace
+    });
+  }
+
+  // Make the first delivery attempt now; failures are retried by the delivery worker
+  const delivery = await deliverPayment(paymentData.transaction_id);
+  const duration = Date.now() - startTime;
+
+  if (delivery.status === 'success') {
+    logger.info('Payment successfully processed', {
+      transactionId: paymentData.transaction_id,
+      duration: `${duration}ms`
+    });
+
+    return webhookResult(200, {
+      message: 'Payment successfully posted to UISP',
+      transactionId: paymentData.transaction_id,
+      uispPaymentId: delivery.uispResponse?.id,
+      duration: `${duration}ms`
+    });
+  }
+
+  if (delivery.status === 'held') {
+    return webhookResult(202, {
+      message: 'Payment held for approval before posting to UISP',
+      transactionId: paymentData.transaction_id,
+      violations: delivery.violations
+    });
+  }
+
+  if (delivery.status === 'failed' && delivery.nextAttemptInMs === null) {
+    logger.error('Failed to post payment to UISP', {
+      transactionId: paymentData.transaction_id,
+      error: delivery.error
+    });
+
+    return webhookResult(500, {
+      error: 'Failed to post payment to UISP',
+      transactionId: paymentData.transaction_id,
+      message: delivery.error
+    });
+  }
+
+  // Stored and queued: Splynx does not need to resend it
+  return webhookResult(202, {
+    message: 'Payment stored and queued for delivery to UISP',
+    transactionId: paymentData.transaction_id,
+    error: delivery.error,
+    nextAttemptInMs: delivery.nextAttemptInMs,
+    duration: `${duration}ms`
+  });
+}
+
+/**
+ * Process a Splynx "payment deleted" webhook payload
+ * Accepts the event hook format as well as a bare { transaction_id } / { payment: {...} } body.
+ * @param {Object} payload - Webhook body as sent by Splynx
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+async function processPaymentDeletedWebhook(payload) {
+  payload = payload || {};
+
+  const attributes = (payload.data && payload.data.attributes) || payload.payment || payload;
+  const splynxPaymentId = attributes.id || (payload.data && payload.data.id);
+  const candidates = [
+    attributes.transaction_id,
+    attributes.id,
+    payload.data && payload.data.id,
+    splynxPaymentId && `SPLYNX-${splynxPaymentId}`
+  ]
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => value.toString());
+
+  if (candidates.length === 0) {
+    return webhookResult(400, {
+      error: 'Missing payment identification',
+      message: 'Payment deleted webhook must include transaction_id or payment id'
+    });
+  }
+
+  let transactionId = null;
+  for (const candidate of candidates) {
+    if (await dbHelpers.getPaymentByTransactionId(candidate)) {
+      transactionId = candidate;
+      break;
+    }
+  }
+
+  if (!transactionId) {
+    logger.warn('Payment deleted webhook for unknown payment', { candidates });
+    return webhookResult(404, {
+      error: 'Payment not found',
+      message: `No payment found for ${candidates.join(' / ')}`
+    });
+  }
+
+  try {
+    const result = await reversePayment(transactionId);
+
+    if (result.status === 'in_progress') {
+      return webhookResult(409, {
+        error: 'Payment is being delivered',
+        message: 'Payment delivery is in progress, retry the reversal later',
+        transactionId
+      });
+    }
+
+    return webhookResult(200, {
+      message: result.status === 'already_reversed' ? 'Payment already reversed' : 'Payment reversed',
+      transactionId,
+      reversal: result.reversal
+    });
+  } catch (error) {
+    logger.error(`Failed to reverse payment ${transactionId} in UISP`, {
+      error: error.message
+    });
+
+    return webhookResult(502, {
+      error: 'Failed to reverse payment in UISP',
+      message: error.message,
+      transactionId
+    });
+  }
+}
+
+module.exports = {
+  webhookResult,
+  processPaymentWebhook,
+  processPaymentDeletedWebhook
+};
@@ -0,0 +1,139 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { resolveUispMethodId } = require('./paymentMethodService');
+const { reconcilePaymentCurrency } = require('./currencyService');
+
+/**
+ * Amount and currency of a stored payment as received from Splynx (before any conversion)
+ * @param {Object} payment - Stored payment row
+ * @returns {Object} - { amount, currency_code }
+ */
+function receivedAmount(payment) {
+  return {
+    amount: payment.original_amount !== null && payment.original_amount !== undefined
+      ? payment.original_amount
+      : payment.amount,
+    currency_code: payment.original_currency_code || payment.currency_code
+  };
+}
+
+/**
+ * Attach a quarantined payment to a UISP client and queue it for delivery
+ * The payment method and currency are checked first; the payment stays quarantined
+ * when either cannot be resolved.
+ * @param {Object} payment - Stored payment row (status quarantined)
+ * @param {number} uispClientId - UISP client ID
+ * @param {string} resolutionMethod - How the client was found (stored on the payment)
+ * @returns {Promise<Object>} - { assigned: true } or { assigned: false, error, message, retryable }
+ *   (retryable when the client's currency could not be looked up in UISP)
+ */
+async function assignQuarantinedPaymentToClient(payment, uispClientId, resolutionMethod = 'manual_assignment') {
+  let methodId = payment.uisp_method_id;
+
+  if (!methodId) {
+    const method = await resolveUispMethodId(payment.payment_method);
+
+    if (!method.methodId) {
+      return {
+        assigned: false,
+        error: 'Unmapped payment method',
+        message: `Add a mapping for Splynx payment method '${method.splynxPaymentMethod}' before assigning this payment`,
+        retryable: false
+      };
+    }
+
+    methodId = method.methodId;
+  }
+
+  let currency;
+
+  try {
+    currency = await reconcilePaymentCurrency(receivedAmount(payment), uispClientId);
+  } catch (error) {
+    return {
+      assigned: false,
+      error: 'Currency lookup unavailable',
+      message: `The currency of UISP client ${uispClientId} could not be looked up: ${error.message}`,
+      retryable: true
+    };
+  }
+
+  if (!currency.reconciled) {
+    return {
+      assigned: false,
+      error: 'Unreconciled currency',
+      message: currency.reason,
+      retryable: false
+    };
+  }
+
+  await dbHelpers.setPaymentMethodId(payment.transaction_id, methodId);
+  await dbHelpers.setPaymentConversion(payment.transaction_id, currency);
+  await dbHelpers.assignQuarantinedPayment(payment.transaction_id, uispClientId, resolutionMethod);
+
+  return { assigned: true };
+}
+
+/**
+ * Retry the currency conversion of payments quarantined for an unreconciled currency
+ * Called after the FX rates change; converted payments are queued for delivery (or wait
+ * for a payment method mapping if they still need one).
+ * @returns {Promise<Object>} - { released, waitingForMethod, stillQuarantined }
+ */
+async function releaseCurrencyQuarantinedPayments() {
+  const payments = await dbHelpers.getQuarantinedPaymentsByReason('unreconciled_currency');
+  let released = 0;
+  let waitingForMethod = 0;
+
+  for (const payment of payments) {
+    let currency;
+
+    try {
+      currency = await reconcilePaymentCurrency(receivedAmount(payment), payment.client_id);
+    } catch (error) {
+      // UISP unreachable: left quarantined for the next release
+      logger.warn(`Could not reconcile the currency of payment ${payment.transaction_id}: ${error.message}`);
+      continue;
+    }
+
+    if (!currency.reconciled) {
+      continue;
+    }
+
+    await dbHelpers.setPaymentConversion(payment.transaction_id, currency);
+
+    if (!payment.uisp_method_id) {
+      const method = await resolveUispMethodId(payment.payment_method);
+
+      if (!method.methodId) {
+        await dbHelpers.setQuarantineReason(
+          payment.transaction_id,
+          'unmapped_method',
+          `No UISP payment method mapped for Splynx method '${method.splynxPaymentMethod}'`
+        );
+        waitingForMethod++;
+        continue;
+      }
+
+      await dbHelpers.setPaymentMethodId(payment.transaction_id, method.methodId);
+    }
+
+    await dbHelpers.releaseQuarantinedPayment(payment.transaction_id);
+    released++;
+  }
+
+  if (released > 0 || waitingForMethod > 0) {
+    logger.info(`Released ${released} currency-quarantined payment(s), ${waitingForMethod} waiting for a payment method mapping`);
+  }
+
+  return {
+    released,
+    waitingForMethod,
+    stillQuarantined: payments.length - released - waitingForMethod
+  };
+}
+
+module.exports = {
+  assignQuarantinedPaymentToClient,
+  releaseCurrencyQuarantinedPayments
+};
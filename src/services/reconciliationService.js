@@ -0,0 +1,378 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { getUISPPayments, getUISPClientPayments } = require('./uispService');
+const { getSplynxPayments } = require('./splynxService');
+
+const AMOUNT_TOLERANCE = 0.01;
+const UISP_GRACE_DAYS = parseInt(process.env.RECONCILE_UISP_GRACE_DAYS) || 2;
+
+// Bridge statuses that are never expected to exist in UISP
+const NOT_DELIVERABLE_STATUSES = ['quarantined', 'reversed', 'held'];
+
+const CATEGORIES = [
+  'missing_in_uisp',
+  'duplicated_in_uisp',
+  'amount_mismatch',
+  'status_mismatch',
+  'orphan',
+  'lookup_failed'
+];
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Shifted date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().substring(0, 10);
+}
+
+/**
+ * Check whether two amounts differ by more than a cent
+ * @returns {boolean}
+ */
+function amountsDiffer(a, b) {
+  return Math.abs(parseFloat(a) - parseFloat(b)) > AMOUNT_TOLERANCE;
+}
+
+/**
+ * Group UISP payments by providerPaymentId
+ * @param {Array} payments - UISP payments
+ * @returns {Map<string, Array>}
+ */
+function groupByProviderPaymentId(payments) {
+  const groups = new Map();
+
+  payments
+    .filter(payment => payment.providerPaymentId)
+    .forEach(payment => {
+      const key = payment.providerPaymentId.toString();
+      groups.set(key, (groups.get(key) || []).concat(payment));
+    });
+
+  return groups;
+}
+
+/**
+ * Compare bridge payments with UISP payments
+ * @param {Array} bridgePayments - Rows from the payments table
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { findings, uispCount }
+ */
+async function reconcileWithUisp(bridgePayments, from, to) {
+  const findings = [];
+  const uispPayments = await getUISPPayments(from, addDays(to, UISP_GRACE_DAYS));
+  const uispByProviderId = groupByProviderPaymentId(uispPayments);
+  const clientPaymentsCache = new Map();
+  const bridgeTransactionIds = new Set(bridgePayments.map(p => p.transaction_id));
+
+  for (const payment of bridgePayments) {
+    if (NOT_DELIVERABLE_STATUSES.includes(payment.status)) {
+      continue;
+    }
+
+    let matches = uispByProviderId.get(payment.transaction_id) || [];
+
+    // Posted outside the date window? Check the client's full UISP payment history
+    let lookupError = null;
+
+    if (matches.length === 0 && payment.client_id) {
+      // A failed fetch is remembered as the error, so the client's other payments are not fetched again
+      // and are not taken for missing ones
+      if (!clientPaymentsCache.has(payment.client_id)) {
+        try {
+          clientPaymentsCache.set(payment.client_id, { payments: await getUISPClientPayments(payment.client_id) });
+        } catch (error) {
+          logger.warn(`Reconciliation could not fetch UISP payments for client ${payment.client_id}: ${error.message}`);
+          clientPaymentsCache.set(payment.client_id, { error: error.message });
+        }
+      }
+
+      const clientPayments = clientPaymentsCache.get(payment.client_id);
+      lookupError = clientPayments.error || null;
+      matches = (clientPayments.payments || [])
+        .filter(p => p.providerPaymentId && p.providerPaymentId.toString() === payment.transaction_id);
+    }
+
+    const base = {
+      source: 'uisp',
+      transaction_id: payment.transaction_id,
+      client_id: payment.client_id,
+      bridge_amount: payment.amount,
+      bridge_status: payment.status,
+      uisp_payment_ids: matches.map(p => p.id)
+    };
+
+    if (lookupError) {
+      findings.push({
+        ...base,
+        category: 'lookup_failed',
+        details: `Not checked: UISP payments of client ${payment.client_id} could not be fetched (${lookupError})`
+      });
+      continue;
+    }
+
+    if (matches.length === 0) {
+      findings.push({
+        ...base,
+        category: 'missing_in_uisp',
+        details: payment.status === 'success'
+          ? 'Bridge recorded a successful delivery but UISP has no payment with this providerPaymentId'
+          : `Payment not delivered yet (bridge status: ${payment.status})`
+      });
+      continue;
+    }
+
+    if (matches.length > 1) {
+      findings.push({
+        ...base,
+        category: 'duplicated_in_uisp',
+        uisp_amount: matches.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0),
+        details: `${matches.length} UISP payments share this providerPaymentId`
+      });
+    }
+
+    if (amountsDiffer(matches[0].amount, payment.amount)) {
+      findings.push({
+        ...base,
+        category: 'amount_mismatch',
+        uisp_amount: matches[0].amount,
+        details: `Bridge amount ${payment.amount}, UISP amount ${matches[0].amount}`
+      });
+    }
+
+    if (payment.status !== 'success') {
+      findings.push({
+        ...base,
+        category: 'status_mismatch',
+        uisp_amount: matches[0].amount,
+        details: `Payment exists in UISP but bridge status is ${payment.status}`
+      });
+    }
+  }
+
+  // Splynx payments in UISP that the bridge has no record of
+  for (const [providerPaymentId, payments] of uispByProviderId) {
+    const inRange = payments.filter(p => {
+      const created = (p.createdDate || '').substring(0, 10);
+      return p.providerName === 'Splynx' && created >= from && created <= to;
+    });
+
+    if (inRange.length === 0 || bridgeTransactionIds.has(providerPaymentId)) {
+      continue;
+    }
+
+    if (await dbHelpers.getPaymentByTransactionId(providerPaymentId)) {
+      continue;
+    }
+
+    findings.push({
+      category: 'orphan',
+      source: 'uisp',
+      transaction_id: providerPaymentId,
+      client_id: inRange[0].clientId,
+      uisp_payment_ids: inRange.map(p => p.id),
+      uisp_amount: inRange[0].amount,
+      details: 'UISP payment from Splynx with no matching bridge payment'
+    });
+  }
+
+  return { findings, uispCount: uispPayments.length };
+}
+
+/**
+ * Compare Splynx payments with bridge payments
+ * @param {Array} bridgePayments - Rows from the payments table
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { findings, splynxCount }
+ */
+async function reconcileWithSplynx(bridgePayments, from, to) {
+  const findings = [];
+  const splynxPayments = await getSplynxPayments(from, to);
+  const bridgeByTransactionId = new Map(bridgePayments.map(p => [p.transaction_id, p]));
+
+  for (const splynxPayment of splynxPayments) {
+    // Payments stored without a transaction ID use SPLYNX-<payment id>
+    const candidates = [
+      splynxPayment.transaction_id,
+      splynxPayment.id,
+      splynxPayment.id && `SPLYNX-${splynxPayment.id}`
+    ]
+      .filter(value => value !== undefined && value !== null && value !== '')
+      .map(value => value.toString());
+
+    let bridgePayment = null;
+    for (const candidate of candidates) {
+      bridgePayment = bridgeByTransactionId.get(candidate) || await dbHelpers.getPaymentByTransactionId(candidate);
+      if (bridgePayment) {
+        break;
+      }
+    }
+
+    if (!bridgePayment) {
+      findings.push({
+        category: 'orphan',
+        source: 'splynx',
+        transaction_id: splynxPayment.transaction_id || null,
+        splynx_payment_id: splynxPayment.id,
+        splynx_amount: splynxPayment.amount,
+        details: `Splynx payment for customer ${splynxPayment.customer_id} never reached the bridge`
+      });
+      continue;
+    }
+
+    // Converted payments are compared in the currency Splynx sent them in
+    const receivedAmount = bridgePayment.original_amount !== null && bridgePayment.original_amount !== undefined
+      ? bridgePayment.original_amount
+      : bridgePayment.amount;
+
+    if (amountsDiffer(splynxPayment.amount, receivedAmount)) {
+      findings.push({
+        category: 'amount_mismatch',
+        source: 'splynx',
+        transaction_id: bridgePayment.transaction_id,
+        client_id: bridgePayment.client_id,
+        splynx_payment_id: splynxPayment.id,
+        bridge_amount: receivedAmount,
+        splynx_amount: splynxPayment.amount,
+        bridge_status: bridgePayment.status,
+        details: `Splynx amount ${splynxPayment.amount}, bridge amount ${receivedAmount}`
+      });
+    }
+  }
+
+  return { findings, splynxCount: splynxPayments.length };
+}
+
+/**
+ * Run a reconciliation for an existing report row
+ * @param {number} reportId - Reconciliation report ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Report summary
+ */
+async function runReconciliation(reportId, from, to) {
+  const startTime = Date.now();
+
+  try {
+    logger.info(`Reconciliation ${reportId} started for ${from} to ${to}`);
+
+    const bridgePayments = await dbHelpers.getPaymentsReceivedBetween(from, to);
+    const uisp = await reconcileWithUisp(bridgePayments, from, to);
+
+    let splynx = { findings: [], splynxCount: 0 };
+    let splynxError = null;
+    try {
+      splynx = await reconcileWithSplynx(bridgePayments, from, to);
+    } catch (error) {
+      splynxError = error.message;
+      logger.warn(`Reconciliation ${reportId} skipped Splynx comparison: ${error.message}`);
+    }
+
+    const findings = uisp.findings.concat(splynx.findings);
+    await dbHelpers.insertReconciliationItems(reportId, findings);
+
+    const counts = {};
+    CATEGORIES.forEach(category => {
+      counts[category] = findings.filter(f => f.category === category).length;
+    });
+
+    const summary = {
+      bridge_payments: bridgePayments.length,
+      uisp_payments: uisp.uispCount,
+      splynx_payments: splynx.splynxCount,
+      splynx_checked: !splynxError,
+      splynx_error: splynxError || undefined,
+      counts,
+      duration: Date.now() - startTime
+    };
+
+    await dbHelpers.updateReconciliationReport(reportId, 'completed', summary);
+
+    logger.info(`Reconciliation ${reportId} completed`, summary);
+
+    return summary;
+  } catch (error) {
+    logger.error(`Reconciliation ${reportId} failed:`, error.message);
+    await dbHelpers.updateReconciliationReport(reportId, 'failed', null, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create a reconciliation report and run it in the background
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {string} trigger - What started the run (manual, scheduled)
+ * @returns {Promise<number>} - Report ID
+ */
+async function startReconciliation(from, to, trigger = 'manual') {
+  const reportId = await dbHelpers.createReconciliationReport(from, to, trigger);
+
+  runReconciliation(reportId, from, to).catch(() => {
+    // Failure is recorded on the report
+  });
+
+  return reportId;
+}
+
+/**
+ * Get the date range covering the last full days (up to yesterday, UTC)
+ * @param {number} lookbackDays - Number of days
+ * @returns {Object} - { from, to } (YYYY-MM-DD)
+ */
+function getRecentDaysRange(lookbackDays) {
+  const yesterday = addDays(new Date().toISOString().substring(0, 10), -1);
+  return { from: addDays(yesterday, -(lookbackDays - 1)), to: yesterday };
+}
+
+/**
+ * Reconcile the last full days and wait for the report
+ * @param {number} lookbackDays - Number of days to cover
+ * @param {string} trigger - What started the run (manual, scheduled)
+ * @returns {Promise<Object>} - { reportId, from, to, summary }
+ */
+async function reconcileRecentDays(lookbackDays, trigger = 'scheduled') {
+  const { from, to } = getRecentDaysRange(lookbackDays);
+  const reportId = await dbHelpers.createReconciliationReport(from, to, trigger);
+  const summary = await runReconciliation(reportId, from, to);
+
+  return { reportId, from, to, summary };
+}
+
+/**
+ * Convert reconciliation findings to CSV
+ * @param {Array} items - Rows from reconciliation_items
+ * @returns {string} - CSV text
+ */
+function itemsToCsv(items) {
+  const columns = [
+    'category', 'source', 'transaction_id', 'client_id', 'uisp_payment_ids', 'splynx_payment_id',
+    'bridge_amount', 'uisp_amount', 'splynx_amount', 'bridge_status', 'details'
+  ];
+
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = value.toString();
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(',')]
+    .concat(items.map(item => columns.map(column => escape(item[column])).join(',')))
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  CATEGORIES,
+  runReconciliation,
+  startReconciliation,
+  reconcileRecentDays,
+  itemsToCsv
+};
@@ -0,0 +1,264 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { retryWithBackoff } = require('../utils/retry');
+const { SPLYNX_PAGE_SIZE, getSplynxCustomersPage, transformSplynxCustomer } = require('./splynxService');
+const { mirrorSplynxCustomersToConvex } = require('./convexOutboxService');
+
+const PAGE_RETRIES = parseInt(process.env.SPLYNX_PAGE_RETRIES) || 3;
+const PAGE_RETRY_DELAY_MS = parseInt(process.env.SPLYNX_PAGE_RETRY_DELAY_MS) || 2000;
+// Give up on the run when this many pages in a row cannot be fetched (Splynx is down)
+const MAX_CONSECUTIVE_FAILED_PAGES = 3;
+
+// Modes accepted by syncSplynxCustomers
+const SPLYNX_CUSTOMER_SYNC_MODES = ['incremental', 'full'];
+
+/**
+ * Check whether a fetched customer differs from its stored row
+ * @param {Object} stored - Row from splynx_customers
+ * @param {Object} customer - transformSplynxCustomer output
+ * @returns {boolean}
+ */
+function hasCustomerChanged(stored, customer) {
+  return Object.keys(customer)
+    .some(field => field !== 'splynx_id' && (stored[field] || null) !== (customer[field] || null));
+}
+
+/**
+ * Work out where an incremental sync starts
+ * The watermark of the last completed run is the latest last_update it stored; runs with failed
+ * pages keep the previous watermark so the customers they missed are fetched again.
+ * @returns {Promise<string|null>} - Splynx time to fetch changes from, or null to fetch everything
+ */
+async function getIncrementalWatermark() {
+  const previous = await dbHelpers.getLastCompletedSyncLog(['splynx_customer_sync']);
+  const details = previous && previous.details ? JSON.parse(previous.details) : null;
+
+  return details && details.watermark ? details.watermark : null;
+}
+
+/**
+ * Sync Splynx customers into the local splynx_customers table and mirror them to Convex
+ * Customers are fetched a page at a time (ordered by ID). An incremental sync (the default) only
+ * fetches customers whose last_update is at or after the last completed run's watermark, and only
+ * writes the ones that changed; a full sync fetches and rewrites every customer. Each page is
+ * retried with backoff; a page that still fails is recorded and skipped, so the rest of the run
+ * goes on. Progress is saved after every page so an interrupted run can be resumed.
+ * @param {Object} options - { mode: 'incremental' (default) or 'full', trigger: what started the sync,
+ *   resumeSyncLogId: sync log of an interrupted run to continue, onStart(syncLogId, recordsSoFar),
+ *   isCancelled(): checked before each page }
+ * @returns {Promise<Object>} - Sync results (with the sync log ID; cancelled: true if stopped early)
+ */
+async function syncSplynxCustomers({
+  mode = 'incremental',
+  trigger = 'manual',
+  resumeSyncLogId = null,
+  onStart = () => {},
+  isCancelled = () => false
+} = {}) {
+  const startTime = Date.now();
+  const force = mode === 'full';
+  let syncLogId;
+
+  try {
+    const resumed = resumeSyncLogId ? await dbHelpers.getSyncLog(resumeSyncLogId) : null;
+    const resumedDetails = resumed && resumed.details ? JSON.parse(resumed.details) : {};
+
+    // Create sync log, or continue the interrupted one
+    syncLogId = resumed ? resumed.id : await dbHelpers.createSyncLog('splynx_customer_sync', 0, trigger);
+
+    let updatedSince = null;
+    if (resumed) {
+      updatedSince = resumedDetails.updated_since || null;
+    } else if (!force) {
+      updatedSince = await getIncrementalWatermark();
+    }
+
+    // Saved first so a resumed run fetches the same changes
+    if (!resumed) {
+      await dbHelpers.setSyncLogDetails(syncLogId, { mode, updated_since: updatedSince });
+    }
+
+    const progress = {
+      pagesFetched: resumed ? resumed.pages_fetched || 0 : 0,
+      nextOffset: resumed ? resumed.next_offset || 0 : 0,
+      total: resumed ? resumed.total_records || 0 : 0,
+      synced: resumed ? resumed.synced_records || 0 : 0,
+      failed: resumed ? resumed.failed_records || 0 : 0,
+      added: resumed ? resumed.added_records || 0 : 0,
+      changed: resumed ? resumed.changed_records || 0 : 0,
+      removed: 0,
+      unchanged: resumed ? resumed.unchanged_records || 0 : 0
+    };
+    const errors = resumed && resumed.error_message ? [resumed.error_message] : [];
+    let consecutiveFailedPages = 0;
+    let cancelled = false;
+    let hasMore = true;
+
+    onStart(syncLogId, progress.total);
+
+    if (resumed) {
+      logger.info(`Resuming Splynx customer sync ${syncLogId} at offset ${progress.nextOffset}`);
+    } else {
+      logger.info(`Starting ${mode} Splynx customer sync${updatedSince ? ` (changes since ${updatedSince})` : ''}`);
+    }
+
+    while (hasMore) {
+      if (isCancelled()) {
+        cancelled = true;
+        break;
+      }
+
+      const offset = progress.nextOffset;
+      let customers;
+
+      try {
+        customers = await retryWithBackoff(
+          () => getSplynxCustomersPage({ limit: SPLYNX_PAGE_SIZE, offset, updatedSince }),
+          { maxRetries: PAGE_RETRIES, initialDelay: PAGE_RETRY_DELAY_MS }
+        );
+        consecutiveFailedPages = 0;
+      } catch (error) {
+        consecutiveFailedPages++;
+
+        if (consecutiveFailedPages >= MAX_CONSECUTIVE_FAILED_PAGES) {
+          throw error;
+        }
+
+        errors.push(`Page at offset ${offset}: ${error.message}`);
+        logger.error(`Skipping Splynx customers at offset ${offset} after ${PAGE_RETRIES + 1} attempts:`, error.message);
+        progress.nextOffset = offset + SPLYNX_PAGE_SIZE;
+        await dbHelpers.setSyncLogProgress(syncLogId, { ...progress, errorMessage: errors.join('; ') });
+        continue;
+      }
+
+      if (customers.length === 0) {
+        break;
+      }
+
+      const page = customers.map(transformSplynxCustomer);
+      const stored = new Map(
+        (await dbHelpers.getSplynxCustomersBySplynxIds(page.map(customer => customer.splynx_id)))
+          .map(row => [row.splynx_id, row])
+      );
+      const pageCounts = { added: 0, changed: 0, unchanged: 0 };
+      const toWrite = [];
+
+      for (const customer of page) {
+        const existing = stored.get(customer.splynx_id);
+
+        if (!existing) {
+          pageCounts.added++;
+        } else if (hasCustomerChanged(existing, customer)) {
+          pageCounts.changed++;
+        } else {
+          pageCounts.unchanged++;
+          if (!force) {
+            continue;
+          }
+        }
+
+        toWrite.push(customer);
+      }
+
+      try {
+        await dbHelpers.upsertSplynxCustomers(toWrite);
+        progress.synced += toWrite.length;
+        Object.keys(pageCounts).forEach(key => { progress[key] += pageCounts[key]; });
+
+        // Mirror written customers to Convex (non-blocking)
+        mirrorSplynxCustomersToConvex(toWrite).catch(err => {
+          logger.warn('Failed to queue Splynx customers for Convex:', err.message);
+        });
+      } catch (error) {
+        progress.failed += toWrite.length;
+        errors.push(`Customers at offset ${offset}: ${error.message}`);
+        logger.error(`Failed to store Splynx customers at offset ${offset}:`, error.message);
+      }
+
+      progress.pagesFetched++;
+      progress.nextOffset = offset + SPLYNX_PAGE_SIZE;
+      progress.total += customers.length;
+      await dbHelpers.setSyncLogProgress(syncLogId, {
+        ...progress,
+        errorMessage: errors.length > 0 ? errors.join('; ') : null
+      });
+
+      logger.info(`Synced ${progress.total} Splynx customers so far (${progress.added} added, ${progress.changed} changed)`);
+
+      if (customers.length < SPLYNX_PAGE_SIZE) {
+        hasMore = false;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    const errorMessage = errors.length > 0 ? errors.join('; ') : null;
+
+    // Only a run that stored every page moves the watermark on
+    const watermark = !cancelled && errors.length === 0
+      ? await dbHelpers.getLatestSplynxCustomerUpdate()
+      : updatedSince;
+
+    const result = {
+      success: true,
+      syncLogId,
+      mode,
+      cancelled: cancelled || undefined,
+      resumed: resumed ? true : undefined,
+      updated_since: updatedSince,
+      watermark,
+      total: progress.total,
+      synced: progress.synced,
+      added: progress.added,
+      changed: progress.changed,
+      unchanged: progress.unchanged,
+      failed: progress.failed,
+      duration,
+      errors: errors.length > 0 ? errors : undefined
+    };
+
+    await dbHelpers.setSyncLogProgress(syncLogId, { ...progress, errorMessage });
+    await dbHelpers.setSyncLogDetails(syncLogId, result);
+    await dbHelpers.updateSyncLog(
+      syncLogId,
+      cancelled ? 'cancelled' : 'completed',
+      progress.synced,
+      progress.failed,
+      errorMessage
+    );
+
+    logger.info(`Splynx customer sync ${cancelled ? 'cancelled' : 'completed'}`, {
+      mode,
+      total: progress.total,
+      added: progress.added,
+      changed: progress.changed,
+      unchanged: progress.unchanged,
+      failed: progress.failed,
+      duration: `${duration}ms`
+    });
+
+    return result;
+
+  } catch (error) {
+    logger.error('Splynx customer sync failed:', error.message);
+
+    if (syncLogId) {
+      const syncLog = await dbHelpers.getSyncLog(syncLogId).catch(() => null);
+
+      await dbHelpers.updateSyncLog(
+        syncLogId,
+        'failed',
+        syncLog ? syncLog.synced_records : 0,
+        syncLog ? syncLog.failed_records : 0,
+        error.message
+      );
+      error.syncLogId = syncLogId;
+    }
+
+    throw error;
+  }
+}
+
+module.exports = {
+  SPLYNX_CUSTOMER_SYNC_MODES,
+  syncSplynxCustomers
+};
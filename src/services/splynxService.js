@@ -4,6 +4,8 @@ const logger = require('../utils/logger');
 const SPLYNX_API_URL = process.env.SPLYNX_API_URL || 'https://faijon.splynx.app';
 const SPLYNX_API_KEY = process.env.SPLYNX_API_KEY;
 const SPLYNX_API_SECRET = process.env.SPLYNX_API_SECRET;
+// Customers fetched per request when listing customers
+const SPLYNX_PAGE_SIZE = parseInt(process.env.SPLYNX_PAGE_SIZE) || 500;
 
 if (!SPLYNX_API_KEY || !SPLYNX_API_SECRET) {
   logger.warn('Splynx API credentials not configured. Customer lookup from Splynx will be disabled.');
@@ -60,6 +62,43 @@ async function getSplynxCustomer(customerId) {
   }
 }
 
+/**
+ * Get invoice details from Splynx API
+ * @param {string} invoiceId - Splynx invoice ID
+ * @returns {Promise<Object>} - Invoice data including number
+ */
+async function getSplynxInvoice(invoiceId) {
+  if (!SPLYNX_API_KEY || !SPLYNX_API_SECRET) {
+    throw new Error('Splynx API credentials not configured');
+  }
+
+  try {
+    logger.info(`Fetching invoice ${invoiceId} from Splynx API`);
+
+    const response = await axios.get(
+      `${SPLYNX_API_URL}/api/2.0/admin/finance/invoices/${invoiceId}`,
+      {
+        headers: {
+          'Authorization': getBasicAuthHeader()
+        },
+        timeout: 10000
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      logger.error(`Splynx API error for invoice ${invoiceId}:`, {
+        status: error.response.status,
+        data: error.response.data
+      });
+    } else {
+      logger.error(`Error fetching invoice ${invoiceId} from Splynx:`, error.message);
+    }
+    throw error;
+  }
+}
+
 /**
  * Get customer login/account number from Splynx
  * @param {string} customerId - Splynx customer ID
@@ -71,16 +110,29 @@ async function getSplynxCustomerLogin(customerId) {
 }
 
 /**
- * Get all customers from Splynx API
+ * Get one page of customers from Splynx API, ordered by ID
+ * @param {Object} options - { limit, offset, updatedSince: only customers with last_update at or after
+ *   this Splynx time ('YYYY-MM-DD HH:MM:SS') }
  * @returns {Promise<Array>} - Array of customer objects
  */
-async function getAllSplynxCustomers() {
+async function getSplynxCustomersPage({ limit = SPLYNX_PAGE_SIZE, offset = 0, updatedSince = null } = {}) {
   if (!SPLYNX_API_KEY || !SPLYNX_API_SECRET) {
     throw new Error('Splynx API credentials not configured');
   }
 
   try {
-    logger.info('Fetching all customers from Splynx API');
+    logger.info(`Fetching Splynx customers (limit: ${limit}, offset: ${offset}${updatedSince ? `, updated since ${updatedSince}` : ''})`);
+
+    const params = {
+      limit,
+      offset,
+      'order[id]': 'asc'
+    };
+
+    if (updatedSince) {
+      params['main_attributes[last_update][0]'] = '>=';
+      params['main_attributes[last_update][1]'] = updatedSince;
+    }
 
     const response = await axios.get(
       `${SPLYNX_API_URL}/api/2.0/admin/customers/customer`,
@@ -88,7 +140,8 @@ async function getAllSplynxCustomers() {
         headers: {
           'Authorization': getBasicAuthHeader()
         },
-        timeout: 30000
+        params,
+        timeout: 60000
       }
     );
 
@@ -102,17 +155,88 @@ async function getAllSplynxCustomers() {
       logger.warn('Unexpected Splynx API response format:', response.data);
     }
 
-    logger.info(`Successfully fetched ${customers.length} customers from Splynx`);
+    logger.info(`Fetched ${customers.length} customers from Splynx (offset: ${offset})`);
 
     return customers;
   } catch (error) {
     if (error.response) {
-      logger.error('Splynx API error fetching customers:', {
+      logger.error(`Splynx API error fetching customers at offset ${offset}:`, {
+        status: error.response.status,
+        data: error.response.data
+      });
+    } else {
+      logger.error(`Error fetching customers from Splynx at offset ${offset}:`, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get payments from Splynx API within a date range (paginated)
+ * Pages of SPLYNX_PAGE_SIZE are fetched in date order until a page is short or passes the end
+ * of the range, so a large response is never truncated and later payments are not fetched.
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Array of payment objects
+ */
+async function getSplynxPayments(from, to) {
+  if (!SPLYNX_API_KEY || !SPLYNX_API_SECRET) {
+    throw new Error('Splynx API credentials not configured');
+  }
+
+  const isAfterRange = payment => Boolean(payment.date) && payment.date.substring(0, 10) > to;
+  let payments = [];
+
+  try {
+    logger.info(`Fetching Splynx payments between ${from} and ${to}`);
+
+    for (let offset = 0; ; offset += SPLYNX_PAGE_SIZE) {
+      const response = await axios.get(
+        `${SPLYNX_API_URL}/api/2.0/admin/finance/payments`,
+        {
+          headers: {
+            'Authorization': getBasicAuthHeader()
+          },
+          params: {
+            'main_attributes[date][0]': '>=',
+            'main_attributes[date][1]': from,
+            'order[date]': 'asc',
+            'order[id]': 'asc',
+            limit: SPLYNX_PAGE_SIZE,
+            offset
+          },
+          timeout: 60000
+        }
+      );
+
+      let page = [];
+      if (Array.isArray(response.data)) {
+        page = response.data;
+      } else if (response.data && Array.isArray(response.data.data)) {
+        page = response.data.data;
+      } else {
+        logger.warn('Unexpected Splynx API response format:', response.data);
+      }
+
+      // Splynx filters support one condition per field, so the end of the range is applied here
+      payments = payments.concat(page.filter(payment => !isAfterRange(payment)));
+
+      if (page.length < SPLYNX_PAGE_SIZE || isAfterRange(page[page.length - 1])) {
+        break;
+      }
+    }
+
+    logger.info(`Successfully fetched ${payments.length} payments from Splynx`);
+
+    return payments;
+  } catch (error) {
+    if (error.response) {
+      logger.error('Splynx API error fetching payments:', {
         status: error.response.status,
         data: error.response.data
       });
     } else {
-      logger.error('Error fetching customers from Splynx:', error.message);
+      logger.error('Error fetching payments from Splynx:', error.message);
     }
     throw error;
   }
@@ -135,13 +259,17 @@ function transformSplynxCustomer(splynxCustomer) {
     category: splynxCustomer.category || null,
     street_1: splynxCustomer.street_1 || null,
     city: splynxCustomer.city || null,
-    zip_code: splynxCustomer.zip_code || null
+    zip_code: splynxCustomer.zip_code || null,
+    last_update: splynxCustomer.last_update || null
   };
 }
 
 module.exports = {
   getSplynxCustomer,
+  getSplynxInvoice,
   getSplynxCustomerLogin,
-  getAllSplynxCustomers,
+  SPLYNX_PAGE_SIZE,
+  getSplynxCustomersPage,
+  getSplynxPayments,
   transformSplynxCustomer
 };
@@ -1,15 +1,28 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { retryWithBackoff } = require('../utils/retry');
+const { parseSplynxDateTime, formatInTimeZone } = require('../utils/dateUtils');
 const { dbHelpers } = require('../utils/database');
-const { syncClientsToConvex } = require('./convexService');
+const { createLruCache } = require('../utils/lruCache');
+const { mirrorClientsToConvex } = require('./convexOutboxService');
+
+// Method used for payment types without a mapping (M-Pesa unless configured)
+const DEFAULT_PAYMENT_METHOD_ID = process.env.UISP_DEFAULT_PAYMENT_METHOD_ID || "ccff6158-de2e-45a2-af01-b973cab5cb5f";
+
+// userIdents a full UISP scan did not find, so repeated lookups do not rescan every client
+const userIdentMisses = createLruCache({
+  maxEntries: 1000,
+  ttlMs: parseInt(process.env.UISP_USERIDENT_MISS_TTL_MS) || 60000
+});
 
 /**
  * Post payment to UISP API
  * @param {Object} paymentData - Payment data from Splynx
+ * @param {Object} options - Options passed to retryWithBackoff (e.g. maxRetries)
  * @returns {Promise<Object>} - UISP API response
  */
-async function postPaymentToUISP(paymentData) {
+async function postPaymentToUISP(paymentData, options = {}) {
   const uispApiUrl = process.env.UISP_CRM_API_URL || 'https://faijonfibre.uisp.com/crm/api/v1.0';
   const uispAppKey = process.env.UISP_APP_KEY;
 
@@ -17,39 +30,28 @@ async function postPaymentToUISP(paymentData) {
     throw new Error('UISP_APP_KEY not configured');
   }
 
-  // Format datetime for UISP (expects format: Y-m-d\TH:i:sO, e.g., 2025-12-14T23:48:29+03:00)
-  const formatUispDateTime = (dateString) => {
-    if (!dateString) {
-      dateString = new Date().toISOString();
-    }
-
-    // Parse the date
-    const date = new Date(dateString);
-
-    // Format as YYYY-MM-DDTHH:mm:ss+03:00 (East Africa Time)
-    const year = date.getUTCFullYear();
-    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-    const day = String(date.getUTCDate()).padStart(2, '0');
-    const hours = String(date.getUTCHours() + 3).padStart(2, '0'); // UTC+3 for Kenya
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}+03:00`;
-  };
-
   // Prepare payment data for UISP
   const uispPaymentData = {
     clientId: parseInt(paymentData.client_id),
-    methodId: process.env.UISP_DEFAULT_PAYMENT_METHOD_ID || "ccff6158-de2e-45a2-af01-b973cab5cb5f", // M-Pesa method ID
+    methodId: paymentData.method_id || DEFAULT_PAYMENT_METHOD_ID,
     amount: parseFloat(paymentData.amount),
     currencyCode: paymentData.currency_code || 'KES',
     note: paymentData.comment || paymentData.note || `Transaction: ${paymentData.transaction_id}`,
     providerName: "Splynx",
     providerPaymentId: paymentData.transaction_id || paymentData.field_1,
-    providerPaymentTime: formatUispDateTime(paymentData.real_create_datetime || paymentData.created_at),
-    applyToInvoicesAutomatically: true
+    // UISP expects Y-m-d\TH:i:sO; unparseable times fall back to now rather than failing the payment
+    providerPaymentTime: formatInTimeZone(
+      parseSplynxDateTime(paymentData.real_create_datetime || paymentData.created_at) || new Date()
+    ),
+    applyToInvoicesAutomatically: paymentData.apply_to_invoices_automatically !== false
   };
 
+  // Explicit allocations: UISP applies the payment to these invoices in order
+  if (paymentData.invoice_ids && paymentData.invoice_ids.length > 0) {
+    uispPaymentData.invoiceIds = paymentData.invoice_ids;
+    uispPaymentData.applyToInvoicesAutomatically = false;
+  }
+
   const headers = {
     'Content-Type': 'application/json',
     'X-Auth-App-Key': uispAppKey
@@ -79,6 +81,7 @@ async function postPaymentToUISP(paymentData) {
       return response;
     },
     {
+      maxRetries: options.maxRetries,
       onRetry: async (attempt, error) => {
         // Update retry count in database
         await dbHelpers.updateRetryCount(paymentData.transaction_id, attempt);
@@ -92,6 +95,142 @@ async function postPaymentToUISP(paymentData) {
   return result.data;
 }
 
+/**
+ * Delete a payment in UISP
+ * @param {number} paymentId - UISP payment ID
+ * @returns {Promise<Object>} - UISP API response
+ */
+async function deleteUISPPayment(paymentId) {
+  const uispApiUrl = process.env.UISP_CRM_API_URL || 'https://faijonfibre.uisp.com/crm/api/v1.0';
+  const uispAppKey = process.env.UISP_APP_KEY;
+
+  if (!uispAppKey) {
+    throw new Error('UISP_APP_KEY not configured');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Auth-App-Key': uispAppKey
+  };
+
+  logger.info(`Deleting UISP payment ${paymentId}`);
+
+  const response = await retryWithBackoff(() => axios.delete(
+    `${uispApiUrl}/payments/${paymentId}`,
+    { headers, timeout: 30000 }
+  ));
+
+  return response.data || {};
+}
+
+/**
+ * Create a refund in UISP
+ * @param {Object} refundData - { clientId, amount, currencyCode, note, methodId }
+ * @returns {Promise<Object>} - UISP API response
+ */
+async function createUISPRefund(refundData) {
+  const uispApiUrl = process.env.UISP_CRM_API_URL || 'https://faijonfibre.uisp.com/crm/api/v1.0';
+  const uispAppKey = process.env.UISP_APP_KEY;
+
+  if (!uispAppKey) {
+    throw new Error('UISP_APP_KEY not configured');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Auth-App-Key': uispAppKey
+  };
+
+  const uispRefundData = {
+    clientId: parseInt(refundData.clientId),
+    methodId: refundData.methodId || DEFAULT_PAYMENT_METHOD_ID,
+    amount: parseFloat(refundData.amount),
+    currencyCode: refundData.currencyCode || 'KES',
+    note: refundData.note,
+    createdDate: new Date().toISOString()
+  };
+
+  logger.info('Creating refund in UISP', {
+    clientId: uispRefundData.clientId,
+    amount: uispRefundData.amount
+  });
+
+  const response = await retryWithBackoff(() => axios.post(
+    `${uispApiUrl}/refunds`,
+    uispRefundData,
+    { headers, timeout: 30000 }
+  ));
+
+  return response.data;
+}
+
+/**
+ * Find a client's UISP invoice by its invoice number
+ * @param {number} clientId - UISP client ID
+ * @param {string} invoiceNumber - Invoice number (as shown on the invoice)
+ * @returns {Promise<Object|null>} - UISP invoice or null if not found
+ */
+async function findUISPInvoiceByNumber(clientId, invoiceNumber) {
+  const uispApiUrl = process.env.UISP_CRM_API_URL || 'https://faijonfibre.uisp.com/crm/api/v1.0';
+  const uispAppKey = process.env.UISP_APP_KEY;
+
+  if (!uispAppKey) {
+    throw new Error('UISP_APP_KEY not configured');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Auth-App-Key': uispAppKey
+  };
+
+  try {
+    const response = await axios.get(
+      `${uispApiUrl}/invoices`,
+      {
+        headers,
+        params: { clientId, number: invoiceNumber },
+        timeout: 30000
+      }
+    );
+
+    const invoices = Array.isArray(response.data) ? response.data : [];
+    return invoices.find(invoice => invoice.number === invoiceNumber.toString()) || null;
+  } catch (error) {
+    logger.error(`Error looking up UISP invoice ${invoiceNumber} for client ${clientId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the payment methods configured in UISP
+ * @returns {Promise<Array>} - UISP payment methods ({ id, name, visible })
+ */
+async function getUISPPaymentMethods() {
+  const uispApiUrl = process.env.UISP_CRM_API_URL || 'https://faijonfibre.uisp.com/crm/api/v1.0';
+  const uispAppKey = process.env.UISP_APP_KEY;
+
+  if (!uispAppKey) {
+    throw new Error('UISP_APP_KEY not configured');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Auth-App-Key': uispAppKey
+  };
+
+  try {
+    const response = await axios.get(
+      `${uispApiUrl}/payment-methods`,
+      { headers, timeout: 30000 }
+    );
+
+    return response.data || [];
+  } catch (error) {
+    logger.error('Error fetching UISP payment methods:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Get client information from UISP
  * @param {number} clientId - UISP client ID
@@ -125,48 +264,61 @@ async function getUISPClient(clientId) {
 
 /**
  * Find UISP client by userIdent (custom ID from Splynx)
+ * Looks in the local clients index first (skipping clients removed from UISP) and only scans
+ * UISP (page by page) on a miss; a client found by the scan is written back to the index, and a
+ * userIdent the scan did not find is not scanned for again until UISP_USERIDENT_MISS_TTL_MS passes.
  * @param {string} userIdent - The userIdent to search for (e.g., W2123)
  * @returns {Promise<Object|null>} - Client data or null if not found
  */
 async function findUISPClientByUserIdent(userIdent) {
-  const uispApiUrl = process.env.UISP_API_URL || 'https://faijonfibre.uisp.com/api/v1.0';
-  const uispAppKey = process.env.UISP_APP_KEY;
+  if (!userIdent) {
+    return null;
+  }
 
-  if (!uispAppKey) {
-    throw new Error('UISP_APP_KEY not configured');
+  const indexed = await dbHelpers.getClientByCustomId(userIdent);
+
+  if (indexed) {
+    logger.info(`Found UISP client ID ${indexed.uisp_id} for userIdent ${userIdent} (local index)`);
+    const uispData = indexed.uisp_data ? JSON.parse(indexed.uisp_data) : {};
+    return { ...uispData, id: indexed.uisp_id, userIdent };
   }
 
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Auth-App-Key': uispAppKey
-  };
+  if (userIdentMisses.get(userIdent)) {
+    logger.info(`userIdent ${userIdent} not found by a recent UISP scan, skipping`);
+    return null;
+  }
 
   try {
-    logger.info(`Searching for UISP client with userIdent: ${userIdent}`);
+    logger.info(`userIdent ${userIdent} not in local index, scanning UISP clients`);
 
-    // Fetch all clients and search for matching userIdent
-    // UISP API doesn't support filtering by userIdent directly, so we need to fetch and filter
-    const response = await axios.get(
-      `${uispApiUrl}/clients`,
-      {
-        headers,
-        timeout: 30000,
-        params: {
-          limit: 1000  // Fetch up to 1000 clients
-        }
+    // UISP API doesn't support filtering by userIdent directly, so page through every client
+    const limit = 500;
+    let offset = 0;
+
+    while (true) {
+      const clients = await fetchUISPClients(limit, offset);
+      const client = clients.find(c => c.userIdent === userIdent);
+
+      if (client) {
+        logger.info(`Found UISP client ID ${client.id} for userIdent ${userIdent}`);
+
+        dbHelpers.upsertClient(transformClientData(client)).catch(err => {
+          logger.warn(`Failed to index UISP client ${client.id}:`, err.message);
+        });
+
+        return client;
       }
-    );
 
-    // Find client with matching userIdent
-    const client = response.data.find(c => c.userIdent === userIdent);
+      if (clients.length < limit) {
+        break;
+      }
 
-    if (client) {
-      logger.info(`Found UISP client ID ${client.id} for userIdent ${userIdent}`);
-      return client;
-    } else {
-      logger.warn(`No UISP client found with userIdent: ${userIdent}`);
-      return null;
+      offset += limit;
     }
+
+    logger.warn(`No UISP client found with userIdent: ${userIdent}`);
+    userIdentMisses.set(userIdent, true);
+    return null;
   } catch (error) {
     logger.error(`Error searching for UISP client by userIdent ${userIdent}:`, error.message);
     throw error;
@@ -204,6 +356,76 @@ async function getUISPClientPayments(clientId) {
   }
 }
 
+/**
+ * Find a client's UISP payment by the provider payment ID the bridge posted it with
+ * @param {number} clientId - UISP client ID
+ * @param {string} providerPaymentId - Bridge transaction ID
+ * @returns {Promise<Object|null>} - UISP payment or null if not found
+ */
+async function findUISPPaymentByProviderId(clientId, providerPaymentId) {
+  const payments = await getUISPClientPayments(clientId);
+
+  return (Array.isArray(payments) ? payments : [])
+    .find(payment => payment.providerPaymentId === providerPaymentId.toString()) || null;
+}
+
+/**
+ * Get all UISP payments created within a date range (paginated)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Payment records
+ */
+async function getUISPPayments(from, to) {
+  const uispApiUrl = process.env.UISP_CRM_API_URL || 'https://faijonfibre.uisp.com/crm/api/v1.0';
+  const uispAppKey = process.env.UISP_APP_KEY;
+
+  if (!uispAppKey) {
+    throw new Error('UISP_APP_KEY not configured');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Auth-App-Key': uispAppKey
+  };
+
+  const limit = 500;
+  let offset = 0;
+  let payments = [];
+
+  try {
+    while (true) {
+      const response = await axios.get(
+        `${uispApiUrl}/payments`,
+        {
+          headers,
+          timeout: 60000,
+          params: {
+            createdDateFrom: from,
+            createdDateTo: to,
+            limit,
+            offset
+          }
+        }
+      );
+
+      payments = payments.concat(response.data);
+
+      if (response.data.length < limit) {
+        break;
+      }
+
+      offset += limit;
+    }
+
+    logger.info(`Fetched ${payments.length} UISP payments between ${from} and ${to}`);
+
+    return payments;
+  } catch (error) {
+    logger.error(`Error fetching UISP payments between ${from} and ${to}:`, error.message);
+    throw error;
+  }
+}
+
 /**
  * Fetch all clients from UISP
  * @param {number} limit - Number of clients per page
@@ -264,6 +486,22 @@ async function fetchUISPClients(limit = 100, offset = 0, includeLeads = false) {
   }
 }
 
+// Modes accepted by syncAllClients
+const CLIENT_SYNC_MODES = ['incremental', 'full'];
+
+/**
+ * Hash the stored fields of a client so unchanged clients can be skipped by incremental sync
+ * @param {Object} clientData - Transformed client data
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashClientData(clientData) {
+  const fields = { ...clientData };
+  delete fields.raw_data;
+  delete fields.content_hash;
+
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
 /**
  * Transform UISP client data to database format
  * @param {Object} uispClient - Client data from UISP
@@ -273,7 +511,7 @@ function transformClientData(uispClient) {
   // Extract contact from contacts array
   const contact = uispClient.contacts && uispClient.contacts[0];
 
-  return {
+  const clientData = {
     uisp_id: uispClient.id,
     custom_id: uispClient.userIdent || null,  // Custom ID from UISP
     first_name: uispClient.firstName || contact?.name?.split(' ')[0] || null,
@@ -300,103 +538,203 @@ function transformClientData(uispClient) {
     note: uispClient.note || null,
     raw_data: uispClient
   };
+
+  clientData.content_hash = hashClientData(clientData);
+  return clientData;
 }
 
 /**
- * Sync all clients from UISP to local database
- * @returns {Promise<Object>} - Sync results
+ * Sync clients from UISP to the local database
+ * Clients are fetched and written a page at a time. In incremental mode only clients whose
+ * content hash changed are written and mirrored to Convex; full mode rewrites every client.
+ * Stored clients missing from UISP are marked removed (and inactive).
+ * Progress is saved to the sync log after every page, so a run interrupted by a restart can be
+ * resumed from the next page (removed clients are then left for the next complete run, since
+ * pages fetched before the restart may have shifted).
+ * @param {Object} options - { mode: 'incremental' (default) or 'full', trigger: what started the sync,
+ *   resumeSyncLogId: sync log of an interrupted run to continue, onStart(syncLogId, recordsSoFar),
+ *   isCancelled(): checked before each page }
+ * @returns {Promise<Object>} - Sync results (with the sync log ID; cancelled: true if stopped early)
  */
-async function syncAllClients() {
+async function syncAllClients({
+  mode = 'incremental',
+  trigger = 'manual',
+  resumeSyncLogId = null,
+  onStart = () => {},
+  isCancelled = () => false
+} = {}) {
   const startTime = Date.now();
+  const force = mode === 'full';
   let syncLogId;
 
   try {
-    // Create sync log
-    syncLogId = await dbHelpers.createSyncLog('full_client_sync');
+    const resumed = resumeSyncLogId ? await dbHelpers.getSyncLog(resumeSyncLogId) : null;
 
-    logger.info('Starting full client sync from UISP');
+    // Create sync log, or continue the interrupted one
+    syncLogId = resumed
+      ? resumed.id
+      : await dbHelpers.createSyncLog(force ? 'full_client_sync' : 'incremental_client_sync', 0, trigger);
 
-    let allClients = [];
-    let offset = 0;
     const limit = 100;
+    const progress = {
+      pagesFetched: resumed ? resumed.pages_fetched || 0 : 0,
+      nextOffset: resumed ? resumed.next_offset || 0 : 0,
+      total: resumed ? resumed.total_records || 0 : 0,
+      synced: resumed ? resumed.synced_records || 0 : 0,
+      failed: resumed ? resumed.failed_records || 0 : 0,
+      added: resumed ? resumed.added_records || 0 : 0,
+      changed: resumed ? resumed.changed_records || 0 : 0,
+      removed: resumed ? resumed.removed_records || 0 : 0,
+      unchanged: resumed ? resumed.unchanged_records || 0 : 0
+    };
+    const errors = resumed && resumed.error_message ? [resumed.error_message] : [];
+    const seenIds = new Set();
+    let cancelled = false;
     let hasMore = true;
 
-    // Fetch all clients with pagination
+    onStart(syncLogId, progress.total);
+
+    if (resumed) {
+      logger.info(`Resuming ${mode} client sync ${syncLogId} at offset ${progress.nextOffset}`);
+    } else {
+      logger.info(`Starting ${mode} client sync from UISP`);
+    }
+
+    // Fetch, compare and write clients page by page
     while (hasMore) {
+      if (isCancelled()) {
+        cancelled = true;
+        break;
+      }
+
+      const offset = progress.nextOffset;
       const clients = await fetchUISPClients(limit, offset);
 
       if (clients.length === 0) {
-        hasMore = false;
-      } else {
-        allClients = allClients.concat(clients);
-        offset += limit;
-
-        logger.info(`Fetched ${allClients.length} clients so far...`);
+        break;
+      }
 
-        // If we got less than the limit, we've reached the end
-        if (clients.length < limit) {
-          hasMore = false;
+      const page = clients.map(uispClient => transformClientData(uispClient));
+      const stored = new Map(
+        (await dbHelpers.getClientsByUispIds(page.map(client => client.uisp_id)))
+          .map(row => [row.uisp_id, row])
+      );
+      const pageCounts = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+      const toWrite = [];
+
+      for (const clientData of page) {
+        const existing = stored.get(clientData.uisp_id);
+        seenIds.add(clientData.uisp_id);
+
+        if (!existing || existing.removed_at) {
+          pageCounts.added++;
+        } else if (existing.content_hash === clientData.content_hash) {
+          pageCounts.unchanged++;
+          if (!force) {
+            continue;
+          }
+        } else if (existing.is_active && !clientData.is_active) {
+          // Archived in UISP since the last sync
+          pageCounts.removed++;
+        } else {
+          pageCounts.changed++;
         }
+
+        toWrite.push(clientData);
       }
-    }
 
-    logger.info(`Total clients fetched: ${allClients.length}`);
+      try {
+        await dbHelpers.upsertClients(toWrite);
+        progress.synced += toWrite.length;
+        Object.keys(pageCounts).forEach(key => { progress[key] += pageCounts[key]; });
 
-    // Update sync log with total
-    await dbHelpers.updateSyncLog(syncLogId, 'in_progress', 0, 0);
+        // Mirror written clients to Convex (non-blocking)
+        mirrorClientsToConvex(toWrite).catch(err => {
+          logger.warn('Failed to queue clients for Convex:', err.message);
+        });
+      } catch (error) {
+        progress.failed += toWrite.length;
+        errors.push(`Clients at offset ${offset}: ${error.message}`);
+        logger.error(`Failed to sync clients at offset ${offset}:`, error.message);
+      }
 
-    // Transform clients for Convex sync
-    const transformedClients = allClients.map(uispClient => transformClientData(uispClient));
+      progress.pagesFetched++;
+      progress.nextOffset = offset + limit;
+      progress.total += clients.length;
+      await dbHelpers.setSyncLogProgress(syncLogId, {
+        ...progress,
+        errorMessage: errors.length > 0 ? errors.join('; ') : null
+      });
 
-    // Sync clients to Convex (non-blocking)
-    syncClientsToConvex(transformedClients).catch(err => {
-      logger.warn('Failed to sync clients to Convex:', err.message);
-    });
+      logger.info(`Synced ${progress.total} clients so far (${progress.added} added, ${progress.changed} changed)`);
 
-    // Transform and insert clients
-    let syncedCount = 0;
-    let failedCount = 0;
-    const errors = [];
+      // If we got less than the limit, we've reached the end
+      if (clients.length < limit) {
+        hasMore = false;
+      }
+    }
 
-    for (const uispClient of allClients) {
-      try {
-        const clientData = transformClientData(uispClient);
-        await dbHelpers.upsertClient(clientData);
-        syncedCount++;
+    if (cancelled) {
+      logger.warn(`Client sync ${syncLogId} cancelled after ${progress.pagesFetched} page(s)`);
+    } else if (resumed) {
+      logger.info('Resumed client sync, skipping removed client detection');
+    } else if (seenIds.size > 0) {
+      // Clients deleted in UISP since the last sync (skipped when UISP returned nothing at all)
+      const removedIds = (await dbHelpers.getPresentClientUispIds()).filter(uispId => !seenIds.has(uispId));
 
-        if (syncedCount % 10 === 0) {
-          logger.info(`Synced ${syncedCount}/${allClients.length} clients`);
+      if (removedIds.length > 0) {
+        progress.removed += await dbHelpers.markClientsRemoved(removedIds);
+        logger.info(`${removedIds.length} client(s) no longer in UISP marked as removed`);
+
+        for (let i = 0; i < removedIds.length; i += limit) {
+          const removedClients = await dbHelpers.getClientsByUispIds(removedIds.slice(i, i + limit));
+
+          mirrorClientsToConvex(removedClients).catch(err => {
+            logger.warn('Failed to queue clients for Convex:', err.message);
+          });
         }
-      } catch (error) {
-        failedCount++;
-        errors.push(`Client ${uispClient.id}: ${error.message}`);
-        logger.error(`Failed to sync client ${uispClient.id}:`, error.message);
       }
+    } else {
+      logger.warn('UISP returned no clients, skipping removed client detection');
     }
 
     const duration = Date.now() - startTime;
+    const errorMessage = errors.length > 0 ? errors.join('; ') : null;
 
     // Update sync log with results
+    await dbHelpers.setSyncLogProgress(syncLogId, { ...progress, errorMessage });
     await dbHelpers.updateSyncLog(
       syncLogId,
-      'completed',
-      syncedCount,
-      failedCount,
-      errors.length > 0 ? errors.join('; ') : null
+      cancelled ? 'cancelled' : 'completed',
+      progress.synced,
+      progress.failed,
+      errorMessage
     );
 
-    logger.info('Client sync completed', {
-      total: allClients.length,
-      synced: syncedCount,
-      failed: failedCount,
+    logger.info(`Client sync ${cancelled ? 'cancelled' : 'completed'}`, {
+      mode,
+      total: progress.total,
+      added: progress.added,
+      changed: progress.changed,
+      removed: progress.removed,
+      unchanged: progress.unchanged,
+      failed: progress.failed,
       duration: `${duration}ms`
     });
 
     return {
       success: true,
-      total: allClients.length,
-      synced: syncedCount,
-      failed: failedCount,
+      syncLogId,
+      mode,
+      cancelled: cancelled || undefined,
+      resumed: resumed ? true : undefined,
+      total: progress.total,
+      synced: progress.synced,
+      added: progress.added,
+      changed: progress.changed,
+      removed: progress.removed,
+      unchanged: progress.unchanged,
+      failed: progress.failed,
       duration,
       errors: errors.length > 0 ? errors : undefined
     };
@@ -405,13 +743,16 @@ async function syncAllClients() {
     logger.error('Client sync failed:', error);
 
     if (syncLogId) {
+      const syncLog = await dbHelpers.getSyncLog(syncLogId).catch(() => null);
+
       await dbHelpers.updateSyncLog(
         syncLogId,
         'failed',
-        0,
-        0,
+        syncLog ? syncLog.synced_records : 0,
+        syncLog ? syncLog.failed_records : 0,
         error.message
       );
+      error.syncLogId = syncLogId;
     }
 
     throw error;
@@ -442,10 +783,18 @@ async function syncSingleClient(clientId) {
 }
 
 module.exports = {
+  DEFAULT_PAYMENT_METHOD_ID,
   postPaymentToUISP,
+  deleteUISPPayment,
+  createUISPRefund,
+  getUISPPaymentMethods,
+  findUISPInvoiceByNumber,
   getUISPClient,
   getUISPClientPayments,
+  findUISPPaymentByProviderId,
+  getUISPPayments,
   fetchUISPClients,
+  CLIENT_SYNC_MODES,
   syncAllClients,
   syncSingleClient,
   transformClientData,
@@ -0,0 +1,210 @@
+const logger = require('../utils/logger');
+const { dbHelpers } = require('../utils/database');
+const { findUISPClientByUserIdent } = require('./uispService');
+const { getSplynxCustomer, transformSplynxCustomer } = require('./splynxService');
+const { mirrorSplynxCustomersToConvex } = require('./convexOutboxService');
+const { deliverPayment } = require('./paymentDeliveryService');
+const { webhookResult, processPaymentWebhook, processPaymentDeletedWebhook } = require('./paymentWebhookService');
+const { assignQuarantinedPaymentToClient } = require('./quarantineService');
+
+/**
+ * Normalize a Splynx hook action to create/update/delete
+ * @param {string} action - Action from the Splynx event
+ * @returns {string}
+ */
+function normalizeAction(action) {
+  const value = (action || '').toString().toLowerCase();
+
+  if (['create', 'created', 'add', 'insert'].includes(value)) return 'create';
+  if (['update', 'updated', 'edit', 'change', 'changed'].includes(value)) return 'update';
+  if (['delete', 'deleted', 'remove', 'reverse', 'reversed'].includes(value)) return 'delete';
+
+  return value || 'unknown';
+}
+
+/**
+ * Work out the Splynx event type of a webhook payload
+ * Splynx event hooks carry { type: 'event', data: { model, action, attributes } }; bodies without
+ * that envelope are the older payment-only formats and are treated as payment.create.
+ * @param {Object} payload - Webhook body as sent by Splynx
+ * @returns {string} - e.g. payment.create, customer.update, service.update, invoice.create, unknown
+ */
+function getSplynxEventType(payload) {
+  const data = payload && payload.data;
+
+  if (!data || !data.model) {
+    return 'payment.create';
+  }
+
+  const model = data.model.toString().toLowerCase();
+  const action = normalizeAction(data.action);
+
+  // Check services before customers: service models are named Customer*Service
+  let entity = 'unknown';
+  if (model.includes('payment')) entity = 'payment';
+  else if (model.includes('invoice')) entity = 'invoice';
+  else if (model.includes('service')) entity = 'service';
+  else if (model.includes('customer')) entity = 'customer';
+
+  return entity === 'unknown' ? 'unknown' : `${entity}.${action}`;
+}
+
+/**
+ * Queue the Splynx customer for Convex and re-run its UISP mapping
+ * A mapping found by login is saved locally and releases the customer's quarantined payments.
+ * @param {Object} payload - Webhook body as sent by Splynx
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+async function processCustomerWebhook(payload) {
+  const data = payload.data || {};
+  const attributes = data.attributes || {};
+  const customerId = (attributes.id || data.customer_id || '').toString();
+
+  if (!customerId) {
+    return webhookResult(400, {
+      error: 'Missing customer identification',
+      message: 'Customer webhook must include the customer id'
+    });
+  }
+
+  // Hook attributes may be partial (changed fields only); fetch the full record when login is missing
+  let customer = attributes;
+  if (!customer.login) {
+    try {
+      customer = (await getSplynxCustomer(customerId)) || attributes;
+    } catch (error) {
+      logger.warn(`Could not fetch Splynx customer ${customerId}: ${error.message}`);
+    }
+  }
+
+  const transformed = transformSplynxCustomer({ ...customer, id: customerId });
+
+  let convexQueued;
+  let uispClient = null;
+
+  // Nothing is lost by answering 503: a resend queues the customer and looks it up again
+  try {
+    convexQueued = await mirrorSplynxCustomersToConvex([transformed]);
+
+    if (transformed.login) {
+      uispClient = await findUISPClientByUserIdent(transformed.login);
+    }
+  } catch (error) {
+    logger.warn(`Could not refresh Splynx customer ${customerId}: ${error.message}`);
+    return webhookResult(503, {
+      error: 'Customer refresh unavailable',
+      message: `Splynx customer ${customerId} could not be queued for Convex or looked up in UISP, please retry`,
+      splynxCustomerId: customerId
+    });
+  }
+
+  let mapping = null;
+  let released = 0;
+  let retryable = 0;
+
+  if (uispClient) {
+    await dbHelpers.upsertCustomerMapping(customerId, uispClient.id, `Mapped by login ${transformed.login} from customer webhook`);
+    mapping = { splynx_customer_id: customerId, uisp_client_id: uispClient.id };
+
+    // Payments that arrived before the customer could be matched can go out now
+    const quarantined = await dbHelpers.getQuarantinedPaymentsForCustomer(customerId);
+    for (const payment of quarantined) {
+      // Payments whose method or currency cannot be resolved yet stay quarantined
+      const assignment = await assignQuarantinedPaymentToClient(payment, uispClient.id, 'customer_webhook');
+      if (!assignment.assigned) {
+        if (assignment.retryable) retryable++;
+        continue;
+      }
+
+      deliverPayment(payment.transaction_id).catch(err => {
+        logger.warn(`Failed to deliver released payment ${payment.transaction_id}:`, err.message);
+      });
+      released++;
+    }
+  }
+
+  logger.info(`Splynx customer ${customerId} refreshed from webhook`, {
+    login: transformed.login,
+    mapping,
+    released
+  });
+
+  // The mapping is saved; a resend of the hook releases the payments UISP could not be asked about
+  if (retryable > 0) {
+    return webhookResult(503, {
+      error: 'Currency lookup unavailable',
+      message: `The currency of UISP client ${mapping.uisp_client_id} could not be looked up for ${retryable} payment(s), please retry`,
+      splynxCustomerId: customerId,
+      mapping,
+      releasedPayments: released
+    });
+  }
+
+  return webhookResult(200, {
+    message: 'Customer updated',
+    splynxCustomerId: customerId,
+    convexQueued: convexQueued > 0,
+    mapping,
+    releasedPayments: released
+  });
+}
+
+/**
+ * Acknowledge events the bridge does not act on (yet), keeping a trace in the logs
+ * @param {Object} payload - Webhook body as sent by Splynx
+ * @param {Object} context - Dispatch context ({ eventType })
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+async function acknowledgeEvent(payload, context) {
+  const data = payload.data || {};
+  const eventType = context.eventType;
+
+  logger.info(`Splynx ${eventType} event acknowledged`, {
+    model: data.model,
+    action: data.action,
+    customerId: data.customer_id
+  });
+
+  return webhookResult(200, {
+    message: eventType === 'unknown' ? 'Event type not handled, acknowledged' : 'Event acknowledged',
+    eventType
+  });
+}
+
+// Event type -> handler(payload, context)
+const handlers = {
+  'payment.create': processPaymentWebhook,
+  'payment.update': acknowledgeEvent,
+  'payment.delete': processPaymentDeletedWebhook,
+  'customer.create': processCustomerWebhook,
+  'customer.update': processCustomerWebhook,
+  'customer.delete': acknowledgeEvent,
+  'service.create': acknowledgeEvent,
+  'service.update': acknowledgeEvent,
+  'service.delete': acknowledgeEvent,
+  'invoice.create': acknowledgeEvent,
+  'invoice.update': acknowledgeEvent,
+  'invoice.delete': acknowledgeEvent
+};
+
+/**
+ * Route a Splynx webhook payload to the handler for its event type
+ * @param {Object} payload - Webhook body as sent by Splynx
+ * @param {Object} options - { eventType: override the type read from the payload, idempotencyKey }
+ * @returns {Promise<Object>} - { statusCode, body, eventType }
+ */
+async function dispatchSplynxWebhook(payload, options = {}) {
+  payload = payload || {};
+  const eventType = options.eventType || getSplynxEventType(payload);
+  const handler = handlers[eventType] || acknowledgeEvent;
+
+  logger.info(`Dispatching Splynx webhook as ${eventType}`);
+
+  const result = await handler(payload, { ...options, eventType });
+  return { ...result, eventType };
+}
+
+module.exports = {
+  dispatchSplynxWebhook,
+  getSplynxEventType
+};
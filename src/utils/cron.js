@@ -0,0 +1,138 @@
+const { getZonedParts } = require('./dateUtils');
+
+// Fields of a 5-field cron expression: minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 }
+];
+
+// Give up looking for the next run after 8 years, the longest gap between two February 29ths
+// (2096 and 2104); an expression that has not matched by then never does (e.g. "0 0 30 2 *")
+const MAX_SEARCH_MINUTES = (8 * 365 + 2) * 24 * 60;
+
+/**
+ * Parse one field of a cron expression
+ * Supports *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 0-30/10).
+ * @param {string} text - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>} - Allowed values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+
+    if (!match) {
+      throw new Error(`Invalid ${field.name} field '${text}'`);
+    }
+
+    const start = match[1] === '*' ? field.min : parseInt(match[1], 10);
+    const end = match[1] === '*' ? field.max : (match[2] !== undefined ? parseInt(match[2], 10) : start);
+    const step = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+
+    // A stepped single value (5/15) runs from that value to the end of the range
+    const last = match[1] !== '*' && match[2] === undefined && match[3] !== undefined ? field.max : end;
+
+    if (start < field.min || last > field.max || start > last || step < 1) {
+      throw new Error(`Invalid ${field.name} field '${text}' (allowed ${field.min}-${field.max})`);
+    }
+
+    for (let value = start; value <= last; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression ("minute hour day month weekday")
+ * @param {string} expression - e.g. "0 2 * * *" (daily at 02:00), "*\/30 * * * 1-5"
+ * @returns {Object} - Parsed schedule
+ * @throws {Error} When the expression is invalid
+ */
+function parseCronExpression(expression) {
+  const texts = (expression || '').toString().trim().split(/\s+/);
+
+  if (texts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+  }
+
+  const [minutes, hours, days, months, weekdays] = texts.map((text, index) => parseField(text, FIELDS[index]));
+
+  // Sunday may be written as 0 or 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    daysRestricted: texts[2] !== '*',
+    weekdaysRestricted: texts[4] !== '*'
+  };
+}
+
+/**
+ * Check whether a calendar day matches a schedule's day, weekday and month fields
+ * @param {Object} schedule - Parsed schedule
+ * @param {Object} parts - Wall-clock { year, month, day }
+ * @returns {boolean}
+ */
+function matchesDay(schedule, parts) {
+  if (!schedule.months.has(parts.month)) {
+    return false;
+  }
+
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  const dayMatches = schedule.days.has(parts.day);
+  const weekdayMatches = schedule.weekdays.has(weekday);
+
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * Get the next time a cron expression fires after a given instant
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Date} after - Instant to search from (exclusive)
+ * @param {string} timeZone - IANA zone the expression is read in
+ * @returns {Date|null} - null when it never fires
+ */
+function getNextCronTime(expression, after, timeZone) {
+  const schedule = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+
+  for (let searched = 0; searched < MAX_SEARCH_MINUTES;) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    let skip = 1;
+
+    if (!matchesDay(schedule, parts)) {
+      skip = 24 * 60 - (parts.hour * 60 + parts.minute);
+    } else if (!schedule.hours.has(parts.hour)) {
+      skip = 60 - parts.minute;
+    } else if (schedule.minutes.has(parts.minute)) {
+      return new Date(time);
+    }
+
+    time += skip * 60000;
+    searched += skip;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextCronTime
+};
@@ -1,160 +1,180 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
 const logger = require('./logger');
+const { runMigrations } = require('./migrator');
+const { createStorage } = require('./storage');
 
-const dbPath = process.env.DB_PATH || path.join(__dirname, '../../database.sqlite');
+// Initialize database (SQLite file, or Postgres when DATABASE_URL is set)
+const db = createStorage();
 
-// Initialize database
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    logger.error('Error opening database:', err);
-  } else {
-    logger.info('Connected to SQLite database');
-    initializeSchema();
+// Resolves once pending schema migrations (src/migrations) have been applied
+const dbReady = db.connect()
+  .then(() => runMigrations(db))
+  .catch(err => {
+    logger.error('Error preparing database:', err);
+    throw err;
+  });
+
+// Format a time relative to now the way CURRENT_TIMESTAMP stores it (UTC, 'YYYY-MM-DD HH:MM:SS')
+function timestampFromNow(offsetMs) {
+  return new Date(Date.now() + offsetMs).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Condition for an inclusive upper bound on a timestamp column: a date-only bound (YYYY-MM-DD)
+// covers that whole day, so it is compared as "before the next day"
+function timestampUpperBound(column, to) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    const nextDay = new Date(`${to}T00:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    return { condition: `${column} < ?`, param: nextDay.toISOString().substring(0, 10) };
   }
-});
-
-// Initialize database schema
-function initializeSchema() {
-  const schema = `
-    CREATE TABLE IF NOT EXISTS payments (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      transaction_id TEXT UNIQUE,
-      client_id TEXT NOT NULL,
-      amount REAL NOT NULL,
-      currency_code TEXT DEFAULT 'KES',
-      payment_type TEXT,
-      payment_method TEXT,
-      created_at TEXT NOT NULL,
-      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      status TEXT DEFAULT 'pending',
-      uisp_response TEXT,
-      error_message TEXT,
-      retry_count INTEGER DEFAULT 0,
-      last_retry_at DATETIME
-    );
 
-    CREATE INDEX IF NOT EXISTS idx_client_id ON payments(client_id);
-    CREATE INDEX IF NOT EXISTS idx_transaction_id ON payments(transaction_id);
-    CREATE INDEX IF NOT EXISTS idx_status ON payments(status);
-    CREATE INDEX IF NOT EXISTS idx_created_at ON payments(created_at);
-
-    CREATE TABLE IF NOT EXISTS webhook_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      payload TEXT,
-      headers TEXT,
-      ip_address TEXT,
-      validated BOOLEAN DEFAULT 0,
-      processed BOOLEAN DEFAULT 0,
-      error_message TEXT
-    );
+  return { condition: `${column} <= ?`, param: to };
+}
 
-    CREATE TABLE IF NOT EXISTS clients (
-      id INTEGER PRIMARY KEY,
-      uisp_id INTEGER UNIQUE NOT NULL,
-      first_name TEXT,
-      last_name TEXT,
-      company_name TEXT,
-      email TEXT,
-      phone TEXT,
-      street1 TEXT,
-      street2 TEXT,
-      city TEXT,
-      country TEXT,
-      state TEXT,
-      zip_code TEXT,
-      balance REAL DEFAULT 0,
-      account_balance REAL DEFAULT 0,
-      account_outstanding REAL DEFAULT 0,
-      currency_code TEXT DEFAULT 'KES',
-      is_active BOOLEAN DEFAULT 1,
-      is_suspended BOOLEAN DEFAULT 0,
-      registration_date TEXT,
-      previous_isp TEXT,
-      tax_id TEXT,
-      company_tax_id TEXT,
-      note TEXT,
-      synced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_payment_at DATETIME,
-      uisp_data TEXT
-    );
+// Insert or update a client row through a connection (the database or a transaction)
+function upsertClientRow(connection, clientData) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO clients (
+        uisp_id, first_name, last_name, company_name, email, phone,
+        street1, street2, city, country, state, zip_code,
+        balance, account_balance, account_outstanding, currency_code,
+        is_active, is_suspended, registration_date, previous_isp,
+        tax_id, company_tax_id, note, custom_id, uisp_data, content_hash, synced_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(uisp_id) DO UPDATE SET
+        first_name = excluded.first_name,
+        last_name = excluded.last_name,
+        company_name = excluded.company_name,
+        email = excluded.email,
+        phone = excluded.phone,
+        street1 = excluded.street1,
+        street2 = excluded.street2,
+        city = excluded.city,
+        country = excluded.country,
+        state = excluded.state,
+        zip_code = excluded.zip_code,
+        balance = excluded.balance,
+        account_balance = excluded.account_balance,
+        account_outstanding = excluded.account_outstanding,
+        currency_code = excluded.currency_code,
+        is_active = excluded.is_active,
+        is_suspended = excluded.is_suspended,
+        registration_date = excluded.registration_date,
+        previous_isp = excluded.previous_isp,
+        tax_id = excluded.tax_id,
+        company_tax_id = excluded.company_tax_id,
+        note = excluded.note,
+        custom_id = excluded.custom_id,
+        uisp_data = excluded.uisp_data,
+        content_hash = excluded.content_hash,
+        removed_at = NULL,
+        synced_at = CURRENT_TIMESTAMP
+    `;
+    const customId = clientData.custom_id || null;
 
-    CREATE INDEX IF NOT EXISTS idx_uisp_id ON clients(uisp_id);
-    CREATE INDEX IF NOT EXISTS idx_email ON clients(email);
-    CREATE INDEX IF NOT EXISTS idx_is_active ON clients(is_active);
-    CREATE INDEX IF NOT EXISTS idx_is_suspended ON clients(is_suspended);
-    CREATE INDEX IF NOT EXISTS idx_synced_at ON clients(synced_at);
-
-    CREATE TABLE IF NOT EXISTS sync_logs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      sync_type TEXT NOT NULL,
-      started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      completed_at DATETIME,
-      status TEXT DEFAULT 'in_progress',
-      total_records INTEGER DEFAULT 0,
-      synced_records INTEGER DEFAULT 0,
-      failed_records INTEGER DEFAULT 0,
-      error_message TEXT
-    );
+    const params = [
+      clientData.uisp_id,
+      clientData.first_name || null,
+      clientData.last_name || null,
+      clientData.company_name || null,
+      clientData.email || null,
+      clientData.phone || null,
+      clientData.street1 || null,
+      clientData.street2 || null,
+      clientData.city || null,
+      clientData.country || null,
+      clientData.state || null,
+      clientData.zip_code || null,
+      clientData.balance || 0,
+      clientData.account_balance || 0,
+      clientData.account_outstanding || 0,
+      clientData.currency_code || 'KES',
+      clientData.is_active ? 1 : 0,
+      clientData.is_suspended ? 1 : 0,
+      clientData.registration_date || null,
+      clientData.previous_isp || null,
+      clientData.tax_id || null,
+      clientData.company_tax_id || null,
+      clientData.note || null,
+      customId,
+      JSON.stringify(clientData.raw_data || {}),
+      clientData.content_hash || null
+    ];
 
-    CREATE TABLE IF NOT EXISTS customer_mappings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      splynx_customer_id TEXT UNIQUE NOT NULL,
-      uisp_client_id INTEGER NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      notes TEXT
-    );
+    const upsert = () => {
+      connection.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    };
 
-    CREATE INDEX IF NOT EXISTS idx_splynx_customer_id ON customer_mappings(splynx_customer_id);
-    CREATE INDEX IF NOT EXISTS idx_uisp_client_id ON customer_mappings(uisp_client_id);
-  `;
-
-  db.exec(schema, (err) => {
-    if (err) {
-      logger.error('Error creating database schema:', err);
-    } else {
-      logger.info('Database schema initialized');
-      // Insert default mapping for customer 838 → 1211
-      insertDefaultMappings();
+    // A userIdent moved to another client: release it so the unique index holds
+    if (!customId) {
+      upsert();
+      return;
     }
+
+    connection.run(
+      'UPDATE clients SET custom_id = NULL WHERE custom_id = ? AND uisp_id != ?',
+      [customId, clientData.uisp_id],
+      (err) => (err ? reject(err) : upsert())
+    );
   });
 }
 
-// Insert default customer mappings
-function insertDefaultMappings() {
-  const defaultMappings = [
-    { splynx_customer_id: '838', uisp_client_id: 1211, notes: 'Initial mapping' }
-  ];
+// Columns of splynx_customers copied from transformSplynxCustomer output
+const SPLYNX_CUSTOMER_FIELDS = [
+  'login', 'name', 'email', 'phone', 'status', 'billing_type',
+  'category', 'street_1', 'city', 'zip_code', 'last_update'
+];
 
-  defaultMappings.forEach(mapping => {
-    db.run(
-      `INSERT OR IGNORE INTO customer_mappings (splynx_customer_id, uisp_client_id, notes)
-       VALUES (?, ?, ?)`,
-      [mapping.splynx_customer_id, mapping.uisp_client_id, mapping.notes],
-      (err) => {
-        if (err) {
-          logger.error('Error inserting default mapping:', err);
-        } else {
-          logger.info(`Default mapping created: Splynx ${mapping.splynx_customer_id} → UISP ${mapping.uisp_client_id}`);
-        }
+// Insert or update a Splynx customer row through a connection (the database or a transaction)
+function upsertSplynxCustomerRow(connection, customer) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO splynx_customers (splynx_id, ${SPLYNX_CUSTOMER_FIELDS.join(', ')}, synced_at)
+      VALUES (?, ${SPLYNX_CUSTOMER_FIELDS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+      ON CONFLICT(splynx_id) DO UPDATE SET
+        ${SPLYNX_CUSTOMER_FIELDS.map(field => `${field} = excluded.${field}`).join(',\n        ')},
+        synced_at = CURRENT_TIMESTAMP
+    `;
+    const params = [
+      customer.splynx_id,
+      ...SPLYNX_CUSTOMER_FIELDS.map(field => customer[field] || null)
+    ];
+
+    connection.run(query, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.lastID);
       }
-    );
+    });
   });
 }
 
 // Helper functions for database operations
 const dbHelpers = {
-  // Insert payment record
+  // Insert payment record (only 'pending' payments are queued for delivery)
+  // Resolves null instead of inserting when the transaction ID or idempotency key is taken
   insertPayment(paymentData) {
     return new Promise((resolve, reject) => {
       const query = `
         INSERT INTO payments (
           transaction_id, client_id, amount, currency_code,
-          payment_type, payment_method, created_at, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          payment_type, payment_method, created_at, status,
+          splynx_customer_id, splynx_customer_login, note,
+          resolution_method, resolution_trace, idempotency_key, uisp_method_id,
+          error_message, original_amount, original_currency_code, fx_rate,
+          quarantine_reason, invoice_number, splynx_invoice_id, next_attempt_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+          CASE WHEN ? = 'pending' THEN CURRENT_TIMESTAMP ELSE NULL END)
+        ON CONFLICT DO NOTHING
       `;
+      const status = paymentData.status || 'pending';
 
       db.run(query, [
         paymentData.transaction_id,
@@ -164,23 +184,58 @@ const dbHelpers = {
         paymentData.payment_type,
         paymentData.payment_method,
         paymentData.created_at,
-        'pending'
+        status,
+        paymentData.splynx_customer_id || null,
+        paymentData.splynx_customer_login || null,
+        paymentData.note || null,
+        paymentData.resolution_method || null,
+        paymentData.resolution_trace || null,
+        paymentData.idempotency_key || null,
+        paymentData.uisp_method_id || null,
+        paymentData.error_message || null,
+        paymentData.original_amount || null,
+        paymentData.original_currency_code || null,
+        paymentData.fx_rate || null,
+        paymentData.quarantine_reason || null,
+        paymentData.invoice_number || null,
+        paymentData.splynx_invoice_id || null,
+        status
       ], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          // No row inserted: a payment with this transaction ID or idempotency key already exists
+          resolve(this.changes > 0 ? this.lastID : null);
+        }
+      });
+    });
+  },
+
+  // Find a stored payment with the same idempotency key or transaction ID
+  findExistingPayment(idempotencyKey, transactionId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM payments
+        WHERE idempotency_key = ? OR transaction_id = ?
+        ORDER BY id ASC
+        LIMIT 1
+      `;
+      db.get(query, [idempotencyKey, transactionId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
         }
       });
     });
   },
 
-  // Update payment status
+  // Update payment status (takes the payment out of the delivery queue)
   updatePaymentStatus(transactionId, status, uispResponse, errorMessage) {
     return new Promise((resolve, reject) => {
       const query = `
         UPDATE payments
-        SET status = ?, uisp_response = ?, error_message = ?
+        SET status = ?, uisp_response = ?, error_message = ?, next_attempt_at = NULL
         WHERE transaction_id = ?
       `;
 
@@ -213,204 +268,153 @@ const dbHelpers = {
     });
   },
 
-  // Get payment by transaction ID
-  getPaymentByTransactionId(transactionId) {
+  // ========== DELIVERY QUEUE OPERATIONS ==========
+
+  // Claim a pending/failed payment for delivery (returns false if already claimed or delivered)
+  claimPaymentForDelivery(transactionId) {
     return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM payments WHERE transaction_id = ?';
-      db.get(query, [transactionId], (err, row) => {
+      const query = `
+        UPDATE payments
+        SET status = 'processing'
+        WHERE transaction_id = ? AND status IN ('pending', 'failed')
+      `;
+
+      db.run(query, [transactionId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve(this.changes > 0);
         }
       });
     });
   },
 
-  // Get all payments with pagination
-  getAllPayments(limit = 50, offset = 0) {
+  // Hold a claimed payment for approval (rule violations)
+  holdPayment(transactionId, holdReasons) {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT * FROM payments
-        ORDER BY received_at DESC
-        LIMIT ? OFFSET ?
+        UPDATE payments
+        SET status = 'held', hold_reasons = ?, next_attempt_at = NULL
+        WHERE transaction_id = ? AND status = 'processing'
       `;
-      db.all(query, [limit, offset], (err, rows) => {
+      db.run(query, [holdReasons, transactionId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(rows);
+          resolve(this.changes);
         }
       });
     });
   },
 
-  // Get payments by client ID
-  getPaymentsByClientId(clientId) {
+  // Approve a held payment and queue it for delivery
+  approveHeldPayment(transactionId, approvedBy = null) {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT * FROM payments
-        WHERE client_id = ?
-        ORDER BY received_at DESC
+        UPDATE payments
+        SET status = 'pending', approved_at = CURRENT_TIMESTAMP, approved_by = ?,
+            next_attempt_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ? AND status = 'held'
       `;
-      db.all(query, [clientId], (err, rows) => {
+      db.run(query, [approvedBy, transactionId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(rows);
+          resolve(this.changes);
         }
       });
     });
   },
 
-  // Get payment statistics
-  getPaymentStats() {
+  // Count a client's other payments received in the last N minutes
+  countRecentClientPayments(clientId, windowMinutes, excludeTransactionId) {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT
-          COUNT(*) as total_payments,
-          SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as successful_payments,
-          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_payments,
-          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_payments,
-          SUM(amount) as total_amount,
-          SUM(CASE WHEN status = 'success' THEN amount ELSE 0 END) as successful_amount
-        FROM payments
+        SELECT COUNT(*) as count FROM payments
+        WHERE client_id = ? AND transaction_id != ?
+          AND status != 'reversed'
+          AND received_at >= ?
       `;
-      db.get(query, [], (err, row) => {
+      const since = timestampFromNow(-parseInt(windowMinutes) * 60000);
+
+      db.get(query, [clientId.toString(), excludeTransactionId, since], (err, row) => {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve(row.count);
         }
       });
     });
   },
 
-  // Log webhook received
-  logWebhook(payload, headers, ipAddress, validated) {
+  // Sum a client's other delivered or deliverable payments in a currency over the last N minutes
+  sumRecentClientPayments(clientId, currencyCode, windowMinutes, excludeTransactionId) {
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO webhook_logs (payload, headers, ip_address, validated)
-        VALUES (?, ?, ?, ?)
+        SELECT COALESCE(SUM(amount), 0) as total FROM payments
+        WHERE client_id = ? AND currency_code = ? AND transaction_id != ?
+          AND status IN ('pending', 'processing', 'failed', 'success')
+          AND received_at >= ?
       `;
+      const since = timestampFromNow(-parseInt(windowMinutes) * 60000);
 
-      db.run(query, [
-        JSON.stringify(payload),
-        JSON.stringify(headers),
-        ipAddress,
-        validated ? 1 : 0
-      ], function(err) {
+      db.get(query, [clientId.toString(), currencyCode, excludeTransactionId, since], (err, row) => {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(row.total);
         }
       });
     });
   },
 
-  // ========== CLIENT OPERATIONS ==========
-
-  // Insert or update client
-  upsertClient(clientData) {
+  // Mark a failed delivery and schedule the next attempt (null delay = give up)
+  schedulePaymentRetry(transactionId, delayMs, errorMessage) {
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO clients (
-          uisp_id, first_name, last_name, company_name, email, phone,
-          street1, street2, city, country, state, zip_code,
-          balance, account_balance, account_outstanding, currency_code,
-          is_active, is_suspended, registration_date, previous_isp,
-          tax_id, company_tax_id, note, uisp_data, synced_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-        ON CONFLICT(uisp_id) DO UPDATE SET
-          first_name = excluded.first_name,
-          last_name = excluded.last_name,
-          company_name = excluded.company_name,
-          email = excluded.email,
-          phone = excluded.phone,
-          street1 = excluded.street1,
-          street2 = excluded.street2,
-          city = excluded.city,
-          country = excluded.country,
-          state = excluded.state,
-          zip_code = excluded.zip_code,
-          balance = excluded.balance,
-          account_balance = excluded.account_balance,
-          account_outstanding = excluded.account_outstanding,
-          currency_code = excluded.currency_code,
-          is_active = excluded.is_active,
-          is_suspended = excluded.is_suspended,
-          registration_date = excluded.registration_date,
-          previous_isp = excluded.previous_isp,
-          tax_id = excluded.tax_id,
-          company_tax_id = excluded.company_tax_id,
-          note = excluded.note,
-          uisp_data = excluded.uisp_data,
-          synced_at = CURRENT_TIMESTAMP
+        UPDATE payments
+        SET status = 'failed', error_message = ?,
+            next_attempt_at = ?
+        WHERE transaction_id = ?
       `;
+      const nextAttemptAt = delayMs === null ? null : timestampFromNow(Math.ceil(delayMs / 1000) * 1000);
 
-      db.run(query, [
-        clientData.uisp_id,
-        clientData.first_name || null,
-        clientData.last_name || null,
-        clientData.company_name || null,
-        clientData.email || null,
-        clientData.phone || null,
-        clientData.street1 || null,
-        clientData.street2 || null,
-        clientData.city || null,
-        clientData.country || null,
-        clientData.state || null,
-        clientData.zip_code || null,
-        clientData.balance || 0,
-        clientData.account_balance || 0,
-        clientData.account_outstanding || 0,
-        clientData.currency_code || 'KES',
-        clientData.is_active ? 1 : 0,
-        clientData.is_suspended ? 1 : 0,
-        clientData.registration_date || null,
-        clientData.previous_isp || null,
-        clientData.tax_id || null,
-        clientData.company_tax_id || null,
-        clientData.note || null,
-        JSON.stringify(clientData.raw_data || {})
-      ], function(err) {
+      db.run(query, [errorMessage, nextAttemptAt, transactionId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(this.changes);
         }
       });
     });
   },
 
-  // Get all clients with optional status filtering
-  getAllClients(limit = 100, offset = 0, filters = {}) {
+  // Get payments whose next delivery attempt is due
+  getDuePayments(limit = 20) {
     return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM clients';
-      const params = [];
-      const conditions = [];
-
-      // Add status filters
-      if (filters.is_active !== undefined) {
-        conditions.push('is_active = ?');
-        params.push(filters.is_active ? 1 : 0);
-      }
-
-      if (filters.is_suspended !== undefined) {
-        conditions.push('is_suspended = ?');
-        params.push(filters.is_suspended ? 1 : 0);
-      }
-
-      // Add WHERE clause if there are conditions
-      if (conditions.length > 0) {
-        query += ' WHERE ' + conditions.join(' AND ');
-      }
-
-      query += ' ORDER BY synced_at DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
+      const query = `
+        SELECT * FROM payments
+        WHERE status IN ('pending', 'failed')
+          AND next_attempt_at IS NOT NULL
+          AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC
+        LIMIT ?
+      `;
+      db.all(query, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
 
-      db.all(query, params, (err, rows) => {
+  // Get payments claimed for delivery ('processing')
+  getClaimedPayments() {
+    return new Promise((resolve, reject) => {
+      const query = `SELECT * FROM payments WHERE status = 'processing' ORDER BY created_at ASC`;
+      db.all(query, [], (err, rows) => {
         if (err) {
           reject(err);
         } else {
@@ -420,32 +424,50 @@ const dbHelpers = {
     });
   },
 
-  // Get client by UISP ID
-  getClientByUispId(uispId) {
+  // Requeue a payment claimed for delivery so the worker picks it up again
+  releasePaymentClaim(transactionId) {
     return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM clients WHERE uisp_id = ?';
-      db.get(query, [uispId], (err, row) => {
+      const query = `
+        UPDATE payments
+        SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ? AND status = 'processing'
+      `;
+      db.run(query, [transactionId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve(this.changes);
         }
       });
     });
   },
 
-  // Search clients
-  searchClients(searchTerm) {
+  // Record a single delivery attempt
+  insertPaymentAttempt(transactionId, attemptNumber, status, errorMessage, durationMs) {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT * FROM clients
-        WHERE first_name LIKE ? OR last_name LIKE ? OR email LIKE ?
-           OR company_name LIKE ? OR phone LIKE ?
-        ORDER BY synced_at DESC
-        LIMIT 50
+        INSERT INTO payment_attempts (transaction_id, attempt_number, status, error_message, duration_ms)
+        VALUES (?, ?, ?, ?, ?)
       `;
-      const term = `%${searchTerm}%`;
-      db.all(query, [term, term, term, term, term], (err, rows) => {
+      db.run(query, [transactionId, attemptNumber, status, errorMessage, durationMs], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Get delivery attempt history for a payment
+  getPaymentAttempts(transactionId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM payment_attempts
+        WHERE transaction_id = ?
+        ORDER BY attempt_number ASC
+      `;
+      db.all(query, [transactionId], (err, rows) => {
         if (err) {
           reject(err);
         } else {
@@ -455,17 +477,16 @@ const dbHelpers = {
     });
   },
 
-  // Get client statistics
-  getClientStats() {
+  // Get delivery queue counts
+  getDeliveryQueueStats() {
     return new Promise((resolve, reject) => {
       const query = `
         SELECT
-          COUNT(*) as total_clients,
-          SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) as active_clients,
-          SUM(CASE WHEN is_suspended = 1 THEN 1 ELSE 0 END) as suspended_clients,
-          SUM(account_balance) as total_balance,
-          SUM(account_outstanding) as total_outstanding
-        FROM clients
+          SUM(CASE WHEN status IN ('pending', 'failed') AND next_attempt_at IS NOT NULL THEN 1 ELSE 0 END) as queued,
+          SUM(CASE WHEN status = 'processing' THEN 1 ELSE 0 END) as processing,
+          SUM(CASE WHEN status = 'failed' AND next_attempt_at IS NULL THEN 1 ELSE 0 END) as exhausted,
+          MIN(CASE WHEN status IN ('pending', 'failed') THEN next_attempt_at END) as next_attempt_at
+        FROM payments
       `;
       db.get(query, [], (err, row) => {
         if (err) {
@@ -477,53 +498,48 @@ const dbHelpers = {
     });
   },
 
-  // Update client last payment
-  updateClientLastPayment(uispId) {
+  // Get payment by transaction ID
+  getPaymentByTransactionId(transactionId) {
     return new Promise((resolve, reject) => {
-      const query = `
-        UPDATE clients
-        SET last_payment_at = CURRENT_TIMESTAMP
-        WHERE uisp_id = ?
-      `;
-      db.run(query, [uispId], function(err) {
+      const query = 'SELECT * FROM payments WHERE transaction_id = ?';
+      db.get(query, [transactionId], (err, row) => {
         if (err) {
           reject(err);
         } else {
-          resolve(this.changes);
+          resolve(row);
         }
       });
     });
   },
 
-  // ========== SYNC LOG OPERATIONS ==========
-
-  // Create sync log
-  createSyncLog(syncType, totalRecords = 0) {
+  // Get all payments with pagination
+  getAllPayments(limit = 50, offset = 0) {
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO sync_logs (sync_type, total_records)
-        VALUES (?, ?)
+        SELECT * FROM payments
+        ORDER BY received_at DESC
+        LIMIT ? OFFSET ?
       `;
-      db.run(query, [syncType, totalRecords], function(err) {
+      db.all(query, [limit, offset], (err, rows) => {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(rows);
         }
       });
     });
   },
 
-  // Update sync log
-  updateSyncLog(id, status, syncedRecords, failedRecords, errorMessage = null) {
+  // Mark a payment as reversed if its status has not changed since it was read
+  markPaymentReversed(transactionId, expectedStatus, reversalResponse) {
     return new Promise((resolve, reject) => {
       const query = `
-        UPDATE sync_logs
-        SET status = ?, synced_records = ?, failed_records = ?,
-            error_message = ?, completed_at = CURRENT_TIMESTAMP
-        WHERE id = ?
+        UPDATE payments
+        SET status = 'reversed', reversal_response = ?, reversed_at = CURRENT_TIMESTAMP,
+            next_attempt_at = NULL
+        WHERE transaction_id = ? AND status = ?
       `;
-      db.run(query, [status, syncedRecords, failedRecords, errorMessage, id], function(err) {
+      db.run(query, [reversalResponse, transactionId, expectedStatus], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -533,15 +549,16 @@ const dbHelpers = {
     });
   },
 
-  // Get recent sync logs
-  getRecentSyncLogs(limit = 10) {
+  // Get payments with a given status
+  getPaymentsByStatus(status, limit = 50, offset = 0) {
     return new Promise((resolve, reject) => {
       const query = `
-        SELECT * FROM sync_logs
-        ORDER BY started_at DESC
-        LIMIT ?
+        SELECT * FROM payments
+        WHERE status = ?
+        ORDER BY received_at DESC
+        LIMIT ? OFFSET ?
       `;
-      db.all(query, [limit], (err, rows) => {
+      db.all(query, [status, limit, offset], (err, rows) => {
         if (err) {
           reject(err);
         } else {
@@ -551,48 +568,52 @@ const dbHelpers = {
     });
   },
 
-  // ========== CUSTOMER MAPPING OPERATIONS ==========
-
-  // Get UISP client ID from Splynx customer ID
-  getUispClientId(splynxCustomerId) {
+  // Get quarantined payments for a Splynx customer
+  getQuarantinedPaymentsForCustomer(splynxCustomerId) {
     return new Promise((resolve, reject) => {
-      const query = 'SELECT uisp_client_id FROM customer_mappings WHERE splynx_customer_id = ?';
-      db.get(query, [splynxCustomerId.toString()], (err, row) => {
+      const query = `
+        SELECT * FROM payments
+        WHERE status = 'quarantined' AND quarantine_reason = 'unmatched_client' AND splynx_customer_id = ?
+        ORDER BY received_at ASC
+      `;
+      db.all(query, [splynxCustomerId.toString()], (err, rows) => {
         if (err) {
           reject(err);
         } else {
-          resolve(row ? row.uisp_client_id : null);
+          resolve(rows);
         }
       });
     });
   },
 
-  // Add or update customer mapping
-  upsertCustomerMapping(splynxCustomerId, uispClientId, notes = null) {
+  // Attach a quarantined payment to a UISP client and queue it for delivery
+  assignQuarantinedPayment(transactionId, uispClientId, resolutionMethod = 'manual_assignment') {
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO customer_mappings (splynx_customer_id, uisp_client_id, notes)
-        VALUES (?, ?, ?)
-        ON CONFLICT(splynx_customer_id) DO UPDATE SET
-          uisp_client_id = excluded.uisp_client_id,
-          updated_at = CURRENT_TIMESTAMP,
-          notes = excluded.notes
+        UPDATE payments
+        SET client_id = ?, status = 'pending', resolution_method = ?, quarantine_reason = NULL,
+            error_message = NULL, next_attempt_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ? AND status = 'quarantined'
       `;
-      db.run(query, [splynxCustomerId.toString(), uispClientId, notes], function(err) {
+      db.run(query, [uispClientId.toString(), resolutionMethod, transactionId], function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(this.lastID);
+          resolve(this.changes);
         }
       });
     });
   },
 
-  // Get all customer mappings
-  getAllMappings() {
+  // Get quarantined payments held for a given reason
+  getQuarantinedPaymentsByReason(reason) {
     return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM customer_mappings ORDER BY created_at DESC';
-      db.all(query, [], (err, rows) => {
+      const query = `
+        SELECT * FROM payments
+        WHERE status = 'quarantined' AND quarantine_reason = ?
+        ORDER BY received_at ASC
+      `;
+      db.all(query, [reason], (err, rows) => {
         if (err) {
           reject(err);
         } else {
@@ -602,11 +623,1665 @@ const dbHelpers = {
     });
   },
 
-  // Delete customer mapping
-  deleteCustomerMapping(splynxCustomerId) {
+  // Change why a payment is quarantined
+  setQuarantineReason(transactionId, reason, errorMessage = null) {
     return new Promise((resolve, reject) => {
-      const query = 'DELETE FROM customer_mappings WHERE splynx_customer_id = ?';
-      db.run(query, [splynxCustomerId.toString()], function(err) {
+      const query = `
+        UPDATE payments
+        SET quarantine_reason = ?, error_message = ?
+        WHERE transaction_id = ? AND status = 'quarantined'
+      `;
+      db.run(query, [reason, errorMessage, transactionId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Queue a quarantined payment (that already has a client) for delivery
+  releaseQuarantinedPayment(transactionId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE payments
+        SET status = 'pending', quarantine_reason = NULL, error_message = NULL,
+            next_attempt_at = CURRENT_TIMESTAMP
+        WHERE transaction_id = ? AND status = 'quarantined' AND client_id != ''
+      `;
+      db.run(query, [transactionId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Store the amount converted to the UISP client's currency (keeps the original amount)
+  setPaymentConversion(transactionId, conversion) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE payments
+        SET amount = ?, currency_code = ?,
+            original_amount = ?, original_currency_code = ?, fx_rate = ?
+        WHERE transaction_id = ?
+      `;
+      db.run(query, [
+        conversion.amount,
+        conversion.currency_code,
+        conversion.original_amount,
+        conversion.original_currency_code,
+        conversion.fx_rate,
+        transactionId
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Record how a payment was applied to UISP invoices
+  setInvoiceAllocation(transactionId, allocation) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE payments SET invoice_allocation = ? WHERE transaction_id = ?';
+      db.run(query, [allocation, transactionId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Set the UISP payment method a stored payment will be posted with
+  setPaymentMethodId(transactionId, uispMethodId) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE payments SET uisp_method_id = ? WHERE transaction_id = ?';
+      db.run(query, [uispMethodId, transactionId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get payments matching replay filters (status, received date range, client)
+  getPaymentsForReplay(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const statuses = filters.statuses || ['failed'];
+      const conditions = [`status IN (${statuses.map(() => '?').join(', ')})`];
+      const params = [...statuses];
+
+      if (filters.from) {
+        conditions.push('received_at >= ?');
+        params.push(filters.from);
+      }
+
+      if (filters.to) {
+        const upperBound = timestampUpperBound('received_at', filters.to);
+        conditions.push(upperBound.condition);
+        params.push(upperBound.param);
+      }
+
+      if (filters.client_id) {
+        conditions.push('client_id = ?');
+        params.push(filters.client_id.toString());
+      }
+
+      const query = `
+        SELECT * FROM payments
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY received_at ASC
+        LIMIT ?
+      `;
+      params.push(filters.limit || 100);
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get payments by client ID
+  getPaymentsByClientId(clientId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM payments
+        WHERE client_id = ?
+        ORDER BY received_at DESC
+      `;
+      db.all(query, [clientId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get payment statistics
+  getPaymentStats() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          COUNT(*) as total_payments,
+          SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as successful_payments,
+          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_payments,
+          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_payments,
+          SUM(CASE WHEN status = 'quarantined' THEN 1 ELSE 0 END) as quarantined_payments,
+          SUM(CASE WHEN status = 'reversed' THEN 1 ELSE 0 END) as reversed_payments,
+          SUM(CASE WHEN status = 'held' THEN 1 ELSE 0 END) as held_payments,
+          SUM(amount) as total_amount,
+          SUM(CASE WHEN status = 'success' THEN amount ELSE 0 END) as successful_amount
+        FROM payments
+      `;
+      db.get(query, [], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Log webhook received
+  logWebhook(payload, headers, ipAddress, validated, eventType = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO webhook_logs (payload, headers, ip_address, validated, event_type)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(query, [
+        JSON.stringify(payload),
+        JSON.stringify(headers),
+        ipAddress,
+        validated ? 1 : 0,
+        eventType
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Record the processing outcome of a logged webhook
+  markWebhookProcessed(id, processed, errorMessage = null, duplicateOf = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE webhook_logs
+        SET processed = ?, error_message = ?, duplicate_of = ?
+        WHERE id = ?
+      `;
+      db.run(query, [processed ? 1 : 0, errorMessage, duplicateOf, id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get webhook log by ID
+  getWebhookLogById(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM webhook_logs WHERE id = ?';
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get webhook logs with optional filtering
+  getWebhookLogs(limit = 50, offset = 0, filters = {}) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM webhook_logs';
+      const params = [];
+      const conditions = [];
+
+      if (filters.processed !== undefined) {
+        conditions.push('processed = ?');
+        params.push(filters.processed ? 1 : 0);
+      }
+
+      if (filters.validated !== undefined) {
+        conditions.push('validated = ?');
+        params.push(filters.validated ? 1 : 0);
+      }
+
+      if (filters.event_type) {
+        conditions.push('event_type = ?');
+        params.push(filters.event_type);
+      }
+
+      if (filters.duplicate !== undefined) {
+        conditions.push(filters.duplicate ? 'duplicate_of IS NOT NULL' : 'duplicate_of IS NULL');
+      }
+
+      if (filters.from) {
+        conditions.push('received_at >= ?');
+        params.push(filters.from);
+      }
+
+      if (filters.to) {
+        const upperBound = timestampUpperBound('received_at', filters.to);
+        conditions.push(upperBound.condition);
+        params.push(upperBound.param);
+      }
+
+      if (filters.search) {
+        conditions.push('LOWER(payload) LIKE ?');
+        params.push(`%${filters.search.toLowerCase()}%`);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY received_at DESC, id DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Check whether a webhook signature was already handled inside the replay window
+  isWebhookSignatureRecorded(signature) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT signature FROM webhook_signatures WHERE signature = ? AND expires_at > ?';
+      db.get(query, [signature, timestampFromNow(0)], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(!!row);
+        }
+      });
+    });
+  },
+
+  // Remember a handled webhook signature until it leaves the replay window
+  // Resolves false when the signature is already remembered
+  recordWebhookSignature(signature, windowMs) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_signatures WHERE expires_at <= ?', [timestampFromNow(0)], (deleteErr) => {
+        if (deleteErr) {
+          reject(deleteErr);
+          return;
+        }
+
+        const query = `
+          INSERT INTO webhook_signatures (signature, expires_at)
+          VALUES (?, ?)
+          ON CONFLICT DO NOTHING
+        `;
+        db.run(query, [signature, timestampFromNow(windowMs)], function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        });
+      });
+    });
+  },
+
+  // Delete webhook logs older than a number of days
+  pruneWebhookLogs(retentionDays) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM webhook_logs WHERE received_at < ?';
+      db.run(query, [timestampFromNow(-retentionDays * 24 * 60 * 60 * 1000)], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== CLIENT OPERATIONS ==========
+
+  // Insert or update client
+  upsertClient(clientData) {
+    return upsertClientRow(db, clientData);
+  },
+
+  // Insert or update several clients in one transaction
+  upsertClients(clients) {
+    return db.transaction(async (transaction) => {
+      for (const clientData of clients) {
+        await upsertClientRow(transaction, clientData);
+      }
+    }).then(() => clients.length);
+  },
+
+  // Get the stored clients with the given UISP IDs
+  getClientsByUispIds(uispIds) {
+    return new Promise((resolve, reject) => {
+      if (uispIds.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      const query = `SELECT * FROM clients WHERE uisp_id IN (${uispIds.map(() => '?').join(', ')})`;
+      db.all(query, uispIds, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get the UISP IDs of clients not marked as removed from UISP
+  getPresentClientUispIds() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT uisp_id FROM clients WHERE removed_at IS NULL';
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.uisp_id));
+        }
+      });
+    });
+  },
+
+  // Mark clients that are no longer in UISP as removed (and inactive), in one transaction
+  markClientsRemoved(uispIds) {
+    const query = `
+      UPDATE clients
+      SET is_active = 0, removed_at = CURRENT_TIMESTAMP, synced_at = CURRENT_TIMESTAMP
+      WHERE uisp_id = ? AND removed_at IS NULL
+    `;
+
+    return db.transaction(async (transaction) => {
+      let changes = 0;
+
+      for (const uispId of uispIds) {
+        changes += await new Promise((resolve, reject) => {
+          transaction.run(query, [uispId], function(err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(this.changes);
+            }
+          });
+        });
+      }
+
+      return changes;
+    });
+  },
+
+  // Get the clients not marked as removed from UISP
+  getPresentClients() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT uisp_id, custom_id, first_name, last_name, company_name, email, phone
+        FROM clients
+        WHERE removed_at IS NULL
+      `;
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get client by UISP userIdent (custom ID), ignoring clients marked as removed from UISP
+  getClientByCustomId(customId) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM clients WHERE custom_id = ? AND removed_at IS NULL';
+      db.get(query, [customId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get all clients with optional status filtering
+  getAllClients(limit = 100, offset = 0, filters = {}) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM clients';
+      const params = [];
+      const conditions = [];
+
+      // Add status filters
+      if (filters.is_active !== undefined) {
+        conditions.push('is_active = ?');
+        params.push(filters.is_active ? 1 : 0);
+      }
+
+      if (filters.is_suspended !== undefined) {
+        conditions.push('is_suspended = ?');
+        params.push(filters.is_suspended ? 1 : 0);
+      }
+
+      // Add WHERE clause if there are conditions
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY synced_at DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get client by UISP ID
+  getClientByUispId(uispId) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM clients WHERE uisp_id = ?';
+      db.get(query, [uispId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Search clients
+  searchClients(searchTerm) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM clients
+        WHERE LOWER(first_name) LIKE ? OR LOWER(last_name) LIKE ? OR LOWER(email) LIKE ?
+           OR LOWER(company_name) LIKE ? OR phone LIKE ?
+        ORDER BY synced_at DESC
+        LIMIT 50
+      `;
+      const term = `%${searchTerm.toLowerCase()}%`;
+      db.all(query, [term, term, term, term, term], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get client statistics
+  getClientStats() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          COUNT(*) as total_clients,
+          SUM(CASE WHEN is_active = 1 THEN 1 ELSE 0 END) as active_clients,
+          SUM(CASE WHEN is_suspended = 1 THEN 1 ELSE 0 END) as suspended_clients,
+          SUM(account_balance) as total_balance,
+          SUM(account_outstanding) as total_outstanding
+        FROM clients
+      `;
+      db.get(query, [], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Update client last payment
+  updateClientLastPayment(uispId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE clients
+        SET last_payment_at = CURRENT_TIMESTAMP
+        WHERE uisp_id = ?
+      `;
+      db.run(query, [uispId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== SPLYNX CUSTOMER OPERATIONS ==========
+
+  // Insert or update several Splynx customers in one transaction
+  upsertSplynxCustomers(customers) {
+    return db.transaction(async (transaction) => {
+      for (const customer of customers) {
+        await upsertSplynxCustomerRow(transaction, customer);
+      }
+    }).then(() => customers.length);
+  },
+
+  // Get the stored Splynx customers with the given Splynx IDs
+  getSplynxCustomersBySplynxIds(splynxIds) {
+    return new Promise((resolve, reject) => {
+      if (splynxIds.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      const query = `SELECT * FROM splynx_customers WHERE splynx_id IN (${splynxIds.map(() => '?').join(', ')})`;
+      db.all(query, splynxIds, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get stored Splynx customers a page at a time (ordered by Splynx ID)
+  getSplynxCustomers(limit = 100, offset = 0) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM splynx_customers ORDER BY id ASC LIMIT ? OFFSET ?';
+      db.all(query, [limit, offset], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Count stored Splynx customers
+  getSplynxCustomerCount() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT COUNT(*) as count FROM splynx_customers';
+      db.get(query, [], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+  },
+
+  // Get the latest Splynx last_update stored ('YYYY-MM-DD HH:MM:SS' in Splynx time, or null)
+  getLatestSplynxCustomerUpdate() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT MAX(last_update) as last_update FROM splynx_customers';
+      db.get(query, [], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? row.last_update : null);
+        }
+      });
+    });
+  },
+
+  // ========== SYNC LOG OPERATIONS ==========
+
+  // Create sync log
+  createSyncLog(syncType, totalRecords = 0, trigger = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO sync_logs (sync_type, total_records, trigger)
+        VALUES (?, ?, ?)
+      `;
+      db.run(query, [syncType, totalRecords, trigger], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Update sync log
+  updateSyncLog(id, status, syncedRecords, failedRecords, errorMessage = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE sync_logs
+        SET status = ?, synced_records = ?, failed_records = ?,
+            error_message = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      db.run(query, [status, syncedRecords, failedRecords, errorMessage, id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Record the progress of a paged sync after each page (counts so far and where to resume)
+  setSyncLogProgress(id, progress) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE sync_logs
+        SET pages_fetched = ?, next_offset = ?, total_records = ?, synced_records = ?,
+            failed_records = ?, added_records = ?, changed_records = ?, removed_records = ?,
+            unchanged_records = ?, error_message = ?
+        WHERE id = ?
+      `;
+      const params = [
+        progress.pagesFetched,
+        progress.nextOffset,
+        progress.total,
+        progress.synced,
+        progress.failed,
+        progress.added,
+        progress.changed,
+        progress.removed,
+        progress.unchanged,
+        progress.errorMessage || null,
+        id
+      ];
+
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get a sync log by ID
+  getSyncLog(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM sync_logs WHERE id = ?';
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get sync logs still marked in progress (oldest first)
+  getInProgressSyncLogs() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM sync_logs
+        WHERE status = 'in_progress'
+        ORDER BY id ASC
+      `;
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get the latest completed sync log of the given types
+  getLastCompletedSyncLog(syncTypes) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM sync_logs
+        WHERE sync_type IN (${syncTypes.map(() => '?').join(', ')}) AND status = 'completed'
+        ORDER BY id DESC
+        LIMIT 1
+      `;
+      db.get(query, syncTypes, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Store the result summary of a sync (JSON)
+  setSyncLogDetails(id, details) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE sync_logs SET details = ? WHERE id = ?';
+      db.run(query, [JSON.stringify(details), id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get recent sync logs of the given types
+  getSyncLogsByTypes(syncTypes, limit = 20) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM sync_logs
+        WHERE sync_type IN (${syncTypes.map(() => '?').join(', ')})
+        ORDER BY started_at DESC, id DESC
+        LIMIT ?
+      `;
+      db.all(query, [...syncTypes, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Delete finished sync logs older than a number of days
+  pruneSyncLogs(retentionDays) {
+    return new Promise((resolve, reject) => {
+      const query = "DELETE FROM sync_logs WHERE started_at < ? AND status != 'in_progress'";
+      db.run(query, [timestampFromNow(-retentionDays * 24 * 60 * 60 * 1000)], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get recent sync logs
+  getRecentSyncLogs(limit = 10) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM sync_logs
+        ORDER BY started_at DESC
+        LIMIT ?
+      `;
+      db.all(query, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // ========== RECONCILIATION OPERATIONS ==========
+
+  // Get payments received within a date range (YYYY-MM-DD, inclusive)
+  getPaymentsReceivedBetween(from, to) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM payments
+        WHERE received_at >= ? AND received_at <= ?
+        ORDER BY received_at ASC
+      `;
+      db.all(query, [`${from} 00:00:00`, `${to} 23:59:59`], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Create reconciliation report
+  createReconciliationReport(from, to, trigger = 'manual') {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO reconciliation_reports (date_from, date_to, trigger)
+        VALUES (?, ?, ?)
+      `;
+      db.run(query, [from, to, trigger], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Complete reconciliation report
+  updateReconciliationReport(id, status, summary, errorMessage = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE reconciliation_reports
+        SET status = ?, summary = ?, error_message = ?, completed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      db.run(query, [status, summary ? JSON.stringify(summary) : null, errorMessage, id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Insert reconciliation findings in a single transaction
+  insertReconciliationItems(reportId, items) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO reconciliation_items (
+          report_id, category, source, transaction_id, client_id, uisp_payment_ids,
+          splynx_payment_id, bridge_amount, uisp_amount, splynx_amount, bridge_status, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const insertItem = (transaction, item) => new Promise((resolveItem, rejectItem) => {
+        transaction.run(query, [
+          reportId,
+          item.category,
+          item.source || null,
+          item.transaction_id || null,
+          item.client_id != null ? item.client_id.toString() : null,
+          item.uisp_payment_ids ? item.uisp_payment_ids.join(',') : null,
+          item.splynx_payment_id != null ? item.splynx_payment_id.toString() : null,
+          item.bridge_amount ?? null,
+          item.uisp_amount ?? null,
+          item.splynx_amount ?? null,
+          item.bridge_status || null,
+          item.details || null
+        ], (err) => (err ? rejectItem(err) : resolveItem()));
+      });
+
+      db.transaction(async (transaction) => {
+        for (const item of items) {
+          await insertItem(transaction, item);
+        }
+      })
+        .then(() => resolve(items.length))
+        .catch(reject);
+    });
+  },
+
+  // Get recent reconciliation reports
+  getReconciliationReports(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM reconciliation_reports
+        ORDER BY started_at DESC, id DESC
+        LIMIT ?
+      `;
+      db.all(query, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get reconciliation report by ID
+  getReconciliationReport(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM reconciliation_reports WHERE id = ?';
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get findings of a reconciliation report, optionally for one category
+  getReconciliationItems(reportId, category = null) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM reconciliation_items WHERE report_id = ?';
+      const params = [reportId];
+
+      if (category) {
+        query += ' AND category = ?';
+        params.push(category);
+      }
+
+      query += ' ORDER BY category, id';
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // ========== CUSTOMER MAPPING OPERATIONS ==========
+
+  // Get UISP client ID from Splynx customer ID
+  getUispClientId(splynxCustomerId) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT uisp_client_id FROM customer_mappings WHERE splynx_customer_id = ?';
+      db.get(query, [splynxCustomerId.toString()], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? row.uisp_client_id : null);
+        }
+      });
+    });
+  },
+
+  // Get the Splynx customer IDs mapped to a UISP client
+  getSplynxCustomerIdsForUispClient(uispClientId) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT splynx_customer_id FROM customer_mappings WHERE uisp_client_id = ?';
+      db.all(query, [uispClientId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.splynx_customer_id.toString()));
+        }
+      });
+    });
+  },
+
+  // Add or update customer mapping
+  upsertCustomerMapping(splynxCustomerId, uispClientId, notes = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO customer_mappings (splynx_customer_id, uisp_client_id, notes)
+        VALUES (?, ?, ?)
+        ON CONFLICT(splynx_customer_id) DO UPDATE SET
+          uisp_client_id = excluded.uisp_client_id,
+          updated_at = CURRENT_TIMESTAMP,
+          notes = excluded.notes
+      `;
+      db.run(query, [splynxCustomerId.toString(), uispClientId, notes], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Get all customer mappings
+  getAllMappings() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM customer_mappings ORDER BY created_at DESC';
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Delete customer mapping
+  deleteCustomerMapping(splynxCustomerId) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM customer_mappings WHERE splynx_customer_id = ?';
+      db.run(query, [splynxCustomerId.toString()], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== MAPPING SUGGESTION OPERATIONS ==========
+
+  // Add or refresh a match suggestion (reviewed suggestions are left as they are)
+  upsertMappingSuggestion(suggestion) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO mapping_suggestions (splynx_customer_id, uisp_client_id, confidence, match_type, reasons)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(splynx_customer_id, uisp_client_id) DO UPDATE SET
+          confidence = excluded.confidence,
+          match_type = excluded.match_type,
+          reasons = excluded.reasons,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE mapping_suggestions.status = 'pending'
+      `;
+      const params = [
+        suggestion.splynx_customer_id.toString(),
+        suggestion.uisp_client_id,
+        suggestion.confidence,
+        suggestion.match_type,
+        JSON.stringify(suggestion.reasons || {})
+      ];
+
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get match suggestions with the Splynx customer and UISP client they pair up
+  getMappingSuggestions(limit = 50, offset = 0, filters = {}) {
+    return new Promise((resolve, reject) => {
+      let query = `
+        SELECT s.*,
+          sc.login AS splynx_login, sc.name AS splynx_name, sc.email AS splynx_email, sc.phone AS splynx_phone,
+          c.custom_id AS uisp_user_ident, c.first_name AS uisp_first_name, c.last_name AS uisp_last_name,
+          c.company_name AS uisp_company_name, c.email AS uisp_email, c.phone AS uisp_phone
+        FROM mapping_suggestions s
+        LEFT JOIN splynx_customers sc ON sc.splynx_id = s.splynx_customer_id
+        LEFT JOIN clients c ON c.uisp_id = s.uisp_client_id
+      `;
+      const params = [];
+      const conditions = [];
+
+      if (filters.status) {
+        conditions.push('s.status = ?');
+        params.push(filters.status);
+      }
+
+      if (filters.min_confidence !== undefined) {
+        conditions.push('s.confidence >= ?');
+        params.push(filters.min_confidence);
+      }
+
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+
+      query += ' ORDER BY s.confidence DESC, s.id ASC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get a match suggestion by ID
+  getMappingSuggestion(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM mapping_suggestions WHERE id = ?';
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get the Splynx customer / UISP client pairs of suggestions in a status
+  getMappingSuggestionPairs(status) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT splynx_customer_id, uisp_client_id FROM mapping_suggestions WHERE status = ?';
+      db.all(query, [status], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Accept or reject a pending match suggestion
+  reviewMappingSuggestion(id, status, reviewedBy = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE mapping_suggestions
+        SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending'
+      `;
+      db.run(query, [status, reviewedBy, id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Retire pending suggestions for Splynx customers that now have a mapping
+  supersedeMappedSuggestions() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE mapping_suggestions
+        SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'pending'
+          AND splynx_customer_id IN (SELECT splynx_customer_id FROM customer_mappings)
+      `;
+      db.run(query, [], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== SCHEDULED JOB OPERATIONS ==========
+
+  // Get all scheduled jobs
+  getScheduledJobs() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM scheduled_jobs ORDER BY id ASC';
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get a scheduled job by name
+  getScheduledJob(name) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM scheduled_jobs WHERE name = ?';
+      db.get(query, [name], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Update the schedule, enabled flag and options of a job (and its next run time)
+  updateScheduledJob(name, job, nextRunAt) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE scheduled_jobs
+        SET schedule = ?, enabled = ?, options = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ?
+      `;
+      db.run(query, [
+        job.schedule,
+        job.enabled ? 1 : 0,
+        JSON.stringify(job.options || {}),
+        nextRunAt,
+        name
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Set when a job runs next (null = not scheduled)
+  setScheduledJobNextRun(name, nextRunAt) {
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE scheduled_jobs SET next_run_at = ? WHERE name = ?';
+      db.run(query, [nextRunAt, name], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Record the outcome of a job run
+  recordScheduledJobRun(name, status, syncLogId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE scheduled_jobs
+        SET last_run_at = CURRENT_TIMESTAMP, last_status = ?, last_sync_log_id = ?
+        WHERE name = ?
+      `;
+      db.run(query, [status, syncLogId, name], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== CONVEX OUTBOX OPERATIONS ==========
+
+  // Record a Convex mutation to send
+  insertConvexOutboxItem(operation, entityKey, payload) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO convex_outbox (operation, entity_key, payload)
+        VALUES (?, ?, ?)
+      `;
+      db.run(query, [operation, entityKey || null, JSON.stringify(payload)], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Get the pending outbox items that can be sent now, in the order they were recorded
+  // Stops before the first item still waiting for its retry so items are never sent out of order
+  getDueConvexOutboxItems(limit = 50) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM convex_outbox
+        WHERE status = 'pending'
+          AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+          AND NOT EXISTS (
+            SELECT 1 FROM convex_outbox waiting
+            WHERE waiting.status = 'pending'
+              AND waiting.next_attempt_at > CURRENT_TIMESTAMP
+              AND waiting.id < convex_outbox.id
+          )
+        ORDER BY id ASC
+        LIMIT ?
+      `;
+      db.all(query, [limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Remove a sent outbox item
+  deleteConvexOutboxItem(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM convex_outbox WHERE id = ?';
+      db.run(query, [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Record a failed send; a null delay gives up on the item (status dead)
+  markConvexOutboxItemFailed(id, errorMessage, delayMs) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE convex_outbox
+        SET attempts = attempts + 1, last_error = ?, last_attempt_at = CURRENT_TIMESTAMP,
+            status = ?, next_attempt_at = ?
+        WHERE id = ?
+      `;
+      const params = delayMs === null
+        ? [errorMessage, 'dead', null, id]
+        : [errorMessage, 'pending', timestampFromNow(delayMs), id];
+
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Drop outbox items that were given up on
+  deleteDeadConvexOutboxItems() {
+    return new Promise((resolve, reject) => {
+      const query = "DELETE FROM convex_outbox WHERE status = 'dead'";
+      db.run(query, [], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Get outbox backlog and the most recent error
+  getConvexOutboxStats() {
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT
+          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+          SUM(CASE WHEN status = 'dead' THEN 1 ELSE 0 END) as dead,
+          MIN(CASE WHEN status = 'pending' THEN created_at END) as oldest_pending_at
+        FROM convex_outbox
+      `;
+      const lastErrorQuery = `
+        SELECT id, operation, entity_key, status, attempts, last_error, last_attempt_at
+        FROM convex_outbox
+        WHERE last_error IS NOT NULL
+        ORDER BY last_attempt_at DESC, id DESC
+        LIMIT 1
+      `;
+
+      db.get(query, [], (err, stats) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        db.get(lastErrorQuery, [], (lastErr, lastError) => {
+          if (lastErr) {
+            reject(lastErr);
+          } else {
+            resolve({
+              pending: stats.pending || 0,
+              dead: stats.dead || 0,
+              oldest_pending_at: stats.oldest_pending_at || null,
+              last_error: lastError || null
+            });
+          }
+        });
+      });
+    });
+  },
+
+  // ========== PAYMENT RULE OPERATIONS ==========
+
+  // Get payment rules (optionally only enabled ones)
+  getPaymentRules(enabledOnly = false) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM payment_rules';
+      if (enabledOnly) {
+        query += ' WHERE enabled = 1';
+      }
+      query += ' ORDER BY rule_type ASC, id ASC';
+
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Get payment rule by ID
+  getPaymentRuleById(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM payment_rules WHERE id = ?';
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Create payment rule
+  insertPaymentRule(rule) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO payment_rules (rule_type, currency_code, threshold, window_minutes, enabled, notes)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      db.run(query, [
+        rule.rule_type,
+        rule.currency_code || null,
+        rule.threshold,
+        rule.window_minutes || null,
+        rule.enabled === false ? 0 : 1,
+        rule.notes || null
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Update payment rule
+  updatePaymentRule(id, rule) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE payment_rules
+        SET rule_type = ?, currency_code = ?, threshold = ?, window_minutes = ?,
+            enabled = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      db.run(query, [
+        rule.rule_type,
+        rule.currency_code || null,
+        rule.threshold,
+        rule.window_minutes || null,
+        rule.enabled === false ? 0 : 1,
+        rule.notes || null,
+        id
+      ], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Delete payment rule
+  deletePaymentRule(id) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM payment_rules WHERE id = ?';
+      db.run(query, [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== FX RATE OPERATIONS ==========
+
+  // Get the rate converting one currency into another
+  getFxRate(fromCurrency, toCurrency) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM fx_rates WHERE from_currency = ? AND to_currency = ?';
+      db.get(query, [fromCurrency, toCurrency], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get all FX rates
+  getAllFxRates() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM fx_rates ORDER BY from_currency ASC, to_currency ASC';
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Add or update FX rate
+  upsertFxRate(fromCurrency, toCurrency, rate, notes = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO fx_rates (from_currency, to_currency, rate, notes)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(from_currency, to_currency) DO UPDATE SET
+          rate = excluded.rate,
+          updated_at = CURRENT_TIMESTAMP,
+          notes = excluded.notes
+      `;
+      db.run(query, [fromCurrency, toCurrency, rate, notes], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Delete FX rate
+  deleteFxRate(fromCurrency, toCurrency) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM fx_rates WHERE from_currency = ? AND to_currency = ?';
+      db.run(query, [fromCurrency, toCurrency], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // ========== PAYMENT METHOD MAPPING OPERATIONS ==========
+
+  // Get the UISP method ID mapped to a Splynx payment method
+  getPaymentMethodMapping(splynxPaymentMethod) {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM payment_method_mappings WHERE splynx_payment_method = ?';
+      db.get(query, [splynxPaymentMethod], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  },
+
+  // Get all payment method mappings
+  getAllPaymentMethodMappings() {
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM payment_method_mappings ORDER BY splynx_payment_method ASC';
+      db.all(query, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  // Add or update payment method mapping
+  upsertPaymentMethodMapping(splynxPaymentMethod, uispMethodId, notes = null) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO payment_method_mappings (splynx_payment_method, uisp_method_id, notes)
+        VALUES (?, ?, ?)
+        ON CONFLICT(splynx_payment_method) DO UPDATE SET
+          uisp_method_id = excluded.uisp_method_id,
+          updated_at = CURRENT_TIMESTAMP,
+          notes = excluded.notes
+      `;
+      db.run(query, [splynxPaymentMethod, uispMethodId, notes], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  },
+
+  // Delete payment method mapping
+  deletePaymentMethodMapping(splynxPaymentMethod) {
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM payment_method_mappings WHERE splynx_payment_method = ?';
+      db.run(query, [splynxPaymentMethod], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  },
+
+  // Apply a new mapping to quarantined payments that were waiting for it
+  // Payments that already have a UISP client are queued for delivery
+  applyPaymentMethodMapping(splynxPaymentMethod, uispMethodId) {
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE payments
+        SET uisp_method_id = ?,
+            status = CASE WHEN quarantine_reason = 'unmapped_method' THEN 'pending' ELSE status END,
+            error_message = CASE WHEN quarantine_reason = 'unmapped_method' THEN NULL ELSE error_message END,
+            next_attempt_at = CASE WHEN quarantine_reason = 'unmapped_method' THEN CURRENT_TIMESTAMP ELSE next_attempt_at END,
+            quarantine_reason = CASE WHEN quarantine_reason = 'unmapped_method' THEN NULL ELSE quarantine_reason END
+        WHERE status = 'quarantined'
+          AND uisp_method_id IS NULL
+          AND lower(trim(COALESCE(payment_method, payment_type, ''))) = ?
+      `;
+      db.run(query, [uispMethodId, splynxPaymentMethod], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -617,4 +2292,4 @@ const dbHelpers = {
   }
 };
 
-module.exports = { db, dbHelpers };
+module.exports = { db, dbReady, dbHelpers };
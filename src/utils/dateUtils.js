@@ -0,0 +1,156 @@
+// Zone the Splynx server writes its local timestamps in
+const SPLYNX_TIMEZONE = process.env.SPLYNX_TIMEZONE || 'Africa/Nairobi';
+// Zone payment times are sent to UISP and stored in
+const PAYMENT_TIMEZONE = process.env.PAYMENT_TIMEZONE || 'Africa/Nairobi';
+
+// Timestamps that already carry a zone: trailing Z or ±HH:MM / ±HHMM
+const ZONED_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+// Splynx local timestamps: YYYY-MM-DD, optionally followed by HH:mm[:ss] (space or T separated)
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const formatters = new Map();
+
+/**
+ * Get a cached Intl formatter that splits a date into wall-clock parts for a zone
+ * @param {string} timeZone - IANA zone name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a zone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object} - { year, month, day, hour, minute, second } as numbers
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Get the UTC offset of a zone at a given instant
+ * @param {Date} date - Instant to check (offsets change with DST)
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} - Offset in minutes east of UTC (e.g. 180 for UTC+3)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Parse a Splynx timestamp into an instant
+ * Timestamps without a zone are read as wall-clock time in the Splynx server's zone.
+ * @param {string|Date} value - e.g. "2025-12-14 23:48:29", "2025-12-14" or an ISO string with offset
+ * @param {string} timeZone - Zone of unzoned timestamps (defaults to SPLYNX_TIMEZONE)
+ * @returns {Date|null} - null when the value cannot be parsed
+ */
+function parseSplynxDateTime(value, timeZone = SPLYNX_TIMEZONE) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (!value) {
+    return null;
+  }
+
+  const text = value.toString().trim();
+
+  if (ZONED_PATTERN.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = text.match(LOCAL_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Date.UTC rolls out-of-range fields over (2025-02-30 becomes March 2); treat those as unparseable
+  const check = new Date(wallClock);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== Number(day) ||
+      check.getUTCHours() !== Number(hour) || check.getUTCMinutes() !== Number(minute) ||
+      check.getUTCSeconds() !== Number(second)) {
+    return null;
+  }
+
+  // Shift by the zone offset, then re-read it in case the shift crossed a DST change
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  offset = getTimeZoneOffset(new Date(wallClock - offset * 60000), timeZone);
+
+  const date = new Date(wallClock - offset * 60000);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format an instant as local time in a zone with its UTC offset
+ * @param {Date} date - Instant to format
+ * @param {string} timeZone - IANA zone name (defaults to PAYMENT_TIMEZONE)
+ * @returns {string} - e.g. "2025-12-15T00:48:29+03:00"
+ */
+function formatInTimeZone(date, timeZone = PAYMENT_TIMEZONE) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffset(date, timeZone);
+  const pad = (number) => String(number).padStart(2, '0');
+
+  const sign = offset < 0 ? '-' : '+';
+  const offsetHours = pad(Math.floor(Math.abs(offset) / 60));
+  const offsetMinutes = pad(Math.abs(offset) % 60);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${sign}${offsetHours}:${offsetMinutes}`;
+}
+
+/**
+ * Convert a Splynx payment timestamp to the zoned format used for UISP and storage
+ * Missing values fall back to the current time.
+ * @param {string} value - Splynx timestamp
+ * @returns {string} - e.g. "2025-12-15T00:48:29+03:00"
+ * @throws {Error} When the value cannot be parsed (it is never stored as-is)
+ */
+function toPaymentDateTime(value) {
+  if (!value) {
+    return formatInTimeZone(new Date());
+  }
+
+  const date = parseSplynxDateTime(value);
+
+  if (!date) {
+    throw new Error(`Could not parse payment timestamp '${value}'`);
+  }
+
+  return formatInTimeZone(date);
+}
+
+module.exports = {
+  SPLYNX_TIMEZONE,
+  PAYMENT_TIMEZONE,
+  getZonedParts,
+  getTimeZoneOffset,
+  parseSplynxDateTime,
+  formatInTimeZone,
+  toPaymentDateTime
+};
@@ -0,0 +1,64 @@
+/**
+ * In-process LRU cache with a time-to-live per entry
+ * Keeps hit/miss counts; null is a valid cached value (undefined means "not cached").
+ * @param {Object} options - { maxEntries, ttlMs }
+ * @returns {Object} - Cache with get, set, delete, clear and stats
+ */
+function createLruCache({ maxEntries = 1000, ttlMs = 300000 } = {}) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) {
+          entries.delete(key);
+        }
+        counters.misses++;
+        return undefined;
+      }
+
+      entries.delete(key);
+      entries.set(key, entry);
+      counters.hits++;
+      return entry.value;
+    },
+
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions++;
+      }
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.misses;
+
+      return {
+        size: entries.size,
+        max_entries: maxEntries,
+        ttl_ms: ttlMs,
+        hits: counters.hits,
+        misses: counters.misses,
+        evictions: counters.evictions,
+        hit_rate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+      };
+    }
+  };
+}
+
+module.exports = { createLruCache };
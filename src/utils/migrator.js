@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+// Migration files are named <version>_<name>.js, e.g. 003_payment_delivery_queue.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Wrap the storage callback API in promises for migrations
+ * @param {Object} db - Storage (see utils/storage)
+ * @returns {Object} - { dialect, run, all, exec, addColumn }
+ */
+function createMigrationContext(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(this.changes);
+      }
+    });
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  const exec = (sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+
+  // Databases upgraded before migrations existed may already have the column; the backfill
+  // only runs when the column is actually added
+  const addColumn = async (table, name, type, backfill = null) => {
+    const existing = await db.getColumns(table);
+
+    if (existing.includes(name)) {
+      return false;
+    }
+
+    await run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    if (backfill) {
+      await run(backfill);
+    }
+    logger.info(`Added ${table}.${name} column`);
+    return true;
+  };
+
+  return { dialect: db.dialect, run, all, exec, addColumn };
+}
+
+/**
+ * Load the migration files in version order
+ * @returns {Array<Object>} - { version, name, up }
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      up: require(path.join(MIGRATIONS_DIR, file)).up
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} does not export up()`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the table recording applied migrations
+ * @param {Object} context - Migration context
+ * @returns {Promise<void>}
+ */
+function ensureMigrationsTable(context) {
+  return context.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      duration_ms INTEGER
+    );
+  `);
+}
+
+/**
+ * List every migration with whether it has been applied
+ * @param {Object} db - Storage (see utils/storage)
+ * @returns {Promise<Array<Object>>} - { version, name, applied, applied_at }
+ */
+async function getMigrationStatus(db) {
+  const context = createMigrationContext(db);
+  await ensureMigrationsTable(context);
+
+  const applied = new Map(
+    (await context.all('SELECT version, applied_at FROM schema_migrations'))
+      .map(row => [row.version, row.applied_at])
+  );
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) || null
+  }));
+}
+
+/**
+ * Apply pending migrations in version order, each inside its own transaction
+ * Stops at the first failing migration (which is rolled back).
+ * @param {Object} db - Storage (see utils/storage)
+ * @returns {Promise<Object>} - { applied: names of the migrations applied }
+ */
+async function runMigrations(db) {
+  const context = createMigrationContext(db);
+  await ensureMigrationsTable(context);
+
+  const appliedVersions = new Set(
+    (await context.all('SELECT version FROM schema_migrations')).map(row => row.version)
+  );
+  const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+  const applied = [];
+
+  for (const migration of pending) {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    const start = Date.now();
+
+    try {
+      await db.transaction(async (transaction) => {
+        const transactionContext = createMigrationContext(transaction);
+
+        await migration.up(transactionContext);
+        await transactionContext.run(
+          'INSERT INTO schema_migrations (version, name, duration_ms) VALUES (?, ?, ?)',
+          [migration.version, migration.name, Date.now() - start]
+        );
+      });
+    } catch (error) {
+      error.message = `Migration ${label} failed: ${error.message}`;
+      throw error;
+    }
+
+    logger.info(`Applied migration ${label}`);
+    applied.push(label);
+  }
+
+  if (applied.length === 0) {
+    logger.info('Database schema is up to date');
+  }
+
+  return { applied };
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations
+};
@@ -0,0 +1,28 @@
+const path = require('path');
+const { createSqliteStorage } = require('./sqlite');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, '../../../database.sqlite');
+
+/**
+ * Open the configured storage: Postgres when DATABASE_URL is set, otherwise the SQLite file at DB_PATH
+ * @returns {Object} - Storage (sqlite3-style run/get/all/exec plus connect, transaction, getColumns, close)
+ * @throws {Error} When DATABASE_URL is not a postgres:// URL
+ */
+function createStorage() {
+  const databaseUrl = process.env.DATABASE_URL;
+
+  if (databaseUrl && /^postgres(ql)?:\/\//i.test(databaseUrl)) {
+    // Only load pg when it is used
+    const { createPostgresStorage } = require('./postgres');
+    return createPostgresStorage(databaseUrl);
+  }
+
+  // Convex (CONVEX_URL) is only ever a mirror, never the store
+  if (databaseUrl) {
+    throw new Error(`Unsupported DATABASE_URL '${databaseUrl.split(':')[0]}:'; use a postgres:// URL, or leave it unset for SQLite`);
+  }
+
+  return createSqliteStorage(dbPath);
+}
+
+module.exports = { createStorage };
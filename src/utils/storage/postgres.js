@@ -0,0 +1,172 @@
+const { Pool, types } = require('pg');
+const logger = require('../logger');
+
+// Return the same values sqlite3 does: numbers for counts and sums, 'YYYY-MM-DD HH:MM:SS' for timestamps
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+types.setTypeParser(types.builtins.TIMESTAMP, value => value);
+
+// SQLite column types used by the migrations and their Postgres equivalents
+const SCHEMA_TYPES = [
+  [/\bINTEGER PRIMARY KEY(\s+AUTOINCREMENT)?\b/gi, 'SERIAL PRIMARY KEY'],
+  [/\bDATETIME\b/gi, 'TIMESTAMP(0)'],
+  // Kept as 0/1 so rows read the same as on SQLite
+  [/\bBOOLEAN\b/gi, 'SMALLINT'],
+  [/\bREAL\b/gi, 'DOUBLE PRECISION']
+];
+
+/**
+ * Translate SQLite column types in schema SQL
+ * @param {string} sql - Schema SQL written for SQLite
+ * @returns {string}
+ */
+function translateSchema(sql) {
+  return SCHEMA_TYPES.reduce((translated, [pattern, type]) => translated.replace(pattern, type), sql);
+}
+
+/**
+ * Replace ? placeholders (outside string literals) with $1, $2, ...
+ * @param {string} sql - SQL with ? placeholders
+ * @returns {string}
+ */
+function toPositionalParams(sql) {
+  let index = 0;
+  let inString = false;
+  let result = '';
+
+  for (const char of sql) {
+    if (char === '\'') {
+      inString = !inString;
+    }
+    result += char === '?' && !inString ? `$${++index}` : char;
+  }
+
+  return result;
+}
+
+/**
+ * Prepare a statement written for SQLite: positional params, and RETURNING * on inserts
+ * so run() can report the inserted row's id like sqlite3's this.lastID
+ * @param {string} sql - Statement
+ * @returns {string}
+ */
+function prepareStatement(sql) {
+  const schemaStatement = /^\s*(CREATE|ALTER)\b/i.test(sql);
+  let prepared = toPositionalParams(schemaStatement ? translateSchema(sql) : sql).trim().replace(/;$/, '');
+
+  if (/^INSERT\b/i.test(prepared) && !/\bRETURNING\b/i.test(prepared)) {
+    prepared += ' RETURNING *';
+  }
+
+  return prepared;
+}
+
+/**
+ * Build the sqlite3-style API on top of a pool or a checked-out client
+ * @param {Pool|Client} queryable - pg Pool, or a client holding a transaction
+ * @param {Object} base - Shared storage properties
+ * @returns {Object} - Storage
+ */
+function bindStorage(queryable, base) {
+  const query = (sql, params) => queryable.query(prepareStatement(sql), params || []);
+
+  const storage = {
+    ...base,
+
+    run(sql, params, callback) {
+      query(sql, params).then(
+        result => callback && callback.call({
+          changes: result.rowCount,
+          lastID: result.rows && result.rows[0] ? result.rows[0].id : undefined
+        }, null),
+        err => callback && callback.call({}, err)
+      );
+    },
+
+    get(sql, params, callback) {
+      query(sql, params).then(result => callback(null, result.rows[0]), err => callback(err));
+    },
+
+    all(sql, params, callback) {
+      query(sql, params).then(result => callback(null, result.rows), err => callback(err));
+    },
+
+    // Schema SQL, possibly several statements, no parameters
+    exec(sql, callback) {
+      queryable.query(translateSchema(sql)).then(
+        () => callback && callback(null),
+        err => callback && callback(err)
+      );
+    },
+
+    async getColumns(table) {
+      const result = await queryable.query(
+        `SELECT column_name FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1`,
+        [table]
+      );
+      return result.rows.map(row => row.column_name);
+    }
+  };
+
+  return storage;
+}
+
+/**
+ * Postgres storage (selected by DATABASE_URL) exposing the same API as the SQLite storage
+ * @param {string} connectionString - postgres:// URL (add ?sslmode=require for hosted databases)
+ * @returns {Object} - Storage
+ */
+function createPostgresStorage(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    max: parseInt(process.env.PG_POOL_SIZE) || 10,
+    // Timestamps are stored in UTC, like SQLite's CURRENT_TIMESTAMP
+    options: '-c TimeZone=UTC'
+  });
+
+  pool.on('error', (err) => {
+    logger.error('Postgres pool error:', err);
+  });
+
+  const base = {
+    dialect: 'postgres',
+    location: connectionString.replace(/\/\/[^@/]*@/, '//***@')
+  };
+
+  const storage = bindStorage(pool, base);
+
+  storage.connect = async () => {
+    await pool.query('SELECT 1');
+    logger.info('Connected to Postgres database');
+  };
+
+  // Run work(storage) on one connection inside a transaction; rolled back if it throws
+  storage.transaction = async (work) => {
+    const client = await pool.connect();
+    const transactionStorage = bindStorage(client, base);
+    transactionStorage.transaction = (nestedWork) => nestedWork(transactionStorage);
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(transactionStorage);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(rollbackError => {
+        logger.error('Failed to roll back transaction:', rollbackError);
+      });
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  storage.close = (callback) => {
+    pool.end().then(() => callback && callback(null), err => callback && callback(err));
+  };
+
+  return storage;
+}
+
+module.exports = { createPostgresStorage, translateSchema, toPositionalParams };
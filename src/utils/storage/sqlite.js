@@ -0,0 +1,137 @@
+const sqlite3 = require('sqlite3').verbose();
+const logger = require('../logger');
+
+/**
+ * SQLite storage (the default): a thin wrapper over a single sqlite3 connection
+ * @param {string} filename - Database file path
+ * @returns {Object} - Storage with the sqlite3 callback API (run/get/all/exec) plus
+ *   connect, transaction, getColumns and close
+ */
+function createSqliteStorage(filename) {
+  const db = new sqlite3.Database(filename, (err) => {
+    if (err) {
+      logger.error('Error opening database:', err);
+    } else {
+      logger.info('Connected to SQLite database');
+    }
+  });
+
+  // Statements run one at a time in the order they are issued, so a query issued before a
+  // transaction begins has finished before BEGIN runs
+  db.serialize();
+
+  const opened = new Promise((resolve, reject) => {
+    db.once('open', resolve);
+    db.once('error', reject);
+  });
+
+  const runAsync = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+
+  // Transactions share the one connection: they run one after another, and queries made outside
+  // them wait until the running transaction has committed or rolled back, so they never become
+  // part of it (and are never rolled back with it)
+  let transactionQueue = Promise.resolve();
+  const afterTransactions = (call) => {
+    transactionQueue.then(call);
+  };
+
+  // Direct access to the connection, used inside a transaction
+  const connection = {
+    dialect: 'sqlite',
+    location: filename,
+
+    run(sql, params, callback) {
+      return db.run(sql, params, callback);
+    },
+
+    get(sql, params, callback) {
+      return db.get(sql, params, callback);
+    },
+
+    all(sql, params, callback) {
+      return db.all(sql, params, callback);
+    },
+
+    exec(sql, callback) {
+      return db.exec(sql, callback);
+    },
+
+    // Names of the columns of a table
+    getColumns(table) {
+      return new Promise((resolve, reject) => {
+        db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => row.name));
+          }
+        });
+      });
+    },
+
+    // Already inside a transaction
+    transaction(work) {
+      return work(connection);
+    }
+  };
+
+  const storage = {
+    dialect: 'sqlite',
+    location: filename,
+
+    connect() {
+      return opened;
+    },
+
+    run(sql, params, callback) {
+      afterTransactions(() => db.run(sql, params, callback));
+    },
+
+    get(sql, params, callback) {
+      afterTransactions(() => db.get(sql, params, callback));
+    },
+
+    all(sql, params, callback) {
+      afterTransactions(() => db.all(sql, params, callback));
+    },
+
+    exec(sql, callback) {
+      afterTransactions(() => db.exec(sql, callback));
+    },
+
+    getColumns(table) {
+      return transactionQueue.then(() => connection.getColumns(table));
+    },
+
+    // Run work(connection) inside a transaction; rolled back if it throws
+    transaction(work) {
+      const result = transactionQueue.then(async () => {
+        await runAsync('BEGIN IMMEDIATE');
+
+        try {
+          const value = await work(connection);
+          await runAsync('COMMIT');
+          return value;
+        } catch (error) {
+          await runAsync('ROLLBACK').catch(rollbackError => {
+            logger.error('Failed to roll back transaction:', rollbackError);
+          });
+          throw error;
+        }
+      });
+
+      transactionQueue = result.catch(() => {});
+      return result;
+    },
+
+    close(callback) {
+      afterTransactions(() => db.close(callback));
+    }
+  };
+
+  return storage;
+}
+
+module.exports = { createSqliteStorage };
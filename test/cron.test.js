@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCronExpression, getNextCronTime } = require('../src/utils/cron');
+
+const AFTER = new Date('2026-10-18T00:00:00Z');
+
+describe('getNextCronTime', () => {
+  it('finds the next run in the given zone', () => {
+    assert.equal(getNextCronTime('0 5 * * *', AFTER, 'Africa/Nairobi').toISOString(), '2026-10-18T02:00:00.000Z');
+    assert.equal(getNextCronTime('30 2 1 * *', AFTER, 'Africa/Nairobi').toISOString(), '2026-10-31T23:30:00.000Z');
+  });
+
+  it('finds a February 29th more than a year away', () => {
+    assert.equal(getNextCronTime('0 0 29 2 *', AFTER, 'Africa/Nairobi').toISOString(), '2028-02-28T21:00:00.000Z');
+    // 2100 is not a leap year, so the run after 2096 is in 2104
+    assert.equal(getNextCronTime('0 0 29 2 *', new Date('2096-03-01T00:00:00Z'), 'UTC').toISOString(), '2104-02-29T00:00:00.000Z');
+  });
+
+  it('returns null for dates that do not exist', () => {
+    assert.equal(getNextCronTime('0 0 31 2 *', AFTER, 'Africa/Nairobi'), null);
+    assert.equal(getNextCronTime('0 0 30 2 *', AFTER, 'Africa/Nairobi'), null);
+    assert.equal(getNextCronTime('0 0 31 4,6,9,11 *', AFTER, 'Africa/Nairobi'), null);
+  });
+
+  it('fires on either the day or the weekday when both are restricted', () => {
+    // Monday February 1st 2027 comes before any February 29th
+    assert.equal(getNextCronTime('0 0 29 2 1', AFTER, 'UTC').toISOString(), '2027-02-01T00:00:00.000Z');
+  });
+});
+
+describe('parseCronExpression', () => {
+  it('rejects out-of-range fields and wrong field counts', () => {
+    assert.throws(() => parseCronExpression('0 0 32 1 *'), /Invalid day/);
+    assert.throws(() => parseCronExpression('0 0 * *'), /5 fields/);
+  });
+});
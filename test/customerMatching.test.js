@@ -0,0 +1,152 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A database of its own, created before the services open it
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-matching-'));
+process.env.DB_PATH = path.join(directory, 'test.sqlite');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, dbReady, dbHelpers } = require('../src/utils/database');
+const {
+  buildClientIndex,
+  findMatches,
+  runCustomerMatching,
+  acceptMappingSuggestion,
+  rejectMappingSuggestion
+} = require('../src/services/customerMatchingService');
+
+const suggestionsFor = async (splynxCustomerId) =>
+  (await dbHelpers.getMappingSuggestions(500, 0)).filter(suggestion => suggestion.splynx_customer_id === splynxCustomerId);
+
+describe('findMatches', () => {
+  it('matches a login equal to one client userIdent exactly', () => {
+    const index = buildClientIndex([
+      { uisp_id: 1, custom_id: 'W100', first_name: 'Jane', last_name: 'Doe' },
+      { uisp_id: 2, custom_id: 'W200', first_name: 'John', last_name: 'Roe' }
+    ]);
+
+    const { exact, candidates } = findMatches({ login: ' w100 ', name: 'Someone Else' }, index);
+    assert.equal(exact.uisp_id, 1);
+    assert.deepEqual(candidates, []);
+  });
+
+  it('does not treat a login shared by several clients as exact', () => {
+    const index = buildClientIndex([
+      { uisp_id: 1, custom_id: 'W100', first_name: 'Jane', last_name: 'Doe' },
+      { uisp_id: 2, custom_id: 'w100', first_name: 'Mary', last_name: 'Kamau' }
+    ]);
+
+    const { exact, candidates } = findMatches({ login: 'W100', name: 'Jane Doe' }, index);
+    assert.equal(exact, null);
+    assert.deepEqual(candidates.map(candidate => candidate.client.uisp_id), [1]);
+  });
+
+  it('ranks phone and email above phone alone, and phone above email', () => {
+    const index = buildClientIndex([
+      { uisp_id: 1, first_name: 'Jane', last_name: 'Doe', email: 'jane@example.com' },
+      { uisp_id: 2, first_name: 'Jane', last_name: 'Doe', phone: '+254712345678' },
+      { uisp_id: 3, first_name: 'Jane', last_name: 'Doe', phone: '0712 345 678', email: 'JANE@example.com' }
+    ]);
+
+    const { exact, candidates } = findMatches({ name: 'Jane Doe', phone: '712345678', email: 'jane@example.com' }, index);
+    assert.equal(exact, null);
+    assert.deepEqual(candidates.map(candidate => [candidate.client.uisp_id, candidate.match_type]), [
+      [3, 'phone_email'],
+      [2, 'phone'],
+      [1, 'email']
+    ]);
+    assert.ok(candidates.every(candidate => candidate.confidence < 1));
+    assert.equal(candidates[0].reasons.phone, '+254712345678');
+  });
+
+  it('matches on name alone only when the names are very similar', () => {
+    const index = buildClientIndex([{ uisp_id: 1, first_name: 'Jane', last_name: 'Doe' }]);
+
+    const reordered = findMatches({ name: 'Doe Jane' }, index).candidates;
+    assert.deepEqual(reordered.map(candidate => [candidate.match_type, candidate.confidence]), [['name', 0.6]]);
+
+    assert.deepEqual(findMatches({ name: 'Jane Smithson' }, index).candidates, []);
+  });
+});
+
+describe('runCustomerMatching', () => {
+  before(async () => {
+    await dbReady;
+    await dbHelpers.upsertClients([
+      { uisp_id: 9001, custom_id: 'X9001', first_name: 'Alice', last_name: 'Njeri', phone: '0711000001' },
+      { uisp_id: 9002, custom_id: 'X9002', first_name: 'Brian', last_name: 'Otieno' },
+      { uisp_id: 9003, custom_id: 'X9003', first_name: 'Carol', last_name: 'Achieng', phone: '0711000003' },
+      { uisp_id: 9004, custom_id: 'X9004', first_name: 'David', last_name: 'Mwangi', phone: '0711000004' },
+      { uisp_id: 9005, custom_id: 'X9005', first_name: 'Esther', last_name: 'Wambui', phone: '0711000005' }
+    ]);
+    await dbHelpers.upsertSplynxCustomers([
+      { splynx_id: '501', login: 'alice', name: 'Alice Njeri', phone: '0711000001' },
+      { splynx_id: '502', login: 'X9002', name: 'B. Otieno' },
+      { splynx_id: '503', login: 'carol', name: 'Carol Achieng', phone: '0711000003' },
+      { splynx_id: '504', login: 'david', name: 'David Mwangi', phone: '0711000004' },
+      { splynx_id: '505', login: 'esther', name: 'Esther Wambui', phone: '0711000005' }
+    ]);
+    await runCustomerMatching();
+  });
+
+  after(async () => {
+    await new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('maps an exact login straight away and queues other matches for review', async () => {
+    assert.equal(await dbHelpers.getUispClientId('502'), 9002);
+    assert.deepEqual(await suggestionsFor('502'), []);
+
+    for (const splynxId of ['501', '503', '504', '505']) {
+      const suggestions = await suggestionsFor(splynxId);
+      assert.deepEqual(suggestions.map(suggestion => [suggestion.status, suggestion.match_type]), [['pending', 'phone']], splynxId);
+      assert.equal(await dbHelpers.getUispClientId(splynxId), null);
+    }
+  });
+
+  it('does not suggest a rejected pair again', async () => {
+    const [suggestion] = await suggestionsFor('501');
+    await rejectMappingSuggestion(suggestion.id, 'tester');
+
+    const stats = await runCustomerMatching();
+
+    assert.deepEqual((await suggestionsFor('501')).map(row => [row.id, row.status]), [[suggestion.id, 'rejected']]);
+    assert.ok(stats.unmatched >= 1);
+  });
+
+  it('refuses a suggestion whose customer is mapped to another client', async () => {
+    const [suggestion] = await suggestionsFor('503');
+    await dbHelpers.upsertCustomerMapping('503', 9001, 'By hand');
+
+    const result = await acceptMappingSuggestion(suggestion.id, 'tester');
+
+    assert.equal(result.error, 'Customer already mapped');
+    assert.equal(await dbHelpers.getUispClientId('503'), 9001);
+    assert.equal((await dbHelpers.getMappingSuggestion(suggestion.id)).status, 'pending');
+  });
+
+  it('refuses a suggestion whose client is mapped to another customer', async () => {
+    const [suggestion] = await suggestionsFor('504');
+    await dbHelpers.upsertCustomerMapping('600', 9004, 'By hand');
+
+    const result = await acceptMappingSuggestion(suggestion.id, 'tester');
+
+    assert.equal(result.error, 'Client already mapped');
+    assert.equal(await dbHelpers.getUispClientId('504'), null);
+    assert.equal((await dbHelpers.getMappingSuggestion(suggestion.id)).status, 'pending');
+  });
+
+  it('maps the pair when a suggestion is accepted', async () => {
+    const [suggestion] = await suggestionsFor('505');
+
+    const result = await acceptMappingSuggestion(suggestion.id, 'tester');
+
+    assert.equal(result.suggestion.status, 'accepted');
+    assert.equal(await dbHelpers.getUispClientId('505'), 9005);
+  });
+});
@@ -0,0 +1,85 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.SPLYNX_TIMEZONE = 'Africa/Nairobi';
+process.env.PAYMENT_TIMEZONE = 'Africa/Nairobi';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSplynxDateTime, formatInTimeZone, toPaymentDateTime } = require('../src/utils/dateUtils');
+
+const ZONED_FORMAT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/;
+
+describe('parseSplynxDateTime', () => {
+  it('reads unzoned times as wall-clock time in the given zone', () => {
+    assert.equal(parseSplynxDateTime('2025-12-14 23:48:29', 'Africa/Nairobi').toISOString(), '2025-12-14T20:48:29.000Z');
+    assert.equal(parseSplynxDateTime('2025-12-14T23:48:29', 'Africa/Nairobi').toISOString(), '2025-12-14T20:48:29.000Z');
+  });
+
+  it('keeps the previous UTC day for midnight east of UTC', () => {
+    assert.equal(parseSplynxDateTime('2025-03-01 00:00:00', 'Asia/Kolkata').toISOString(), '2025-02-28T18:30:00.000Z');
+    assert.equal(parseSplynxDateTime('2025-06-30', 'Africa/Nairobi').toISOString(), '2025-06-29T21:00:00.000Z');
+  });
+
+  it('moves to the next UTC day for late evening west of UTC', () => {
+    assert.equal(parseSplynxDateTime('2025-01-31 23:30:00', 'America/New_York').toISOString(), '2025-02-01T04:30:00.000Z');
+    assert.equal(parseSplynxDateTime('2025-12-31 20:00:00', 'America/Los_Angeles').toISOString(), '2026-01-01T04:00:00.000Z');
+  });
+
+  it('uses the offset in effect on the date', () => {
+    // Leap day midnight during New Zealand daylight time (UTC+13)
+    assert.equal(parseSplynxDateTime('2024-02-29 00:00:00', 'Pacific/Auckland').toISOString(), '2024-02-28T11:00:00.000Z');
+    // Half an hour past midnight on the day New York leaves daylight time, still UTC-4
+    assert.equal(parseSplynxDateTime('2025-11-02 00:30:00', 'America/New_York').toISOString(), '2025-11-02T04:30:00.000Z');
+  });
+
+  it('ignores the zone for times that carry their own offset', () => {
+    assert.equal(parseSplynxDateTime('2025-12-31T23:59:59Z', 'Asia/Kolkata').toISOString(), '2025-12-31T23:59:59.000Z');
+    assert.equal(parseSplynxDateTime('2025-12-31T23:59:59+0300', 'America/New_York').toISOString(), '2025-12-31T20:59:59.000Z');
+  });
+
+  it('returns null for values that are not dates', () => {
+    for (const value of ['yesterday', '14/12/2025', '2025-02-30', '2025-13-01', '2025-04-31 10:00', '2025-01-01 24:00:00', '']) {
+      assert.equal(parseSplynxDateTime(value, 'Africa/Nairobi'), null, value);
+    }
+  });
+
+  it('accepts month ends that exist', () => {
+    assert.ok(parseSplynxDateTime('2024-02-29', 'Africa/Nairobi'));
+    assert.ok(parseSplynxDateTime('2025-04-30 23:59:59', 'Africa/Nairobi'));
+  });
+});
+
+describe('formatInTimeZone', () => {
+  it('rolls the date over at midnight in the target zone', () => {
+    assert.equal(formatInTimeZone(new Date('2025-12-31T21:00:00Z'), 'Africa/Nairobi'), '2026-01-01T00:00:00+03:00');
+    assert.equal(formatInTimeZone(new Date('2025-12-31T20:59:59Z'), 'Africa/Nairobi'), '2025-12-31T23:59:59+03:00');
+  });
+
+  it('keeps the previous day west of UTC', () => {
+    assert.equal(formatInTimeZone(new Date('2025-03-01T02:00:00Z'), 'America/New_York'), '2025-02-28T21:00:00-05:00');
+  });
+
+  it('writes half-hour offsets', () => {
+    assert.equal(formatInTimeZone(new Date('2025-01-31T18:30:00Z'), 'Asia/Kolkata'), '2025-02-01T00:00:00+05:30');
+  });
+
+  it('converts a Splynx time across zones and months', () => {
+    const date = parseSplynxDateTime('2025-01-31 23:30:00', 'America/New_York');
+    assert.equal(formatInTimeZone(date, 'Africa/Nairobi'), '2025-02-01T07:30:00+03:00');
+  });
+});
+
+describe('toPaymentDateTime', () => {
+  it('converts Splynx times to the payment zone', () => {
+    assert.equal(toPaymentDateTime('2025-01-31 23:59:59'), '2025-01-31T23:59:59+03:00');
+    assert.equal(toPaymentDateTime('2025-01-31T22:00:00Z'), '2025-02-01T01:00:00+03:00');
+  });
+
+  it('uses the current time when no time is given', () => {
+    assert.match(toPaymentDateTime(undefined), ZONED_FORMAT);
+  });
+
+  it('rejects values it cannot parse', () => {
+    assert.throws(() => toPaymentDateTime('not a date'), /Could not parse payment timestamp 'not a date'/);
+    assert.throws(() => toPaymentDateTime('2025-02-30 10:00:00'), /Could not parse/);
+  });
+});
@@ -0,0 +1,222 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteStorage } = require('../src/utils/storage/sqlite');
+const { createPostgresStorage, translateSchema, toPositionalParams } = require('../src/utils/storage/postgres');
+const { runMigrations } = require('../src/utils/migrator');
+
+// Written for SQLite, like the migrations; translated on Postgres
+const TEST_TABLE = `
+  CREATE TABLE storage_test (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    amount REAL,
+    quantity INTEGER,
+    active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const backends = [
+  {
+    name: 'sqlite',
+    async open() {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-sqlite-'));
+      const storage = createSqliteStorage(path.join(directory, 'test.sqlite'));
+      return {
+        storage,
+        cleanup: async () => fs.rmSync(directory, { recursive: true, force: true })
+      };
+    }
+  },
+  {
+    name: 'postgres',
+    // Needs a server to run against; its tables are created and left in place
+    skip: process.env.TEST_DATABASE_URL ? false : 'set TEST_DATABASE_URL to a postgres:// URL to run the Postgres tests',
+    async open() {
+      const storage = createPostgresStorage(process.env.TEST_DATABASE_URL);
+      return { storage, cleanup: async () => {} };
+    }
+  }
+];
+
+// Promise wrappers over the sqlite3-style callback API
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) {
+      reject(err);
+    } else {
+      resolve({ changes: this.changes, lastID: this.lastID });
+    }
+  });
+});
+
+const get = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const exec = (db, sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => (err ? reject(err) : resolve()));
+});
+
+const close = (db) => new Promise((resolve, reject) => {
+  db.close((err) => (err ? reject(err) : resolve()));
+});
+
+describe('toPositionalParams', () => {
+  it('numbers ? placeholders in order', () => {
+    assert.equal(
+      toPositionalParams('SELECT * FROM payments WHERE status = ? AND client_id = ? LIMIT ?'),
+      'SELECT * FROM payments WHERE status = $1 AND client_id = $2 LIMIT $3'
+    );
+  });
+
+  it('leaves ? inside string literals alone', () => {
+    assert.equal(
+      toPositionalParams("SELECT '?' AS literal, 'it''s ?' AS escaped WHERE id = ?"),
+      "SELECT '?' AS literal, 'it''s ?' AS escaped WHERE id = $1"
+    );
+  });
+});
+
+describe('translateSchema', () => {
+  it('maps SQLite column types to Postgres ones', () => {
+    assert.equal(
+      translateSchema('id INTEGER PRIMARY KEY AUTOINCREMENT, at DATETIME, flag BOOLEAN, amount REAL'),
+      'id SERIAL PRIMARY KEY, at TIMESTAMP(0), flag SMALLINT, amount DOUBLE PRECISION'
+    );
+  });
+
+  it('keeps types it does not know', () => {
+    assert.equal(translateSchema('name TEXT NOT NULL, quantity INTEGER'), 'name TEXT NOT NULL, quantity INTEGER');
+  });
+});
+
+for (const backend of backends) {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let db;
+    let cleanup;
+
+    before(async () => {
+      ({ storage: db, cleanup } = await backend.open());
+      await db.connect();
+      await exec(db, 'DROP TABLE IF EXISTS storage_test');
+      await exec(db, TEST_TABLE);
+    });
+
+    after(async () => {
+      if (db) {
+        await close(db);
+      }
+      if (cleanup) {
+        await cleanup();
+      }
+    });
+
+    it('applies every migration, then nothing on a second run', async () => {
+      await runMigrations(db);
+      assert.ok((await db.getColumns('payments')).includes('transaction_id'));
+
+      const second = await runMigrations(db);
+      assert.deepEqual(second.applied, []);
+    });
+
+    it('reports lastID and changes for inserts', async () => {
+      const first = await run(db, 'INSERT INTO storage_test (name, amount, quantity) VALUES (?, ?, ?)', ['first', 10.5, 2]);
+      const second = await run(db, 'INSERT INTO storage_test (name, amount, quantity) VALUES (?, ?, ?)', ['second', 4.25, 3]);
+
+      assert.equal(first.changes, 1);
+      assert.equal(typeof first.lastID, 'number');
+      assert.equal(second.lastID, first.lastID + 1);
+
+      const row = await get(db, 'SELECT name FROM storage_test WHERE id = ?', [second.lastID]);
+      assert.equal(row.name, 'second');
+    });
+
+    it('reports no changes for an insert that conflicts', async () => {
+      const result = await run(db, 'INSERT INTO storage_test (name) VALUES (?) ON CONFLICT DO NOTHING', ['first']);
+      assert.equal(result.changes, 0);
+    });
+
+    it('reports changes for updates and deletes', async () => {
+      const updated = await run(db, 'UPDATE storage_test SET quantity = quantity + ? WHERE quantity >= ?', [1, 2]);
+      assert.equal(updated.changes, 2);
+
+      const deleted = await run(db, 'DELETE FROM storage_test WHERE name = ?', ['missing']);
+      assert.equal(deleted.changes, 0);
+    });
+
+    it('binds parameters around ? in string literals', async () => {
+      await run(db, "INSERT INTO storage_test (name, quantity) VALUES ('literal ?', ?)", [7]);
+
+      const rows = await all(db, "SELECT name, quantity FROM storage_test WHERE name = 'literal ?' AND quantity = ?", [7]);
+      assert.deepEqual(rows.map(row => ({ ...row })), [{ name: 'literal ?', quantity: 7 }]);
+    });
+
+    it('returns numbers for counts, sums and averages', async () => {
+      const row = await get(db, `
+        SELECT COUNT(*) AS total, SUM(quantity) AS quantity, SUM(amount) AS amount, AVG(quantity) AS average
+        FROM storage_test WHERE name IN (?, ?)
+      `, ['first', 'second']);
+
+      assert.equal(row.total, 2);
+      assert.equal(row.quantity, 7);
+      assert.equal(row.amount, 14.75);
+      assert.equal(row.average, 3.5);
+    });
+
+    it('returns booleans as 0/1 and timestamps as YYYY-MM-DD HH:MM:SS', async () => {
+      const row = await get(db, 'SELECT active, created_at FROM storage_test WHERE name = ?', ['first']);
+
+      assert.equal(row.active, 1);
+      assert.equal(typeof row.created_at, 'string');
+      assert.match(row.created_at, TIMESTAMP_PATTERN);
+    });
+
+    it('commits a transaction', async () => {
+      const id = await db.transaction(async (transaction) => {
+        const { lastID } = await run(transaction, 'INSERT INTO storage_test (name) VALUES (?)', ['committed']);
+        return lastID;
+      });
+
+      const row = await get(db, 'SELECT id FROM storage_test WHERE name = ?', ['committed']);
+      assert.equal(row.id, id);
+    });
+
+    it('rolls back a transaction that throws', async () => {
+      await assert.rejects(db.transaction(async (transaction) => {
+        await run(transaction, 'INSERT INTO storage_test (name) VALUES (?)', ['rolled back']);
+        throw new Error('abort');
+      }), /abort/);
+
+      const row = await get(db, 'SELECT id FROM storage_test WHERE name = ?', ['rolled back']);
+      assert.equal(row, undefined);
+    });
+
+    it('keeps writes made outside a transaction when it rolls back', async () => {
+      let outsideWrite;
+
+      await assert.rejects(db.transaction(async (transaction) => {
+        await run(transaction, 'INSERT INTO storage_test (name) VALUES (?)', ['inside']);
+        outsideWrite = run(db, 'INSERT INTO storage_test (name) VALUES (?)', ['outside']);
+        // Give the outside write a chance to run before the rollback
+        await new Promise(resolve => setTimeout(resolve, 50));
+        throw new Error('abort');
+      }), /abort/);
+
+      await outsideWrite;
+      const rows = await all(db, 'SELECT name FROM storage_test WHERE name IN (?, ?)', ['inside', 'outside']);
+      assert.deepEqual(rows.map(row => row.name), ['outside']);
+    });
+  });
+}